@@ -0,0 +1,153 @@
+/**
+ * Clairaut geodesics
+ *
+ * A K = +1 surface of revolution (spindle / sphere / barrel) with one
+ * geodesic launched from the equator, computed by quadrature from Clairaut's
+ * relation r cos θ = c (src/geodesics/clairaut.js) rather than by solving
+ * the geodesic ODE.
+ *
+ * On the spindle the geodesic oscillates between the two latitudes where
+ * r = |c| (drawn as thin circles), advancing by Δu = 2π / a per oscillation,
+ * so it closes up whenever a is rational. On the barrel the steep ones run
+ * off the rim.
+ *
+ * Sliders set a and the launch angle from the equator; the readout shows c,
+ * the turning latitudes and the rotation number Δu / 2π.
+ */
+
+import * as THREE from 'three';
+
+import { SurfaceMesh } from '@/surfaces/SurfaceMesh.js';
+import { SurfaceOfRevolution } from '@/surfaces/SurfaceOfRevolution.js';
+import { ConstantCurvatureProfile } from '@/curves/ConstantCurvatureProfile.js';
+import { NumericalCurve } from '@/curves/NumericalCurve.js';
+import { clairautGeodesic } from '@/geodesics/clairaut.js';
+import { CurveTube } from '@/overlays/CurveTube.js';
+import { Slider } from '@/ui/Slider.js';
+import { Readout } from '@/ui/Readout.js';
+import { DemoApp } from '@/app/DemoApp.js';
+
+let teardown = null;
+
+/**
+ * Start the demo, with its canvas and controls in container.
+ *
+ * @param {HTMLElement} container
+ */
+export function mount(container) {
+  // --- Scene, camera, lights, background and loop ---
+
+  const app = new DemoApp(container, { fov: 50, cameraPosition: [0, 2, 6] });
+  const { state } = app;
+
+  // --- Surface ---
+
+  const params = {
+    a: state.add('a', 0.5, { min: 0.05, max: 2 }),
+    angle: state.add('angle', 30, { min: 0, max: 90 }),
+  };
+
+  const surface = new SurfaceOfRevolution(new ConstantCurvatureProfile({ K: 1, family: 'sin', a: params.a }));
+  const mesh = new SurfaceMesh(surface, {
+    color: 0x3388aa,
+    roughness: 0.6,
+    metalness: 0.1,
+    uSegments: 96,
+    vSegments: 48,
+  });
+  app.addSurface(mesh);
+
+  // --- Geodesic and turning latitudes ---
+
+  const readout = new Readout();
+
+  function latitudeCircle(profile, s, offset) {
+    const r = profile.r(s) + offset * profile.dh(s);
+    const h = profile.h(s) - offset * profile.dr(s);
+    const points = [];
+    for (let i = 0; i <= 128; i++) {
+      const u = 2 * Math.PI * i / 128;
+      points.push(new THREE.Vector3(r * Math.cos(u), h, -r * Math.sin(u)));
+    }
+    return new NumericalCurve({ points });
+  }
+
+  function draw() {
+    for (const child of mesh.children.slice()) {
+      mesh.remove(child);
+      child.dispose();
+    }
+
+    const profile = surface.profile;
+    const s0 = 0.5 * (profile.sMin + profile.sMax); // equator
+    const g = clairautGeodesic(profile, {
+      s0,
+      angle: params.angle * Math.PI / 180,
+      legs: 24,
+      samplesPerLeg: 60,
+      offset: 0.005,
+    });
+
+    const segments = Math.min(4000, 4 * g.points.length);
+    mesh.add(new CurveTube(g.curve, { radius: 0.012, color: 0xffcc33, tubularSegments: segments }));
+
+    for (const s of g.turningPoints) {
+      if (s === null) continue;
+      mesh.add(new CurveTube(latitudeCircle(profile, s, 0.005), {
+        radius: 0.006, color: 0xff4466, tubularSegments: 128,
+      }));
+    }
+
+    const lines = [`c = ${g.clairautConstant.toFixed(4)}`];
+    if (g.bounded) {
+      const [lo, hi] = g.turningPoints.map(s => s.toFixed(4));
+      lines.push(`turning latitudes s = ${lo}, ${hi}`);
+      lines.push(`rotation number Δu/2π = ${g.rotationNumber.toFixed(6)}`);
+      lines.push(g.closed
+        ? `closed: ${g.closure.turns} turns in ${g.closure.oscillations} oscillations`
+        : 'not closed within 24 oscillations');
+    } else {
+      lines.push(`unbounded: leaves the surface after length ${g.length.toFixed(3)}`);
+    }
+    readout.set(lines);
+  }
+
+  draw();
+
+  // --- Sliders ---
+
+  function setA(a) {
+    params.a = a;
+    state.set('a', a);
+    surface.setProfile(new ConstantCurvatureProfile({ K: 1, family: 'sin', a }));
+    mesh.rebuild();
+    draw();
+  }
+
+  function setAngle(angle) {
+    params.angle = angle;
+    state.set('angle', angle);
+    draw();
+  }
+
+  new Slider({ label: 'a', min: 0.05, max: 2, step: 0.01, value: params.a, onChange: setA });
+  new Slider({
+    label: 'angle', min: 0, max: 90, step: 1, value: params.angle,
+    format: v => `launch angle = ${v.toFixed(0)}°`,
+    onChange: setAngle,
+  });
+
+  // --- Animate ---
+
+  app.start();
+
+  // --- Teardown ---
+
+  teardown = () => app.dispose();
+}
+
+/** Stop the demo and release its WebGL context; the caller removes the container. */
+export function unmount() {
+  teardown?.();
+  teardown = null;
+}
@@ -0,0 +1,112 @@
+/**
+ * Geodesics on spindle, sphere and barrel
+ *
+ * Three K = +1 surfaces of revolution side by side:
+ *   a = 0.5  →  spindle,   a = 1  →  sphere,   a = 1.5  →  barrel
+ *
+ * From the same point on each equator we shoot a fan of geodesics and trace
+ * them numerically (src/geodesics/traceGeodesic.js). On the sphere they are
+ * great circles; on the spindle they oscillate between two latitudes; on
+ * the barrel the steep ones run off the rim.
+ *
+ * The slider sets the launch angle of the fan, measured from the equator.
+ */
+
+import { SurfaceMesh } from '@/surfaces/SurfaceMesh.js';
+import { SurfaceOfRevolution } from '@/surfaces/SurfaceOfRevolution.js';
+import { ConstantCurvatureProfile } from '@/curves/ConstantCurvatureProfile.js';
+import { traceGeodesic } from '@/geodesics/traceGeodesic.js';
+import { CurveTube } from '@/overlays/CurveTube.js';
+import { Slider } from '@/ui/Slider.js';
+import { DemoApp } from '@/app/DemoApp.js';
+
+let teardown = null;
+
+/**
+ * Start the demo, with its canvas and controls in container.
+ *
+ * @param {HTMLElement} container
+ */
+export function mount(container) {
+  // --- Scene, camera, lights, background and loop ---
+
+  const app = new DemoApp(container, { cameraPosition: [0, 2, 9] });
+  const { state } = app;
+
+  // --- Surfaces ---
+
+  const shapes = [
+    { a: 0.5, x: -3 },
+    { a: 1.0, x: 0 },
+    { a: 1.5, x: 3 },
+  ];
+
+  const meshes = shapes.map(({ a, x }) => {
+    const surface = new SurfaceOfRevolution(new ConstantCurvatureProfile({ K: 1, family: 'sin', a }));
+    const mesh = new SurfaceMesh(surface, {
+      color: 0x3388aa,
+      roughness: 0.6,
+      metalness: 0.1,
+      uSegments: 96,
+      vSegments: 48,
+    });
+    mesh.position.x = x;
+    app.addSurface(mesh);
+    return mesh;
+  });
+
+  // --- Geodesic fans ---
+
+  const fanColors = [0xffcc33, 0xff8833, 0xff4466, 0xcc44ff, 0x44ccff];
+  const fanSpread = 12 * Math.PI / 180;
+
+  function drawFans(angle) {
+    for (const mesh of meshes) {
+      for (const tube of mesh.children.slice()) {
+        mesh.remove(tube);
+        tube.dispose();
+      }
+
+      fanColors.forEach((color, k) => {
+        const { curve } = traceGeodesic(mesh.surface, {
+          u: 0,
+          v: 0.5,
+          angle: angle + (k - 2) * fanSpread,
+          length: 4 * Math.PI,
+          samples: 400,
+          offset: 0.005,
+          tolerance: 1e-6,
+        });
+        mesh.add(new CurveTube(curve, { radius: 0.012, color, tubularSegments: 400 }));
+      });
+    }
+  }
+
+  const angle = state.add('angle', 40, { min: 0, max: 90 }); // degrees
+  drawFans(angle * Math.PI / 180);
+
+  // --- Slider ---
+
+  new Slider({
+    label: 'angle', min: 0, max: 90, step: 1, value: angle,
+    format: v => `launch angle = ${v.toFixed(0)}°`,
+    onChange: v => {
+      drawFans(v * Math.PI / 180);
+      state.set('angle', v);
+    },
+  });
+
+  // --- Animate ---
+
+  app.start();
+
+  // --- Teardown ---
+
+  teardown = () => app.dispose();
+}
+
+/** Stop the demo and release its WebGL context; the caller removes the container. */
+export function unmount() {
+  teardown?.();
+  teardown = null;
+}
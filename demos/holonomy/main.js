@@ -0,0 +1,140 @@
+/**
+ * Holonomy around a latitude
+ *
+ * A K = +1 surface of revolution (spindle / sphere / barrel). A tangent
+ * vector is parallel transported once around a latitude circle
+ * (src/geodesics/parallelTransport.js); the arrows show it along the way.
+ * It comes back rotated: white is where it started, red where it returns.
+ *
+ * By Gauss–Bonnet the rotation is K times the area of the enclosed cap,
+ * plus the cone angle deficit 2π(1 - a) at the spindle tip (or, on the
+ * barrel, minus the turning of the rim). The readout compares the two.
+ *
+ * Sliders set a and the latitude.
+ */
+
+import { SurfaceMesh } from '@/surfaces/SurfaceMesh.js';
+import { SurfaceOfRevolution } from '@/surfaces/SurfaceOfRevolution.js';
+import { ConstantCurvatureProfile } from '@/curves/ConstantCurvatureProfile.js';
+import { NumericalCurve } from '@/curves/NumericalCurve.js';
+import { latitudeHolonomy } from '@/geodesics/parallelTransport.js';
+import { CurveTube } from '@/overlays/CurveTube.js';
+import { VectorArrows } from '@/overlays/VectorArrows.js';
+import { Slider } from '@/ui/Slider.js';
+import { Readout } from '@/ui/Readout.js';
+import { DemoApp } from '@/app/DemoApp.js';
+
+let teardown = null;
+
+/**
+ * Start the demo, with its canvas and controls in container.
+ *
+ * @param {HTMLElement} container
+ */
+export function mount(container) {
+  // --- Scene, camera, lights, background and loop ---
+
+  const app = new DemoApp(container, { fov: 50, cameraPosition: [0, 2, 6] });
+  const { state } = app;
+
+  // --- Surface ---
+
+  const params = {
+    a: state.add('a', 0.5, { min: 0.05, max: 2 }),
+    latitude: state.add('latitude', 0.3, { min: 0.02, max: 0.98 }),
+  };
+
+  const surface = new SurfaceOfRevolution(new ConstantCurvatureProfile({ K: 1, family: 'sin', a: params.a }));
+  const mesh = new SurfaceMesh(surface, {
+    color: 0x3388aa,
+    roughness: 0.6,
+    metalness: 0.1,
+    uSegments: 96,
+    vSegments: 48,
+  });
+  app.addSurface(mesh);
+
+  // --- Transported vectors ---
+
+  const lift = 0.01;
+  const arrows = new VectorArrows({ length: 0.25, radius: 0.01, color: 0x44ccff });
+  mesh.add(arrows);
+
+  let circle = null;
+  const readout = new Readout();
+
+  const deg = x => `${(x * 180 / Math.PI).toFixed(2)}°`;
+
+  function draw() {
+    const result = latitudeHolonomy(surface, params.latitude, { angle: Math.PI / 3, samples: 24 });
+    const { samples } = result;
+
+    const lifted = ({ u, v, point }) => point.clone().addScaledVector(surface.computeNormal(u, v), lift);
+    arrows.set(samples.map((sample, i) => ({
+      origin: lifted(sample),
+      direction: sample.direction,
+      color: i === 0 ? 0xffffff : i === samples.length - 1 ? 0xff4466 : undefined,
+    })));
+
+    // Latitude circle
+    const points = [];
+    for (let i = 0; i <= 128; i++) {
+      const u = 2 * Math.PI * i / 128;
+      points.push(lifted({ u, v: params.latitude, point: surface.evaluate(u, params.latitude) }));
+    }
+    if (circle) {
+      circle.setCurve(new NumericalCurve({ points }));
+    } else {
+      circle = new CurveTube(new NumericalCurve({ points }), { radius: 0.008, color: 0xffcc33, tubularSegments: 128 });
+      mesh.add(circle);
+    }
+
+    readout.set([
+      `latitude s = ${result.s.toFixed(4)}`,
+      `enclosed area A = ${result.area.toFixed(4)}`,
+      `K·A = ${deg(result.curvatureIntegral)}`,
+      `edge term = ${deg(result.edgeTerm)}`,
+      `Gauss–Bonnet: ${deg(result.predicted)}`,
+      `holonomy (transported): ${deg(result.holonomy)}`,
+    ]);
+  }
+
+  draw();
+
+  // --- Sliders ---
+
+  function setA(a) {
+    params.a = a;
+    state.set('a', a);
+    surface.setProfile(new ConstantCurvatureProfile({ K: 1, family: 'sin', a }));
+    mesh.rebuild();
+    draw();
+  }
+
+  function setLatitude(v) {
+    params.latitude = v;
+    state.set('latitude', v);
+    draw();
+  }
+
+  new Slider({ label: 'a', min: 0.05, max: 2, step: 0.01, value: params.a, onChange: setA });
+  new Slider({
+    label: 'latitude', min: 0.02, max: 0.98, step: 0.005, value: params.latitude,
+    format: v => `latitude v = ${v.toFixed(3)}`,
+    onChange: setLatitude,
+  });
+
+  // --- Animate ---
+
+  app.start();
+
+  // --- Teardown ---
+
+  teardown = () => app.dispose();
+}
+
+/** Stop the demo and release its WebGL context; the caller removes the container. */
+export function unmount() {
+  teardown?.();
+  teardown = null;
+}
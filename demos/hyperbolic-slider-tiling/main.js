@@ -1,5 +1,5 @@
 /**
- * Hyperbolic surface of revolution — Fermi coordinate grid tiling
+ * Hyperbolic surface of revolution — reflection group tiling
  *
  * Constant Gaussian curvature K = -1.
  * Profile: r(s) = a cosh(s),  h'(s) = sqrt(1 - a² sinh²(s)).
@@ -10,152 +10,268 @@
  *
  * Fermi coords:  x = s,  y = aθ     →   z = x + iy = s + i·a·θ
  *
- * The shader draws the grid lines of this Fermi coordinate system.
+ * The shader maps each point through Fermi coordinates to the upper
+ * half-plane and colors it by the tiling of a reflection group: the
+ * (p, q, r) triangle group (1/p + 1/q + 1/r < 1), or the group of a
+ * regular right-angled n-gon. The mirrors are computed in JS
+ * (src/tilings/triangleGroup.js) and passed to the shader as uniforms, so
+ * the sliders can change the group.
+ *
+ * The right half of the window shows where the surface sits in H²
+ * (src/views/HyperbolicModelView.js): the strip of width 2·arcsinh(1/a)
+ * around the imaginary axis, the tiling, and the fundamental domain of the
+ * dilation z → e^{2πa} z that is rolled up into the surface. 'view' cycles
+ * through the upper half-plane, Poincaré disk and Klein model. Hovering on
+ * either side marks the matching point on the other.
+ *
+ * Click on the surface and drag to shoot geodesics; 'clear' removes them.
  */
 
 import * as THREE from 'three';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 
 import { SurfaceMesh } from '@/surfaces/SurfaceMesh.js';
-import { NumericalCurve } from '@/curves/NumericalCurve.js';
-import { quadrature } from '@/ode/quadrature.js';
+import { SurfaceOfRevolution } from '@/surfaces/SurfaceOfRevolution.js';
+import { ConstantCurvatureProfile } from '@/curves/ConstantCurvatureProfile.js';
+import { GeodesicShooter } from '@/interaction/GeodesicShooter.js';
+import { pickSurface } from '@/interaction/pickSurface.js';
+import { HyperbolicModelView, MODELS } from '@/views/HyperbolicModelView.js';
+import { uvToUHP, uhpToFermi, fermiToUV } from '@/shaders/maps.js';
 import { Slider } from '@/ui/Slider.js';
+import { Button } from '@/ui/Button.js';
+import { Readout } from '@/ui/Readout.js';
+import { DemoApp } from '@/app/DemoApp.js';
+import {
+  triangleGroup, rightAngledPolygon, createMirrorUniforms, setMirrorUniforms,
+} from '@/tilings/triangleGroup.js';
 
-import fermiGridFrag from './shaders/geodesic.frag.glsl?raw';
+import tilingFrag from './shaders/tiling.frag.glsl?raw';
 
-// --- Scene setup ---
+let teardown = null;
 
-const scene = new THREE.Scene();
-
-const camera = new THREE.PerspectiveCamera(40, window.innerWidth / window.innerHeight, 0.1, 100);
-camera.position.set(0, 2, 5);
+/**
+ * Start the demo, with its canvas and controls in container.
+ *
+ * @param {HTMLElement} container
+ */
+export function mount(container) {
+  // --- Scene, camera, lights, background and loop ---
 
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(window.devicePixelRatio);
-document.body.appendChild(renderer.domElement);
+  const app = new DemoApp(container, { width: 0.5 });
+  const { camera, renderer, state } = app;
 
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.target.set(0, 0, 0);
+  // --- Profile curve ---
 
-window.addEventListener('resize', () => {
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
-});
+  // r(s) = a cosh(s),  h'(s) = sqrt(1 - a² sinh²(s)),  s ∈ [-sMax, sMax]
+  // sMax = arcsinh(1/a)  (where h' → 0), the half-width of the strip in H²
 
-// --- Lighting ---
+  function solveProfile(a) {
+    return new ConstantCurvatureProfile({ K: -1, family: 'cosh', a });
+  }
 
-const light = new THREE.DirectionalLight(0xffffff, 5);
-light.position.set(5, Math.tan(20 * Math.PI / 180) * 5, 0); // 20° elevation
-scene.add(light);
-scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+  const initialA = state.add('a', 0.5, { min: 0.1, max: 2 });
+  const initial = solveProfile(initialA);
 
-// --- Background ---
+  // --- Surface of revolution ---
 
-scene.background = new THREE.Color(0x0a0a1a);
+  const surface = new SurfaceOfRevolution(initial);
 
-// --- Profile curve ---
+  // --- Shader uniforms ---
 
-// r(s) = a cosh(s),  h'(s) = sqrt(1 - a² sinh²(s)),  s ∈ [0, sMax]
-// sMax = arcsinh(1/a)  (where h' → 0)
-// Profile is symmetric about s = 0; integrate top half then mirror.
+  const uniforms = {
+    uA:    { value: initialA },
+    uSMax: { value: initial.sMax },
+    ...createMirrorUniforms(),
+  };
 
-function solveProfile(a) {
-  const sMax = Math.asinh(1 / a);
+  const mesh = new SurfaceMesh(surface, {
+    color: 0xcc6633,
+    roughness: 0.6,
+    metalness: 0.1,
+    uSegments: 96,
+    vSegments: 48,
+    worker: true, // tessellate off the main thread while the slider drags
+    fragmentShader: tilingFrag,
+    uniforms,
+  });
 
-  const { ts, values: hValues } = quadrature(
-    s => Math.sqrt(Math.max(0, 1 - a * a * Math.sinh(s) ** 2)),
-    0, sMax, 200,
-  );
+  app.addSurface(mesh);
 
-  const topHalf = ts.map((s, i) =>
-    new THREE.Vector3(a * Math.cosh(s), hValues[i], 0),
-  );
+  // --- Geodesics: click and drag on the surface ---
 
-  // Mirror (skip duplicate at s = 0)
-  const bottomHalf = topHalf.slice(1).reverse().map(p =>
-    new THREE.Vector3(p.x, -p.y, 0),
-  );
+  const shooter = new GeodesicShooter({ camera, domElement: renderer.domElement, meshes: mesh });
 
-  return { points: [...bottomHalf, ...topHalf], sMax };
-}
+  // --- Companion view of the strip in H² ---
 
-const initialA = 0.5;
-const initial = solveProfile(initialA);
-
-const profileCurve = new NumericalCurve({
-  points: initial.points,
-  closed: false,
-  curveType: 'catmullrom',
-  tension: 0.5,
-});
-
-// --- Surface of revolution ---
-
-const surface = {
-  evaluate(u, v) {
-    const p = profileCurve.evaluate(v);
-    return new THREE.Vector3(
-      p.x * Math.cos(u),
-      p.y,
-      -p.x * Math.sin(u),
-    );
-  },
-  getDomain() {
-    return { uMin: 0, uMax: 2 * Math.PI, vMin: 0, vMax: 1 };
-  },
-};
-
-// --- Shader uniforms ---
-
-const uniforms = {
-  uA:    { value: initialA },
-  uSMax: { value: initial.sMax },
-  uTime: { value: 0 },
-};
-
-const mesh = new SurfaceMesh(surface, {
-  color: 0xcc6633,
-  roughness: 0.6,
-  metalness: 0.1,
-  uSegments: 96,
-  vSegments: 48,
-  fragmentShader: fermiGridFrag,
-  uniforms,
-});
-
-scene.add(mesh);
-
-// --- Rebuild for a given waist radius a ---
-
-function setA(a) {
-  const { points, sMax } = solveProfile(a);
-  profileCurve.updatePoints(points);
-  uniforms.uA.value = a;
-  uniforms.uSMax.value = sMax;
-  mesh.rebuild();
+  const marker = new THREE.Mesh(
+    new THREE.SphereGeometry(0.03, 16, 8),
+    new THREE.MeshBasicMaterial({ color: 0xffd933 }),
+  );
+  marker.visible = false;
+  mesh.add(marker);
+
+  // Hovering in the 2D view: wrap the point into the strip's fundamental
+  // domain and mark it on the surface
+  const view = new HyperbolicModelView({
+    uniforms,
+    model: state.add('model', 'disk', { options: Object.keys(MODELS) }),
+    onHover: z => {
+      const uv = z && fermiToUV(uhpToFermi(z), uniforms.uA.value, uniforms.uSMax.value);
+      marker.visible = !!uv && uv.y >= 0 && uv.y <= 1;
+      if (marker.visible) {
+        const u = 2 * Math.PI * (uv.x - Math.floor(uv.x));
+        marker.position.copy(surface.evaluate(u, uv.y));
+      }
+    },
+  });
+
+  // Hovering on the surface: mark the point, and its lift in the
+  // fundamental domain of the 2D view
+  renderer.domElement.addEventListener('pointermove', event => {
+    const hit = pickSurface(event, camera, renderer.domElement, mesh);
+    marker.visible = !!hit;
+    if (hit) marker.position.copy(hit.local);
+    view.setHighlight(hit && uvToUHP(
+      { x: hit.u / (2 * Math.PI), y: hit.v }, uniforms.uA.value, uniforms.uSMax.value,
+    ));
+  });
+
+  renderer.domElement.addEventListener('pointerleave', () => {
+    marker.visible = false;
+    view.setHighlight(null);
+  });
+
+  // --- Rebuild for a given waist radius a ---
+
+  function setA(a) {
+    const profile = solveProfile(a);
+    surface.setProfile(profile);
+    uniforms.uA.value = a;
+    uniforms.uSMax.value = profile.sMax;
+    mesh.rebuild();
+    shooter.refresh();
+    marker.visible = false;
+    view.setHighlight(null);
+    state.set('a', a);
+  }
+
+  // --- Reflection group ---
+
+  const group = {
+    mode: state.add('tiling', 'triangle', { options: ['triangle', 'polygon'] }),
+    p: state.add('p', 2, { min: 2, max: 12, integer: true }),
+    q: state.add('q', 3, { min: 2, max: 12, integer: true }),
+    r: state.add('r', 7, { min: 2, max: 12, integer: true }),
+    n: state.add('n', 5, { min: 5, max: 12, integer: true }),
+  };
+  const readout = new Readout();
+
+  function setGroup() {
+    state.set('tiling', group.mode);
+    for (const key of ['p', 'q', 'r', 'n']) state.set(key, group[key]);
+
+    if (group.mode === 'polygon') {
+      const polygon = rightAngledPolygon(group.n);
+      setMirrorUniforms(uniforms, polygon);
+      readout.set([
+        `right-angled ${group.n}-gon`,
+        `area = (n - 4)π/2 = ${polygon.area.toFixed(4)}`,
+      ]);
+      return;
+    }
+
+    const { p, q, r } = group;
+    const sum = 1 / p + 1 / q + 1 / r;
+    if (sum >= 1) {
+      // Keep the last hyperbolic tiling on the surface
+      readout.set([
+        `(${p}, ${q}, ${r}) triangle group`,
+        `1/p + 1/q + 1/r = ${sum.toFixed(4)} ≥ 1: not hyperbolic`,
+      ]);
+      return;
+    }
+    const triangle = triangleGroup(p, q, r);
+    setMirrorUniforms(uniforms, triangle);
+    readout.set([
+      `(${p}, ${q}, ${r}) triangle group`,
+      `1/p + 1/q + 1/r = ${sum.toFixed(4)}`,
+      `triangle area = π(1 - 1/p - 1/q - 1/r) = ${triangle.area.toFixed(4)}`,
+    ]);
+  }
+
+  setGroup();
+
+  // --- Sliders ---
+
+  const order = key => new Slider({
+    label: key, min: 2, max: 12, step: 1, value: group[key],
+    format: v => `${key} = ${v}`,
+    onChange: v => {
+      group[key] = v;
+      setGroup();
+    },
+  });
+  const orderSliders = [order('p'), order('q'), order('r')];
+
+  const sidesSlider = new Slider({
+    label: 'n', min: 5, max: 12, step: 1, value: group.n,
+    format: v => `n = ${v} sides`,
+    onChange: v => {
+      group.n = v;
+      setGroup();
+    },
+  });
+
+  new Slider({
+    label: 'a', min: 0.1, max: 2, step: 0.01, value: initialA,
+    format: v => `a = ${v.toFixed(2)}  (strip width = ${(2 * Math.asinh(1 / v)).toFixed(2)})`,
+    onChange: setA,
+  });
+
+  function showMode() {
+    for (const slider of orderSliders) slider.container.hidden = group.mode !== 'triangle';
+    sidesSlider.container.hidden = group.mode !== 'polygon';
+    modeButton.setLabel(group.mode === 'triangle' ? 'tile: triangle group' : 'tile: right-angled polygon');
+  }
+
+  const modeButton = new Button({
+    label: 'tile: triangle group',
+    onClick: () => {
+      group.mode = group.mode === 'triangle' ? 'polygon' : 'triangle';
+      showMode();
+      setGroup();
+    },
+  });
+  showMode();
+
+  const modelNames = Object.keys(MODELS);
+  const viewButton = new Button({
+    label: `view: ${MODELS[view.model]}`,
+    onClick: () => {
+      view.setModel(modelNames[(modelNames.indexOf(view.model) + 1) % modelNames.length]);
+      viewButton.setLabel(`view: ${MODELS[view.model]}`);
+      state.set('model', view.model);
+    },
+  });
+
+  new Button({ label: 'clear geodesics', onClick: () => shooter.clear() });
+
+  // --- Animate ---
+
+  app.onFrame(dt => shooter.update(dt));
+  app.onRender(() => view.render());
+  app.start();
+
+  // --- Teardown ---
+
+  teardown = () => {
+    shooter.dispose();
+    view.dispose();
+    app.dispose();
+  };
 }
 
-// --- Slider ---
-
-new Slider({
-  label: 'a', min: 0.1, max: 2, step: 0.01, value: initialA,
-  format: v => `a = ${v.toFixed(2)}  (strip width = ${(2 * Math.asinh(1 / v)).toFixed(2)})`,
-  onChange: setA,
-});
-
-// --- Animate ---
-
-const clock = new THREE.Clock();
-
-function animate() {
-  requestAnimationFrame(animate);
-  const time = clock.getElapsedTime();
-  uniforms.uTime.value = time;
-  mesh.rotation.y = time * 0.1;
-  controls.update();
-  renderer.render(scene, camera);
+/** Stop the demo and release its WebGL context; the caller removes the container. */
+export function unmount() {
+  teardown?.();
+  teardown = null;
 }
-
-animate();
@@ -13,34 +13,7 @@ uniform float uA;
 uniform float uSMax;
 uniform float uTime;
 
-// PI is provided by Three.js
-
-// =====================================================================
-// Coordinate mapping
-// =====================================================================
-
-vec2 uvToFermi(vec2 uv) {
-    float s = (2.0 * uv.y - 1.0) * uSMax;
-    float t = uA * (uv.x - 0.5) * 2.0 * PI;
-    return vec2(s, t);
-}
-
-vec2 fermiToUHP(vec2 st) {
-    float s = st.x;
-    float t = st.y;
-    float ex = exp(s);
-    float emx = exp(-s);
-    float cosh_s = (ex + emx) * 0.5;
-    float sinh_s = (ex - emx) * 0.5;
-    return vec2(
-        exp(t) * sinh_s / cosh_s,
-        exp(t) / cosh_s
-    );
-}
-
-vec2 uvToUHP(vec2 uv) {
-    return fermiToUHP(uvToFermi(uv));
-}
+#include <hyperbolic>
 
 // =====================================================================
 // Geodesic SDF
@@ -64,7 +37,7 @@ float wrappedDist(vec2 z, float c, float r, float logLambda) {
 }
 
 void main() {
-    vec2 z = uvToUHP(vMapUv);
+    vec2 z = uvToUHP(vMapUv, uA, uSMax);
 
     // Animate angle and position
     float alpha = 0.3 + 0.5 * sin(uTime * 0.4);       // angle from meridian
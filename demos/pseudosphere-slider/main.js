@@ -7,131 +7,185 @@
  *
  * The parameter a controls the shape (a < 1).
  * s ∈ [0, sMax] where sMax = arccosh(1/a).
+ *
+ * Click on the surface and drag to shoot geodesics; 'clear' removes them.
+ *
+ * The profile's curvature blows up at the rim, where h' → 0. The mesh is
+ * built with adaptive rows (src/surfaces/adaptiveGrid.js), packed toward
+ * the rim; 'rows' in the mesh group compares with evenly spaced rows of
+ * the same triangle count, and 'wireframe' shows them. The controls share
+ * one Panel. The readout gives the height of the horn, which comes from
+ * quadrature, with the quadrature's error estimate.
+ *
+ * The export group downloads the surface for printing (STL, 'size' mm per
+ * unit: a solid horn, or a shell with walls 'wall' mm thick) or for
+ * Blender (OBJ, glTF, in the surface's own units).
  */
 
-import * as THREE from 'three';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-
 import { SurfaceMesh } from '@/surfaces/SurfaceMesh.js';
-import { NumericalCurve } from '@/curves/NumericalCurve.js';
-import { quadrature } from '@/ode/quadrature.js';
-import { Slider } from '@/ui/Slider.js';
-
-// --- Scene setup ---
-
-const scene = new THREE.Scene();
-
-const camera = new THREE.PerspectiveCamera(40, window.innerWidth / window.innerHeight, 0.1, 100);
-camera.position.set(0, 2, 5);
-
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(window.devicePixelRatio);
-document.body.appendChild(renderer.domElement);
-
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.target.set(0, 0, 0);
-
-window.addEventListener('resize', () => {
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
-});
-
-// --- Lighting ---
-
-const light = new THREE.DirectionalLight(0xffffff, 5);
-light.position.set(5, Math.tan(20 * Math.PI / 180) * 5, 0); // 20° elevation
-scene.add(light);
-scene.add(new THREE.AmbientLight(0xffffff, 0.5));
-
-// --- Background ---
+import { SurfaceOfRevolution } from '@/surfaces/SurfaceOfRevolution.js';
+import { ConstantCurvatureProfile } from '@/curves/ConstantCurvatureProfile.js';
+import { GeodesicShooter } from '@/interaction/GeodesicShooter.js';
+import { exportSTL, exportOBJ, exportGLB } from '@/export/exportSurface.js';
+import { download } from '@/export/download.js';
+import { Panel } from '@/ui/Panel.js';
+import { Readout } from '@/ui/Readout.js';
+import { DemoApp } from '@/app/DemoApp.js';
 
-scene.background = new THREE.Color(0x0a0a1a);
+let teardown = null;
 
-// --- Profile curve ---
-
-// r(s) = a sinh(s),  h'(s) = sqrt(1 - a² cosh²(s)),  s ∈ [0, sMax]
-// sMax = arccosh(1/a)  (where h' → 0, the flared edge)
-// At s = 0 the surface has a cusp (r = 0).
-
-function solveProfile(a) {
-  const sMax = Math.acosh(1 / a);
-
-  const { ts, values: hValues } = quadrature(
-    s => Math.sqrt(Math.max(0, 1 - a * a * Math.cosh(s) ** 2)),
-    0, sMax, 200,
-  );
+/**
+ * Start the demo, with its canvas and controls in container.
+ *
+ * @param {HTMLElement} container
+ */
+export function mount(container) {
+  // --- Scene, camera, lights, background and loop ---
 
-  // Cusp at top (h = totalHeight), flared edge at bottom (h = 0)
-  const totalHeight = hValues[hValues.length - 1];
-  const points = ts.map((s, i) =>
-    new THREE.Vector3(a * Math.sinh(s), totalHeight - hValues[i], 0),
-  );
+  const app = new DemoApp(container);
+  const { camera, renderer, state } = app;
 
-  // Center vertically
-  for (const p of points) p.y -= totalHeight / 2;
+  // --- Profile curve ---
+
+  // r(s) = a sinh(s),  h'(s) = sqrt(1 - a² cosh²(s)),  s ∈ [0, sMax]
+  // sMax = arccosh(1/a)  (where h' → 0, the flared edge)
+  // At s = 0 the surface has a cusp (r = 0); flip puts the cusp at the top.
+
+  function solveProfile(a) {
+    return new ConstantCurvatureProfile({ K: -1, family: 'sinh', a, flip: true });
+  }
+
+  const initialA = state.add('a', 0.25, { min: 0.05, max: 0.95 });
+  const initial = solveProfile(initialA);
 
-  return { points, a };
+  // --- Surface of revolution ---
+
+  const surface = new SurfaceOfRevolution(initial);
+
+  const mesh = new SurfaceMesh(surface, {
+    color: state.add('color', '#3388aa', { pattern: /^#[0-9a-f]{6}$/i }),
+    roughness: 0.6,
+    metalness: 0.1,
+    uSegments: 96,
+    vSegments: 48,
+    worker: true, // tessellate off the main thread while the slider drags
+    adaptive: state.add('adaptive', true), // the profile bends sharply toward the rim: spend the rows there
+    wireframe: state.add('wireframe', false),
+  });
+
+  app.addSurface(mesh);
+
+  // --- Geodesics: click and drag on the surface ---
+
+  const shooter = new GeodesicShooter({ camera, domElement: renderer.domElement, meshes: mesh });
+
+  // --- Height, and how accurate the quadrature says it is ---
+
+  const readout = new Readout();
+
+  function showHeight(profile) {
+    readout.set(`height = ${profile.height.toFixed(9)} ± ${profile.heightError.toExponential(1)}`);
+  }
+  showHeight(initial);
+
+  // --- Rebuild for a given value of a ---
+
+  function setA(a) {
+    const profile = solveProfile(a);
+    surface.setProfile(profile);
+    mesh.rebuild();
+    shooter.refresh();
+    showHeight(profile);
+    state.set('a', a);
+  }
+
+  // --- Controls ---
+
+  const panel = new Panel({ title: 'pseudosphere' });
+
+  panel.slider({ label: 'a', min: 0.05, max: 0.95, step: 0.01, value: initialA, numeric: true, onChange: setA });
+
+  panel.button({ label: 'clear geodesics', onClick: () => shooter.clear() });
+
+  // Mesh: adaptive or uniform rows, same number of triangles
+  const meshGroup = panel.group('mesh');
+
+  meshGroup.dropdown({
+    label: 'rows',
+    options: [{ label: 'adaptive', value: true }, { label: 'uniform', value: false }],
+    value: mesh.adaptive,
+    onChange: adaptive => {
+      mesh.adaptive = adaptive;
+      mesh.rebuild();
+      state.set('adaptive', adaptive);
+    },
+  });
+
+  meshGroup.checkbox({
+    label: 'wireframe',
+    value: mesh.material.wireframe,
+    onChange: on => {
+      mesh.material.wireframe = on;
+      state.set('wireframe', on);
+    },
+  });
+
+  meshGroup.color({
+    label: 'color',
+    value: mesh.material.color.getHex(),
+    onChange: color => {
+      mesh.material.color.set(color);
+      state.set('color', color);
+    },
+  });
+
+  // Export: STL in millimetres for the slicer, with the wall outside the
+  // surface so the narrow cusp doesn't turn inside out
+  const exportGroup = panel.group('export', { collapsed: true });
+  const print = { scale: 40, thickness: 0 };
+
+  exportGroup.slider({
+    label: 'size', min: 10, max: 100, step: 5, value: print.scale,
+    format: v => `size = ${v} mm per unit`,
+    onChange: v => { print.scale = v; },
+  });
+
+  exportGroup.slider({
+    label: 'wall', min: 0, max: 5, step: 0.1, value: print.thickness,
+    format: v => (v > 0 ? `wall = ${v.toFixed(1)} mm` : 'wall = solid'),
+    onChange: v => { print.thickness = v; },
+  });
+
+  const filename = extension => `pseudosphere-a${surface.profile.a.toFixed(2)}.${extension}`;
+
+  exportGroup.button({
+    label: 'STL',
+    onClick: () => download(exportSTL(mesh, { ...print, offset: 1 }), filename('stl')),
+  });
+  exportGroup.button({
+    label: 'OBJ',
+    onClick: () => download(exportOBJ(mesh), filename('obj')),
+  });
+  exportGroup.button({
+    label: 'glTF',
+    onClick: () => download(exportGLB(mesh), filename('glb')),
+  });
+
+  // --- Animate ---
+
+  app.onFrame(dt => shooter.update(dt));
+  app.start();
+
+  // --- Teardown ---
+
+  teardown = () => {
+    shooter.dispose();
+    app.dispose();
+  };
 }
 
-const initial = solveProfile(0.25);
-
-const profileCurve = new NumericalCurve({
-  points: initial.points,
-  closed: false,
-  curveType: 'catmullrom',
-  tension: 0.5,
-});
-
-// --- Surface of revolution ---
-
-const surface = {
-  evaluate(u, v) {
-    const p = profileCurve.evaluate(v);
-    return new THREE.Vector3(
-      p.x * Math.cos(u),
-      p.y,
-      -p.x * Math.sin(u),
-    );
-  },
-  getDomain() {
-    return { uMin: 0, uMax: 2 * Math.PI, vMin: 0, vMax: 1 };
-  },
-};
-
-const mesh = new SurfaceMesh(surface, {
-  color: 0x3388aa,
-  roughness: 0.6,
-  metalness: 0.1,
-  uSegments: 96,
-  vSegments: 48,
-});
-
-scene.add(mesh);
-
-// --- Rebuild for a given value of a ---
-
-function setA(a) {
-  const { points } = solveProfile(a);
-  profileCurve.updatePoints(points);
-  mesh.rebuild();
+/** Stop the demo and release its WebGL context; the caller removes the container. */
+export function unmount() {
+  teardown?.();
+  teardown = null;
 }
-
-// --- Slider ---
-
-new Slider({ label: 'a', min: 0.05, max: 0.95, step: 0.01, value: 0.25, onChange: setA });
-
-// --- Animate ---
-
-const clock = new THREE.Clock();
-
-function animate() {
-  requestAnimationFrame(animate);
-  const time = clock.getElapsedTime();
-  mesh.rotation.y = time * 0.1;
-  controls.update();
-  renderer.render(scene, camera);
-}
-
-animate();
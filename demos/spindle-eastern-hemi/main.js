@@ -5,155 +5,145 @@
  * Profile: r(s) = a sin(s),  h'(s) = sqrt(1 - a² cos²(s)).
  *
  * The parameter a (= sin α, where α is the cone half-angle) controls the shape.
- *   Here we choose a specific value of a to get adjusted for a custom Earth texture for the eastern hemisphere.
+ *   Here a is chosen to fit a region of the Earth: the spindle is a lune of
+ *   angle 2πa, so a strip of 360a degrees of longitude closes up on it
+ *   exactly. The strip is cropped from the full day and night maps at
+ *   runtime (src/textures/wedgeTexture.js), which also returns the exact a
+ *   for its whole pixels. 'region' cycles through named longitude ranges.
  */
 
 import * as THREE from 'three';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 
 import { SurfaceMesh } from '@/surfaces/SurfaceMesh.js';
-import { NumericalCurve } from '@/curves/NumericalCurve.js';
-import { quadrature } from '@/ode/quadrature.js';
-import { Slider } from '@/ui/Slider.js';
+import { SurfaceOfRevolution } from '@/surfaces/SurfaceOfRevolution.js';
+import { ConstantCurvatureProfile } from '@/curves/ConstantCurvatureProfile.js';
+import { Button } from '@/ui/Button.js';
+import { Readout } from '@/ui/Readout.js';
+import { wedgeTextures } from '@/textures/wedgeTexture.js';
+import { DemoApp } from '@/app/DemoApp.js';
 
 import wedgeEquirectVert from './shaders/wedge-equirect.vert.glsl?raw';
 import wedgeEquirectFrag from './shaders/wedge-equirect.frag.glsl?raw';
-import earthTextureUrl from '@assets/textures/eastern-hemi/eastern-hemi.jpg';
-import earthNightUrl from '@assets/textures/eastern-hemi/eastern-hemi-night.jpg';
+import earthTextureUrl from '@assets/textures/earth-small.jpg';
+import earthNightUrl from '@assets/textures/earth-night.jpg';
 import galaxyTextureUrl from '@assets/textures/galaxy-med.jpg';
 
-// --- Scene setup ---
+let teardown = null;
 
-const scene = new THREE.Scene();
-
-const camera = new THREE.PerspectiveCamera(50, window.innerWidth / window.innerHeight, 0.1, 100);
-camera.position.set(0, 0, 10);
-
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(window.devicePixelRatio);
-document.body.appendChild(renderer.domElement);
-
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.target.set(0, 0, 0);
-
-window.addEventListener('resize', () => {
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
-});
-
-// --- Lighting ---
-
-const lightDistance = 20; //far enough to approximate directional light at the scale of the spindle
-const lightAngle = -30 * Math.PI / 180; // Mid-February lighting. Adjust as desired to show different parts of the Earth in daylight vs. night. 0 is March equinox, -90 is December solstice, +90 is June solstice.
-
-const light = new THREE.DirectionalLight(0xffffff, 5);
-light.position.set(lightDistance*Math.cos(lightAngle),0, lightDistance*Math.sin(lightAngle));
-scene.add(light);
-scene.add(new THREE.AmbientLight(0xffffff, 0.4));
-
-// --- Background ---
-
-const galaxyTexture = new THREE.TextureLoader().load(galaxyTextureUrl);
-galaxyTexture.mapping = THREE.EquirectangularReflectionMapping;
-galaxyTexture.colorSpace = THREE.SRGBColorSpace;
-scene.background = galaxyTexture;
-scene.backgroundIntensity = 0.1;
-
-// --- Profile curve ---
-
-// r(s) = a sin(s),  h(s) = ∫ sqrt(1 - a² cos²(s)) ds
-// a < 1 (spindle/sphere): s ∈ [0, π]         (tip to tip)
-
-function solveProfile(a) {
-  const sMin = a <= 1 ? 0 : Math.acos(1 / a);
-  const sMax = Math.PI - sMin;
-
-  const { ts, values: hValues } = quadrature(
-    s => Math.sqrt(Math.max(0, 1 - a * a * Math.cos(s) ** 2)),
-    sMin, sMax, 400,
-  );
-
-  const totalHeight = hValues[hValues.length - 1];
-  const points = ts.map((s, i) =>
-    new THREE.Vector3(Math.max(0, a * Math.sin(s)), hValues[i] - totalHeight / 2, 0),
-  );
-
-  return { points, a };
+/**
+ * Start the demo, with its canvas and controls in container.
+ *
+ * @param {HTMLElement} container
+ */
+export function mount(container) {
+  // --- Scene, camera, lights, background and loop ---
+
+  const app = new DemoApp(container, {
+    fov: 50,
+    cameraPosition: [0, 0, 10],
+    lightElevation: 0,
+    ambient: 0.4,
+    background: galaxyTextureUrl,
+    backgroundIntensity: 0.1,
+  });
+  const { state } = app;
+
+  // --- Lighting: sunlight in the equatorial plane, turned with the season ---
+
+  // 0 is the March equinox, -90 the December solstice, +90 the June solstice.
+  // The default -30 is mid-February; change it to show different parts of
+  // the Earth in daylight vs. night.
+  const season = state.add('season', -30, { min: -90, max: 90 }); // degrees
+  app.setLight(state.get('light'), season);
+
+  // --- Profile curve ---
+
+  // r(s) = a sin(s),  h(s) = ∫ sqrt(1 - a² cos²(s)) ds
+  // a < 1 (spindle/sphere): s ∈ [0, π]         (tip to tip)
+  // Until the maps load: a half sphere, the eastern hemisphere's a
+
+  const initial = new ConstantCurvatureProfile({ K: 1, family: 'sin', a: 0.5 });
+
+  // --- Surface of revolution ---
+
+  const surface = new SurfaceOfRevolution(initial);
+
+  const mesh = new SurfaceMesh(surface, {
+    roughness: 0.8,
+    metalness: 0.0,
+    uSegments: 96,
+    vSegments: 48,
+    gpu: true, // displaced in the vertex shader: a new region only re-uploads the profile
+    vertexShader: wedgeEquirectVert,
+    fragmentShader: wedgeEquirectFrag,
+    uniforms: {
+      uDay: { value: null },
+      uNight: { value: null },
+      uLightDir: { value: app.lightDirection },
+    },
+  });
+
+  mesh.rotation.x = 23.44 * Math.PI / 180; // axial tilt: the spin is about the tilted axis
+  app.addSurface(mesh);
+
+  // --- Region: crop the maps and fit a to the crop ---
+
+  const REGIONS = ['eastern hemisphere', 'western hemisphere', 'americas', 'pacific', 'africa and europe', 'asia'];
+  let region = REGIONS.indexOf(state.add('region', REGIONS[0], { options: REGIONS }));
+  let images = null;
+
+  const readout = new Readout('loading maps…');
+
+  function setRegion(index) {
+    region = index;
+    const name = REGIONS[region];
+    state.set('region', name);
+    const { textures, a, crop } = wedgeTextures(images, { range: name });
+
+    for (const key of ['uDay', 'uNight']) mesh.uniforms[key].value?.dispose();
+    [mesh.uniforms.uDay.value, mesh.uniforms.uNight.value] = textures;
+
+    surface.setProfile(new ConstantCurvatureProfile({ K: 1, family: 'sin', a }));
+    mesh.rebuild();
+
+    regionButton.setLabel(`region: ${name}`);
+    readout.set([
+      `${name}: ${crop.west.toFixed(2)}° to ${crop.east.toFixed(2)}°`,
+      `a = ${crop.columns} / ${images[0].width} = ${a.toFixed(6)}`,
+    ]);
+  }
+
+  const regionButton = new Button({
+    label: `region: ${REGIONS[region]}`,
+    onClick: () => images && setRegion((region + 1) % REGIONS.length),
+  });
+
+  const loader = new THREE.ImageLoader();
+  let mounted = true;
+  Promise.all([earthTextureUrl, earthNightUrl].map(url => loader.loadAsync(url))).then(loaded => {
+    if (!mounted) return; // unmounted while the maps were loading
+    images = loaded;
+    setRegion(region);
+  }).catch(error => {
+    if (!mounted) return;
+    console.error(error); // the image's error event
+    readout.set('could not load the maps');
+  });
+
+  // --- Animate ---
+
+  app.start();
+
+  // --- Teardown ---
+
+  teardown = () => {
+    mounted = false;
+    app.dispose();
+  };
 }
 
-const initial = solveProfile(0.5);
-
-const profileCurve = new NumericalCurve({
-  points: initial.points,
-  closed: false,
-  curveType: 'catmullrom',
-  tension: 0.5,
-});
-
-// --- Surface of revolution ---
-
-const surface = {
-  evaluate(u, v) {
-    const p = profileCurve.evaluate(v);
-    return new THREE.Vector3(
-      p.x * Math.cos(u),
-      p.y,
-      -p.x * Math.sin(u),
-    );
-  },
-  getDomain() {
-    return { uMin: 0, uMax: 2 * Math.PI, vMin: 0, vMax: 1 };
-  },
-};
-
-const earthTexture = new THREE.TextureLoader().load(earthTextureUrl);
-earthTexture.colorSpace = THREE.SRGBColorSpace;
-earthTexture.wrapS = THREE.RepeatWrapping;
-earthTexture.needsUpdate = true;
-
-const nightTexture = new THREE.TextureLoader().load(earthNightUrl);
-nightTexture.colorSpace = THREE.SRGBColorSpace;
-nightTexture.wrapS = THREE.RepeatWrapping;
-nightTexture.needsUpdate = true;
-
-const lightDir = light.position.clone().normalize();
-
-const mesh = new SurfaceMesh(surface, {
-  roughness: 0.8,
-  metalness: 0.0,
-  uSegments: 96,
-  vSegments: 48,
-  vertexShader: wedgeEquirectVert,
-  fragmentShader: wedgeEquirectFrag,
-  uniforms: {
-    uDay: { value: earthTexture },
-    uNight: { value: nightTexture },
-    a: { value: initial.a },
-    uLightDir: { value: lightDir },
-  },
-});
-
-scene.add(mesh);
-
-// Specific value of a to get adjusted for a custom Earth texture for the eastern hemisphere.
-const imgWidth = 4679; // pixels
-const imgHeight = 4096; // pixels
-
-const a = imgWidth / (2*imgHeight);
-
-// --- Animate ---
-
-const clock = new THREE.Clock();
-
-function animate() {
-  requestAnimationFrame(animate);
-  const time = clock.getElapsedTime();
-  mesh.rotation.x = 23.44 * Math.PI / 180;  // axial tilt
-  mesh.rotation.y = time * 0.1;  // spin around tilted axis
-  controls.update();
-  renderer.render(scene, camera);
+/** Stop the demo and release its WebGL context; the caller removes the container. */
+export function unmount() {
+  teardown?.();
+  teardown = null;
 }
-
-animate();
@@ -1,24 +1,18 @@
 // Equirectangular texture mapping for K=+1 surfaces of revolution.
-// Here we fix the value of a to get exactly the eastern hemisphere.
+// The textures are already cropped to the wedge of the spindle
+// (src/textures/wedgeTexture.js), so they go once around it.
 
-#define PI 3.141592653589793
+#include <sphere>
 
 uniform sampler2D uDay;
 uniform sampler2D uNight;
-uniform float a;
 uniform vec3 uLightDir;
 
 varying vec3 vWorldNormal;
 
 void main() {
-    vec2 uv = vMapUv;
-
-    // Longitude: scale by a (repeats when a > 1)
-    uv.x *= 1.0;
-
-    // Latitude: map to the band [sMin/π, 1 - sMin/π]
-    float sMin = 0.0;
-    uv.y = sMin + uv.y * (1.0 - 2.0 * sMin);
+    // The whole cropped texture, once around
+    vec2 uv = equirectUV(vMapUv, 1.0);
 
     vec4 dayColor = texture2D(uDay, uv);
     vec4 nightColor = texture2D(uNight, uv);
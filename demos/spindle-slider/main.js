@@ -8,158 +8,401 @@
  *   a = 1  →  round sphere
  *   a < 1  →  spindle  (opening angle 2πa)
  *   a > 1  →  barrel
+ *
+ * Click on the surface and drag to shoot geodesics; 'clear' removes them.
+ * In polygon mode, clicks place the vertices of a geodesic polygon and the
+ * readout checks Gauss–Bonnet: Σ angles - (n - 2)π against K · Area.
+ *
+ * 'play' animates a through spindle → sphere → barrel and back. The
+ * deformation is isometric, and the shader maps the texture with the same
+ * a (longitude scaled by a), so the continents stay on the same material
+ * points while the shape changes. The geometry is refilled in place each
+ * frame, on this thread so it matches the shader's a; geodesics and polygons are hidden while it plays and retraced on
+ * pause.
+ *
+ * 'wedge view' puts the unit sphere beside the surface with the piece it is
+ * cut from highlighted: the lune of angle 2πa, or for a barrel the band
+ * [arccos 1/a, π - arccos 1/a], brighter where it wraps over itself.
+ * 'peel' bends the surface isometrically open onto that lune
+ * (src/surfaces/SpindlePeel.js), and back.
+ *
+ * 'export glTF' downloads the surface in its current shape, with the
+ * shader's picture (light and all) baked into its texture, for Blender.
  */
 
 import * as THREE from 'three';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 
 import { SurfaceMesh } from '@/surfaces/SurfaceMesh.js';
-import { NumericalCurve } from '@/curves/NumericalCurve.js';
-import { quadrature } from '@/ode/quadrature.js';
+import { SurfaceOfRevolution } from '@/surfaces/SurfaceOfRevolution.js';
+import { SpindlePeel } from '@/surfaces/SpindlePeel.js';
+import { ConstantCurvatureProfile } from '@/curves/ConstantCurvatureProfile.js';
+import { GeodesicShooter } from '@/interaction/GeodesicShooter.js';
+import { GeodesicPolygonTool } from '@/interaction/GeodesicPolygonTool.js';
+import { Timeline } from '@/animation/Timeline.js';
+import { easeInOutCubic, easeInOutSine } from '@/animation/easing.js';
+import { bakeTexture } from '@/export/bakeTexture.js';
+import { exportGLB } from '@/export/exportSurface.js';
+import { download } from '@/export/download.js';
 import { Slider } from '@/ui/Slider.js';
+import { Button } from '@/ui/Button.js';
+import { Readout } from '@/ui/Readout.js';
+import { sphericalSMin } from '@/shaders/maps.js';
+import { DemoApp } from '@/app/DemoApp.js';
 
 import wedgeEquirectVert from './shaders/wedge-equirect.vert.glsl?raw';
 import wedgeEquirectFrag from './shaders/wedge-equirect.frag.glsl?raw';
+import luneFrag from './shaders/lune.frag.glsl?raw';
 import earthTextureUrl from '@assets/textures/earth-large.jpg';
 import earthNightUrl from '@assets/textures/earth-night.jpg';
 import galaxyTextureUrl from '@assets/textures/galaxy-med.jpg';
 
-// --- Scene setup ---
-
-const scene = new THREE.Scene();
-
-const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 100);
-camera.position.set(0, 2, 5);
-
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(window.devicePixelRatio);
-document.body.appendChild(renderer.domElement);
-
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.target.set(0, 0, 0);
-
-window.addEventListener('resize', () => {
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
-});
-
-// --- Lighting ---
-
-const light = new THREE.DirectionalLight(0xffffff, 5);
-light.position.set(5, Math.tan(20 * Math.PI / 180) * 5, 0); // 20° elevation
-scene.add(light);
-scene.add(new THREE.AmbientLight(0xffffff, 0.5));
-
-// --- Background ---
-
-const galaxyTexture = new THREE.TextureLoader().load(galaxyTextureUrl);
-galaxyTexture.mapping = THREE.EquirectangularReflectionMapping;
-galaxyTexture.colorSpace = THREE.SRGBColorSpace;
-scene.background = galaxyTexture;
-scene.backgroundIntensity = 0.25;
-
-// --- Profile curve ---
-
-// r(s) = a sin(s),  h(s) = ∫ sqrt(1 - a² cos²(s)) ds
-// a ≤ 1 (spindle/sphere): s ∈ [0, π]         (tip to tip)
-// a > 1 (barrel):         s ∈ [arccos 1/a, π - arccos 1/a]  (edge to edge)
+let teardown = null;
 
-function solveProfile(a) {
-  const sMin = a <= 1 ? 0 : Math.acos(1 / a);
-  const sMax = Math.PI - sMin;
-
-  const { ts, values: hValues } = quadrature(
-    s => Math.sqrt(Math.max(0, 1 - a * a * Math.cos(s) ** 2)),
-    sMin, sMax, 400,
-  );
-
-  const totalHeight = hValues[hValues.length - 1];
-  const points = ts.map((s, i) =>
-    new THREE.Vector3(Math.max(0, a * Math.sin(s)), hValues[i] - totalHeight / 2, 0),
+/**
+ * Start the demo, with its canvas and controls in container.
+ *
+ * @param {HTMLElement} container
+ */
+export function mount(container) {
+  // --- Scene, camera, lights, background and loop ---
+
+  const app = new DemoApp(container, { fov: 75, background: galaxyTextureUrl });
+  const { camera, renderer, state } = app;
+
+  // --- Profile curve ---
+
+  // r(s) = a sin(s),  h(s) = ∫ sqrt(1 - a² cos²(s)) ds
+  // a ≤ 1 (spindle/sphere): s ∈ [0, π]         (tip to tip)
+  // a > 1 (barrel):         s ∈ [arccos 1/a, π - arccos 1/a]  (edge to edge)
+
+  const initial = new ConstantCurvatureProfile({ K: 1, family: 'sin', a: state.add('a', 0.5, { min: 0.05, max: 2 }) });
+
+  // --- Surface of revolution ---
+
+  const surface = new SurfaceOfRevolution(initial);
+
+  const earthTexture = new THREE.TextureLoader().load(earthTextureUrl);
+  earthTexture.colorSpace = THREE.SRGBColorSpace;
+  earthTexture.wrapS = THREE.RepeatWrapping;
+  earthTexture.needsUpdate = true;
+
+  const nightTexture = new THREE.TextureLoader().load(earthNightUrl);
+  nightTexture.colorSpace = THREE.SRGBColorSpace;
+  nightTexture.wrapS = THREE.RepeatWrapping;
+  nightTexture.needsUpdate = true;
+
+  const mesh = new SurfaceMesh(surface, {
+    roughness: 0.8,
+    metalness: 0.0,
+    uSegments: 96,
+    vSegments: 48,
+    worker: true, // tessellate off the main thread while the slider drags (see setShape)
+    vertexShader: wedgeEquirectVert,
+    fragmentShader: wedgeEquirectFrag,
+    uniforms: {
+      uDay: { value: earthTexture },
+      uNight: { value: nightTexture },
+      a: { value: initial.a },
+      uLightDir: { value: app.lightDirection },
+    },
+  });
+
+  app.addSurface(mesh);
+
+  // --- Wedge view: the unit sphere the surface is cut from ---
+
+  const sphere = new SurfaceMesh(
+    new SurfaceOfRevolution(new ConstantCurvatureProfile({ K: 1, family: 'sin', a: 1 })),
+    {
+      roughness: 0.8,
+      metalness: 0.0,
+      uSegments: 96,
+      vSegments: 48,
+      fragmentShader: luneFrag,
+      uniforms: {
+        uDay: { value: earthTexture },
+        a: mesh.uniforms.a, // shared, so the lune follows the slider
+      },
+    },
   );
-
-  return { points, a };
+  sphere.visible = false;
+  app.addSurface(sphere);
+
+  let wedgeView = false;
+
+  function setWedgeView(on) {
+    wedgeView = on;
+    sphere.visible = on;
+    mesh.position.x = on ? -1.4 : 0;
+    sphere.position.x = on ? 1.4 : 0;
+    wedgeButton.setLabel(`wedge view: ${on ? 'on' : 'off'}`);
+    state.set('wedge', on);
+    updateReadout();
+  }
+
+  function wedgeLines(a) {
+    if (a <= 1) {
+      return [`lune of angle 2πa = ${(2 * a).toFixed(2)}π on the unit sphere`];
+    }
+    const sMin = sphericalSMin(a);
+    return [
+      `band s ∈ [arccos 1/a, π - arccos 1/a] = [${sMin.toFixed(2)}, ${(Math.PI - sMin).toFixed(2)}]`,
+      `wrapped ${a.toFixed(2)} times around the sphere`,
+    ];
+  }
+
+  // --- Geodesics: click and drag on the surface ---
+
+  const shooter = new GeodesicShooter({ camera, domElement: renderer.domElement, meshes: mesh });
+
+  // --- Geodesic polygons: click to place vertices ---
+
+  const readout = new Readout();
+  readout.container.hidden = true;
+  let polygonLines = [];
+
+  function updateReadout() {
+    const lines = [
+      ...(wedgeView ? wedgeLines(mesh.uniforms.a.value) : []),
+      ...(polygonMode ? polygonLines : []),
+    ];
+    readout.container.hidden = lines.length === 0;
+    readout.set(lines);
+  }
+
+  function showGaussBonnet(polygon) {
+    polygonLines = gaussBonnetLines(polygon);
+    updateReadout();
+  }
+
+  function gaussBonnetLines(polygon) {
+    const n = polygonTool.vertices.length;
+    if (!polygon) {
+      return [`${n} vertices`, 'click to place polygon vertices'];
+    }
+    const lines = [
+      `${n} vertices`,
+      `Σ angles - (n - 2)π = ${polygon.excess.toFixed(6)}`,
+    ];
+    if (polygon.encirclesAxis) {
+      lines.push('winds around the axis: area not computed');
+    } else {
+      lines.push(`K · Area = ${(surface.profile.K * polygon.area).toFixed(6)}`);
+      lines.push(`(Area = ${polygon.area.toFixed(6)})`);
+    }
+    if (!polygon.converged) lines.push('an edge did not converge');
+    return lines;
+  }
+
+  const polygonTool = new GeodesicPolygonTool({
+    camera, domElement: renderer.domElement, mesh, onChange: showGaussBonnet,
+  });
+  polygonTool.enabled = false;
+
+  // --- Rebuild for a given value of a ---
+
+  const peelSurface = new SpindlePeel(initial.a);
+  let peel = 0; // 0: the closed surface, 1: peeled open onto the sphere
+
+  // The shader's a is set at once, so the geometry must keep up: playback and
+  // the peel rebuild here, in place, and only slider drags go to the worker
+  // (where the new shape lands a frame or two after its texture scale).
+  function setShape(a) {
+    mesh.worker = !timeline.playing && !peelTimeline.playing;
+    mesh.uniforms.a.value = a;
+    if (peel > 0) {
+      peelSurface.set(a, peel);
+      mesh.surface = peelSurface;
+    } else {
+      surface.setProfile(new ConstantCurvatureProfile({ K: 1, family: 'sin', a }));
+      mesh.surface = surface;
+    }
+    mesh.rebuild();
+    if (wedgeView) updateReadout();
+  }
+
+  function setA(a) {
+    timeline.seekValue(a); // play resumes from here
+    setShape(a);
+    state.set('a', a);
+    if (timeline.playing) {
+      pause();
+    } else if (toolsShown) {
+      shooter.refresh();
+      polygonTool.refresh();
+    }
+  }
+
+  // --- Animation: spindle → sphere → barrel and back ---
+
+  const timeline = new Timeline({
+    keyframes: [
+      { time: 0, value: 0.5 },
+      { time: 3, value: 1 },
+      { time: 6, value: 1.5 },
+    ],
+    loop: 'pingpong',
+    easing: easeInOutCubic,
+    speed: state.add('speed', 1, { min: 0.1, max: 3 }),
+  });
+  timeline.seekValue(initial.a);
+
+  // --- Peel: open the surface onto the sphere and close it again ---
+
+  const peelTimeline = new Timeline({
+    keyframes: [{ time: 0, value: 0 }, { time: 1, value: 1 }],
+    loop: 'once',
+    easing: easeInOutSine,
+  });
+
+  let peelTarget = 0;
+
+  function peelTo(target) {
+    peelTarget = target;
+    peelButton.setLabel(target === 1 ? 'close up' : 'peel onto sphere');
+    if (target === peel) return;
+    peelTimeline.keyframes = [
+      { time: 0, value: peel },
+      { time: 2 * Math.abs(target - peel), value: target },
+    ];
+    peelTimeline.seek(0);
+    peelTimeline.play();
+    updateTools();
+  }
+
+  // --- Tools ---
+
+  let polygonMode = false;
+  let toolsShown = true;
+
+  // Geodesics and polygons live on the closed surface. Retracing every one
+  // each frame is too slow, so they are hidden while the shape animates or is
+  // peeled, and retraced when it settles.
+  function updateTools() {
+    const active = !timeline.playing && !peelTimeline.playing && peel === 0;
+    if (active && !toolsShown) {
+      shooter.refresh();
+      polygonTool.refresh();
+    }
+    toolsShown = active;
+    shooter.setVisible(active);
+    polygonTool.group.visible = active;
+    polygonTool.enabled = active && polygonMode;
+    shooter.enabled = active && !polygonMode;
+  }
+
+  function play() {
+    timeline.play();
+    playButton.setLabel('pause');
+    updateTools();
+  }
+
+  function pause() {
+    timeline.pause();
+    state.set('a', mesh.uniforms.a.value); // the shape it stopped at
+    playButton.setLabel('play');
+    updateTools();
+  }
+
+  // --- Sliders ---
+
+  const aSlider = new Slider({ label: 'a', min: 0.05, max: 2, step: 0.01, value: initial.a, onChange: setA });
+
+  new Slider({
+    label: 'speed', min: 0.1, max: 3, step: 0.05, value: timeline.speed,
+    format: v => `speed = ${v.toFixed(2)}×`,
+    onChange: v => {
+      timeline.speed = v;
+      state.set('speed', v);
+    },
+  });
+
+  // --- Buttons ---
+
+  const playButton = new Button({
+    label: 'play',
+    onClick: () => (timeline.playing ? pause() : play()),
+  });
+
+  const modeButton = new Button({
+    label: 'mode: shoot geodesics',
+    onClick: () => {
+      polygonMode = !polygonMode;
+      updateTools();
+      modeButton.setLabel(polygonMode ? 'mode: polygon' : 'mode: shoot geodesics');
+      showGaussBonnet(polygonTool.polygon);
+    },
+  });
+
+  const wedgeButton = new Button({
+    label: 'wedge view: off',
+    onClick: () => setWedgeView(!wedgeView),
+  });
+  setWedgeView(state.add('wedge', false));
+
+  const peelButton = new Button({
+    label: 'peel onto sphere',
+    onClick: () => peelTo(1 - peelTarget),
+  });
+
+  new Button({
+    label: 'clear',
+    onClick: () => {
+      shooter.clear();
+      polygonTool.clear();
+    },
+  });
+
+  // The surface as it is now, with the earth the shader draws baked in. A
+  // failure (a render target the GPU can't read back, say) shows on the
+  // button for a moment.
+  const exportButton = new Button({
+    label: 'export glTF',
+    onClick: async () => {
+      exportButton.setLabel('baking…');
+      try {
+        const texture = await bakeTexture(renderer, mesh, { size: 2048 });
+        download(exportGLB(mesh, { texture }), `spindle-a${mesh.uniforms.a.value.toFixed(2)}.glb`);
+        exportButton.setLabel('export glTF');
+      } catch (error) {
+        console.error(error);
+        exportButton.setLabel('export failed');
+        setTimeout(() => exportButton.setLabel('export glTF'), 2000);
+      }
+    },
+  });
+
+  // --- Animate ---
+
+  app.onFrame(delta => {
+    const peeling = peelTimeline.playing;
+    if (peeling) {
+      peel = peelTimeline.update(delta);
+    }
+    if (timeline.playing || peeling) {
+      const a = timeline.playing ? timeline.update(delta) : mesh.uniforms.a.value;
+      setShape(a);
+      aSlider.setValue(a);
+    }
+    if (peeling && !peelTimeline.playing) {
+      updateTools(); // settled: closed up again, or open on the sphere
+    }
+    shooter.update(delta);
+  });
+
+  app.start();
+
+  // --- Teardown ---
+
+  teardown = () => {
+    shooter.dispose();
+    polygonTool.dispose();
+    app.dispose();
+  };
 }
 
-const initial = solveProfile(0.5);
-
-const profileCurve = new NumericalCurve({
-  points: initial.points,
-  closed: false,
-  curveType: 'catmullrom',
-  tension: 0.5,
-});
-
-// --- Surface of revolution ---
-
-const surface = {
-  evaluate(u, v) {
-    const p = profileCurve.evaluate(v);
-    return new THREE.Vector3(
-      p.x * Math.cos(u),
-      p.y,
-      -p.x * Math.sin(u),
-    );
-  },
-  getDomain() {
-    return { uMin: 0, uMax: 2 * Math.PI, vMin: 0, vMax: 1 };
-  },
-};
-
-const earthTexture = new THREE.TextureLoader().load(earthTextureUrl);
-earthTexture.colorSpace = THREE.SRGBColorSpace;
-earthTexture.wrapS = THREE.RepeatWrapping;
-earthTexture.needsUpdate = true;
-
-const nightTexture = new THREE.TextureLoader().load(earthNightUrl);
-nightTexture.colorSpace = THREE.SRGBColorSpace;
-nightTexture.wrapS = THREE.RepeatWrapping;
-nightTexture.needsUpdate = true;
-
-const lightDir = light.position.clone().normalize();
-
-const mesh = new SurfaceMesh(surface, {
-  roughness: 0.8,
-  metalness: 0.0,
-  uSegments: 96,
-  vSegments: 48,
-  vertexShader: wedgeEquirectVert,
-  fragmentShader: wedgeEquirectFrag,
-  uniforms: {
-    uDay: { value: earthTexture },
-    uNight: { value: nightTexture },
-    a: { value: initial.a },
-    uLightDir: { value: lightDir },
-  },
-});
-
-scene.add(mesh);
-
-// --- Rebuild for a given value of a ---
-
-function setA(a) {
-  const { points } = solveProfile(a);
-  profileCurve.updatePoints(points);
-  mesh.uniforms.a.value = a;
-  mesh.rebuild();
+/** Stop the demo and release its WebGL context; the caller removes the container. */
+export function unmount() {
+  teardown?.();
+  teardown = null;
 }
-
-// --- Slider ---
-
-new Slider({ label: 'a', min: 0.05, max: 2, step: 0.01, value: 0.5, onChange: setA });
-
-// --- Animate ---
-
-const clock = new THREE.Clock();
-
-function animate() {
-  requestAnimationFrame(animate);
-  const time = clock.getElapsedTime();
-  mesh.rotation.y = time * 0.1;
-  controls.update();
-  renderer.render(scene, camera);
-}
-
-animate();
@@ -0,0 +1,43 @@
+// The unit sphere with the piece the K=+1 surface is cut from highlighted.
+// a ≤ 1 (spindle): the lune λ ∈ [0, 2πa]
+// a > 1 (barrel):  the band s ∈ [acos 1/a, π - acos 1/a], wrapped a times
+
+#include <sphere>
+
+uniform sampler2D uDay;
+uniform float a;
+
+const vec3 EDGE = vec3(1.0, 0.8, 0.3);
+
+float lineMask(float d) {
+    return 1.0 - smoothstep(0.0, 1.5 * fwidth(d), d);
+}
+
+void main() {
+    // On the unit sphere (a = 1) the mesh uv is (λ/2π, s/π)
+    vec2 uv = vMapUv;
+    vec4 color = texture2D(uDay, uv);
+
+    float sMin = sphericalSMin(a) / PI;
+    float inBand = step(sMin, uv.y) * step(uv.y, 1.0 - sMin);
+
+    // Sheets of the surface over this point: λ/2π + k < a for k = 0, 1, ...
+    float sheets = inBand * max(0.0, ceil(a - uv.x));
+
+    // Dim what the surface does not cover, warm up where it overlaps itself
+    vec3 grey = vec3(dot(color.rgb, vec3(0.3, 0.59, 0.11)));
+    color.rgb = sheets > 0.0
+        ? mix(color.rgb, EDGE, 0.2 * min(sheets - 1.0, 3.0))
+        : 0.25 * grey;
+
+    // Edges: the meridians λ = 0 and λ = 2πa, and the band's boundary
+    float meridian = min(min(uv.x, 1.0 - uv.x), abs(fract(uv.x - a + 0.5) - 0.5));
+    float edge = inBand * lineMask(meridian);
+    if (sMin > 0.0) {
+        edge = max(edge, lineMask(abs(uv.y - sMin)));
+        edge = max(edge, lineMask(abs(uv.y - (1.0 - sMin))));
+    }
+    color.rgb = mix(color.rgb, EDGE, edge);
+
+    csm_DiffuseColor = color;
+}
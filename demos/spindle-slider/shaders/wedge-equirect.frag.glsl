@@ -2,7 +2,7 @@
 // a ≤ 1 (spindle): longitude wedge of width a, full latitude
 // a > 1 (barrel):  longitude wraps a times, latitude band around equator
 
-#define PI 3.141592653589793
+#include <sphere>
 
 uniform sampler2D uDay;
 uniform sampler2D uNight;
@@ -12,14 +12,8 @@ uniform vec3 uLightDir;
 varying vec3 vWorldNormal;
 
 void main() {
-    vec2 uv = vMapUv;
-
-    // Longitude: scale by a (repeats when a > 1)
-    uv.x *= a;
-
-    // Latitude: map to the band [sMin/π, 1 - sMin/π]
-    float sMin = (a <= 1.0) ? 0.0 : acos(1.0 / a) / PI;
-    uv.y = sMin + uv.y * (1.0 - 2.0 * sMin);
+    // Longitude scaled by a, latitude mapped to the band [sMin/π, 1 - sMin/π]
+    vec2 uv = equirectUV(vMapUv, a);
 
     vec4 dayColor = texture2D(uDay, uv);
     vec4 nightColor = texture2D(uNight, uv);
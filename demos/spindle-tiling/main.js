@@ -0,0 +1,185 @@
+/**
+ * Spherical tilings and orbifold patterns on the spindle / sphere / barrel
+ *
+ * Constant Gaussian curvature K = +1, profile r(s) = a sin(s). The surface
+ * is locally the unit sphere with longitude scaled by a: the shader sends
+ * each point to S², covering a wedge of angle 2πa for a spindle and
+ * wrapping around more than once for a barrel. There it is colored by the
+ * tiling of a spherical reflection group, with mirrors computed in JS
+ * (src/tilings/triangleGroup.js) and passed in as uniforms:
+ *
+ *   *nn    dihedral: 2n lunes
+ *   *22n   prismatic: the (2, 2, n) triangle group
+ *   *233   tetrahedral, *234 octahedral, *235 icosahedral
+ *
+ * One vertex of the triangle sits on the axis. If its order is m the
+ * pattern is symmetric under rotation by 2π/m, so it closes up without a
+ * seam exactly when m·a is an integer: a = 1/n spindles carry *nn and *22n,
+ * and every pattern fits the sphere. 'snap a' moves a to the nearest k/m.
+ */
+
+import { SurfaceMesh } from '@/surfaces/SurfaceMesh.js';
+import { SurfaceOfRevolution } from '@/surfaces/SurfaceOfRevolution.js';
+import { ConstantCurvatureProfile } from '@/curves/ConstantCurvatureProfile.js';
+import {
+  triangleGroup, dihedralGroup, alignToAxis, isSeamless, createMirrorUniforms, setMirrorUniforms,
+} from '@/tilings/triangleGroup.js';
+import { Slider } from '@/ui/Slider.js';
+import { Button } from '@/ui/Button.js';
+import { Readout } from '@/ui/Readout.js';
+import { DemoApp } from '@/app/DemoApp.js';
+
+import tilingFrag from './shaders/tiling.frag.glsl?raw';
+
+let teardown = null;
+
+/**
+ * Start the demo, with its canvas and controls in container.
+ *
+ * @param {HTMLElement} container
+ */
+export function mount(container) {
+  // --- Scene, camera, lights, background and loop ---
+
+  const app = new DemoApp(container, { fov: 50 });
+  const { state } = app;
+
+  // --- Surface ---
+
+  const initialA = state.add('a', 1 / 3, { min: 0.05, max: 2 });
+
+  const surface = new SurfaceOfRevolution(new ConstantCurvatureProfile({ K: 1, family: 'sin', a: initialA }));
+
+  const uniforms = {
+    uA: { value: initialA },
+    ...createMirrorUniforms(),
+  };
+
+  const mesh = new SurfaceMesh(surface, {
+    roughness: 0.6,
+    metalness: 0.1,
+    uSegments: 96,
+    vSegments: 48,
+    worker: true, // tessellate off the main thread while the slider drags
+    fragmentShader: tilingFrag,
+    uniforms,
+  });
+
+  app.addSurface(mesh);
+
+  // --- Patterns ---
+
+  const PATTERNS = [
+    { name: '*nn',  label: 'dihedral',    group: n => dihedralGroup(n) },
+    { name: '*22n', label: 'prismatic',   group: n => triangleGroup(2, 2, n) },
+    { name: '*233', label: 'tetrahedral', group: () => triangleGroup(2, 3, 3) },
+    { name: '*234', label: 'octahedral',  group: () => triangleGroup(2, 3, 4) },
+    { name: '*235', label: 'icosahedral', group: () => triangleGroup(2, 3, 5) },
+  ];
+
+  const patternNames = PATTERNS.map(pattern => pattern.name);
+  const params = {
+    a: initialA,
+    pattern: patternNames.indexOf(state.add('pattern', '*nn', { options: patternNames })),
+    n: state.add('n', 3, { min: 2, max: 12, integer: true }),
+    vertex: state.add('vertex', 2, { options: [0, 1, 2] }),
+  };
+  const readout = new Readout();
+  let axisOrder = 1;
+
+  function update() {
+    const pattern = PATTERNS[params.pattern];
+    let group = pattern.group(params.n);
+    if (group.orders.length === 3) {
+      group = alignToAxis(group, params.vertex);
+    }
+    axisOrder = group.axisOrder;
+    setMirrorUniforms(uniforms, group);
+    state.set('a', params.a);
+    state.set('pattern', pattern.name);
+    state.set('n', params.n);
+    state.set('vertex', params.vertex);
+
+    const name = pattern.name.replace('n', params.n);
+    const tiles = Math.round(4 * Math.PI / group.area);
+    readout.set([
+      `${pattern.label} ${name}: ${tiles} tiles on the sphere`,
+      `${axisOrder}-fold axis, cone angle 2πa = ${(2 * params.a).toFixed(4)}π`,
+      isSeamless(axisOrder, params.a)
+        ? `seamless: ${axisOrder}·a = ${Math.round(axisOrder * params.a)}`
+        : `seam: ${axisOrder}·a = ${(axisOrder * params.a).toFixed(4)} is not an integer`,
+    ]);
+  }
+
+  function setA(a) {
+    params.a = a;
+    surface.setProfile(new ConstantCurvatureProfile({ K: 1, family: 'sin', a }));
+    uniforms.uA.value = a;
+    mesh.rebuild();
+    update();
+  }
+
+  update();
+
+  // --- Sliders ---
+
+  const nSlider = new Slider({
+    label: 'n', min: 2, max: 12, step: 1, value: params.n,
+    format: v => `n = ${v}`,
+    onChange: v => {
+      params.n = v;
+      update();
+    },
+  });
+  nSlider.container.hidden = !PATTERNS[params.pattern].name.includes('n');
+
+  const aSlider = new Slider({
+    label: 'a', min: 0.05, max: 2, step: 0.01, value: initialA,
+    format: v => `a = ${v.toFixed(4)}`,
+    onChange: setA,
+  });
+
+  // --- Buttons ---
+
+  const patternButton = new Button({
+    label: `pattern: ${PATTERNS[params.pattern].name}`,
+    onClick: () => {
+      params.pattern = (params.pattern + 1) % PATTERNS.length;
+      const pattern = PATTERNS[params.pattern];
+      patternButton.setLabel(`pattern: ${pattern.name}`);
+      nSlider.container.hidden = !pattern.name.includes('n');
+      update();
+    },
+  });
+
+  new Button({
+    label: 'axis: next vertex',
+    onClick: () => {
+      params.vertex = (params.vertex + 2) % 3;
+      update();
+    },
+  });
+
+  new Button({
+    label: 'snap a',
+    onClick: () => {
+      const a = Math.max(1, Math.round(params.a * axisOrder)) / axisOrder;
+      aSlider.setValue(a);
+      setA(a);
+    },
+  });
+
+  // --- Animate ---
+
+  app.start();
+
+  // --- Teardown ---
+
+  teardown = () => app.dispose();
+}
+
+/** Stop the demo and release its WebGL context; the caller removes the container. */
+export function unmount() {
+  teardown?.();
+  teardown = null;
+}
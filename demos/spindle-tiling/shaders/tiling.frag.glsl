@@ -0,0 +1,66 @@
+// Spherical reflection group tiling for K=+1 surfaces of revolution.
+//
+// The spindle / sphere / barrel with parameter a is locally the unit sphere
+// with longitude scaled by a, so each surface point has a point on S²:
+//
+//   s = arc length from the tip (the band [acos(1/a), π - acos(1/a)] for a barrel)
+//   λ = 2πa · u                                 (wraps past 2π when a > 1)
+//   x = (sin s cos λ, -cos s, -sin s sin λ)
+//
+// (uvToSphere in the chunk library, src/shaders/chunks/sphere.glsl). There
+// the mirrors of a spherical (p,q,r) triangle are planes through the
+// origin with unit normals computed in JS by src/tilings/triangleGroup.js.
+
+uniform float uA;
+
+#define MAX_MIRRORS 12
+uniform vec3 uMirrors[MAX_MIRRORS];  // unit normals, pointing into the triangle
+uniform int uMirrorCount;
+
+#include <sphere>
+#include <reflections>
+
+// =====================================================================
+// Tiling: reflect into the fundamental triangle, color by parity
+// =====================================================================
+
+const vec3 CREAM = vec3(0.85, 0.8, 0.75);
+const vec3 SLATE = vec3(0.35, 0.4, 0.45);
+
+vec4 tilingColor(vec3 x) {
+    int foldCount = 0;
+    for (int i = 0; i < 100; i++) {
+        bool moved = false;
+        for (int k = 0; k < MAX_MIRRORS; k++) {
+            if (k >= uMirrorCount) break;
+            if (dot(x, uMirrors[k]) < 0.0) {
+                x = reflectInPlane(x, uMirrors[k]);
+                foldCount++;
+                moved = true;
+            }
+        }
+        if (!moved) break;
+    }
+
+    // Color by parity
+    float parity = mod(float(foldCount), 2.0);
+    vec3 color = (parity < 0.5) ? CREAM : SLATE;
+
+    // Edge lines: spherical distance to the nearest mirror
+    float d = PI;
+    for (int k = 0; k < MAX_MIRRORS; k++) {
+        if (k >= uMirrorCount) break;
+        d = min(d, asin(clamp(abs(dot(x, uMirrors[k])), 0.0, 1.0)));
+    }
+    float edge = fwidth(d) * 1.5;
+    float line = 1.0 - smoothstep(0.0, edge, d);
+    color = mix(color, vec3(1.0), 0.6 * line);
+
+    return vec4(color, 1.0);
+}
+
+// =====================================================================
+
+void main() {
+    csm_DiffuseColor = tilingColor(uvToSphere(vMapUv, uA));
+}
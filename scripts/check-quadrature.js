@@ -0,0 +1,34 @@
+/**
+ * Check integrate() on endpoint singularities, offline.
+ *
+ * Each integral is known in closed form. It passes when the value is finite
+ * and within the error integrate() reports, and that error is small. The
+ * ones with the singularity away from 0 are there because nodes closer to
+ * such an endpoint than the spacing of floats round onto it.
+ *
+ * Usage:
+ *   npm run check-quadrature
+ */
+
+import { integrate } from '../src/ode/quadrature.js';
+
+const CASES = [
+  { name: '∫ 1/√x on [0, 1]', f: x => 1 / Math.sqrt(x), a: 0, b: 1, exact: 2 },
+  { name: '∫ 1/√(x - 1) on [1, 2]', f: x => 1 / Math.sqrt(x - 1), a: 1, b: 2, exact: 2 },
+  { name: '∫ 1/√(2 - x) on [1, 2]', f: x => 1 / Math.sqrt(2 - x), a: 1, b: 2, exact: 2 },
+  { name: '∫ log(x - 3) on [3, 4]', f: x => Math.log(x - 3), a: 3, b: 4, exact: -1 },
+];
+
+// Loose enough for the float spacing at 1, tight enough to catch a lost singularity
+const MAX_ERROR = 1e-6;
+
+let failed = 0;
+for (const { name, f, a, b, exact } of CASES) {
+  const { value, error } = integrate(f, a, b);
+  const actual = Math.abs(value - exact);
+  const ok = Number.isFinite(value) && actual <= Math.max(error, 1e-12) && error <= MAX_ERROR;
+  if (!ok) failed++;
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${name} = ${value} (error ${actual.toExponential(1)}, estimated ${error.toExponential(1)})`);
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,97 @@
+/**
+ * Export a surface to STL, OBJ or glTF, offline.
+ *
+ * The Node counterpart of the demos' export buttons, with the same writers
+ * (src/export/exportSurface.js). The surface is a constant curvature
+ * surface of revolution given by its profile, or any surface description
+ * that toJSON() produces, read from a file. The format follows the output's
+ * extension.
+ *
+ * Usage:
+ *   npm run export-surface -- --a 0.5 --scale 40 --out spindle.stl
+ *   npm run export-surface -- --K=-1 --family sinh --a 0.25 --flip --scale 40 --thickness 1.5 --offset 1 --out pseudosphere.stl
+ *   npm run export-surface -- --a 1.5 --segments 192,96 --out barrel.obj
+ *   npm run export-surface -- --a 0.5 --texture earth-small-a0.5.jpg --out spindle.glb
+ *   npm run export-surface -- --json surface.json --out surface.glb
+ *
+ * Options:
+ *   --K=<K> --family <f> --a <a> [--flip]  the profile (K = 1, family from the sign of K)
+ *   --json <file>              a surface description from toJSON(), instead
+ *   --out <file>               .stl, .obj or .glb
+ *   --segments <u,v>           grid resolution (default 128,64)
+ *   --adaptive                 adaptive rows (see src/surfaces/adaptiveGrid.js)
+ *   --scale <s>                file units per surface unit (default 1; STL slicers read mm)
+ *   --thickness <t>            STL: shell thickness in file units (default 0, a solid)
+ *   --offset <f>               STL: where the surface sits in the shell, 0 outside to 1 inside
+ *   --ascii                    STL: text instead of binary
+ *   --texture <image>          glTF: a PNG or JPEG laid out in (u, v), such as a wedge texture
+ */
+
+import path from 'node:path';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { exportSTL, exportOBJ, exportGLB } from '../src/export/exportSurface.js';
+import { surfaceFromJSON } from '../src/surfaces/surfaceFromJSON.js';
+import { SurfaceOfRevolution } from '../src/surfaces/SurfaceOfRevolution.js';
+import { ConstantCurvatureProfile } from '../src/curves/ConstantCurvatureProfile.js';
+
+const { values } = parseArgs({
+  options: {
+    'K': { type: 'string', default: '1' },
+    'family': { type: 'string' },
+    'a': { type: 'string' },
+    'flip': { type: 'boolean', default: false },
+    'json': { type: 'string' },
+    'out': { type: 'string' },
+    'segments': { type: 'string', default: '128,64' },
+    'adaptive': { type: 'boolean', default: false },
+    'scale': { type: 'string', default: '1' },
+    'thickness': { type: 'string', default: '0' },
+    'offset': { type: 'string', default: '0' },
+    'ascii': { type: 'boolean', default: false },
+    'texture': { type: 'string' },
+  },
+});
+
+const format = values.out && path.extname(values.out).slice(1).toLowerCase();
+if (!['stl', 'obj', 'glb'].includes(format) || (values.a === undefined) === (values.json === undefined)) {
+  console.error('usage: export-surface (--a <a> [--K=<K>] [--family <f>] [--flip] | --json <file>) --out <file.stl|obj|glb>');
+  console.error('       [--segments <u,v>] [--adaptive] [--scale <s>] [--thickness <t>] [--offset <f>] [--ascii] [--texture <image>]');
+  process.exit(1);
+}
+
+// --- Surface ---
+
+const surface = values.json
+  ? surfaceFromJSON(JSON.parse(await readFile(values.json, 'utf8')))
+  : new SurfaceOfRevolution(new ConstantCurvatureProfile({
+    K: Number(values.K), family: values.family, a: Number(values.a), flip: values.flip,
+  }));
+
+const [uSegments, vSegments] = values.segments.split(',').map(Number);
+const name = path.parse(values.out).name;
+const options = { uSegments, vSegments, adaptive: values.adaptive, scale: Number(values.scale), name };
+
+// --- Export ---
+
+let data;
+switch (format) {
+  case 'stl':
+    data = exportSTL(surface, {
+      ...options, thickness: Number(values.thickness), offset: Number(values.offset), binary: !values.ascii,
+    });
+    break;
+  case 'obj':
+    data = exportOBJ(surface, options);
+    break;
+  case 'glb':
+    data = exportGLB(surface, { ...options, texture: values.texture && await readFile(values.texture) });
+    break;
+}
+
+await mkdir(path.dirname(values.out), { recursive: true });
+await writeFile(values.out, typeof data === 'string' ? data : new Uint8Array(data));
+
+const bytes = typeof data === 'string' ? Buffer.byteLength(data) : data.byteLength;
+console.log(`${values.out}: ${(bytes / 1024).toFixed(0)} KiB`);
@@ -0,0 +1,125 @@
+/**
+ * Crop equirectangular maps to wedge-ready textures, offline.
+ *
+ * The Node counterpart of src/textures/wedgeTexture.js, using the same
+ * arithmetic (src/textures/wedgeCrop.js) and sharp for the pixels. The
+ * first map fixes the exact a and longitude range; any further maps (a
+ * night map, say) are resampled to the same range and size.
+ *
+ * Usage:
+ *   npm run wedge-texture -- --range americas assets/textures/earth-small.jpg assets/textures/earth-night.jpg
+ *   npm run wedge-texture -- --a 0.25 --center 140 --out assets/textures/wedges earth.jpg
+ *   npm run wedge-texture -- --range=-170,-30 earth.jpg
+ *
+ * Options:
+ *   --range <name>             a named range (see LONGITUDE_RANGES)
+ *   --range=<west,east>        degrees east; with the '=', since a negative
+ *                              value would otherwise read as an option
+ *   --a <a> [--center=<lon>]   a wedge of 360a degrees around a central longitude
+ *   --max-size <px>            largest side of the output (default 4096)
+ *   --out <dir>                output directory (default: next to each input)
+ *
+ * Each output is named <input>-<range or a>.<ext>; the exact a is printed.
+ */
+
+import path from 'node:path';
+import { mkdir } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import sharp from 'sharp';
+
+import { wedgeCrop, LONGITUDE_RANGES } from '../src/textures/wedgeCrop.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'range': { type: 'string' },
+    'a': { type: 'string' },
+    'center': { type: 'string', default: '0' },
+    'max-size': { type: 'string', default: '4096' },
+    'out': { type: 'string' },
+  },
+});
+
+if (positionals.length === 0 || (values.range === undefined) === (values.a === undefined)) {
+  console.error('usage: wedge-texture (--range <name> | --range=<west,east> | --a <a> [--center=<lon>]) [--max-size <px>] [--out <dir>] <map> [<map> ...]');
+  console.error(`ranges: ${Object.keys(LONGITUDE_RANGES).join(', ')}`);
+  process.exit(1);
+}
+
+const options = { maxSize: Number(values['max-size']) };
+let label;
+if (values.range !== undefined) {
+  const named = values.range.toLowerCase() in LONGITUDE_RANGES;
+  options.range = named ? values.range : values.range.split(',').map(Number);
+  label = values.range.toLowerCase().replace(/[^\w.-]+/g, '_');
+} else {
+  options.a = Number(values.a);
+  options.center = Number(values.center);
+  label = `a${values.a}`;
+}
+
+// --- Crop ---
+
+let first = null;
+
+for (const input of positionals) {
+  const { width, height } = await sharp(input).metadata();
+  const crop = first
+    ? wedgeCrop({
+      width, height, range: [first.west, first.east], snap: false, size: [first.outWidth, first.outHeight],
+    })
+    : wedgeCrop({ width, height, ...options });
+  first ??= crop;
+
+  const output = outputPath(input);
+  await mkdir(path.dirname(output), { recursive: true });
+  await writeStrip(input, height, crop, output);
+  console.log(`${output}: ${crop.outWidth}×${crop.outHeight}`);
+}
+
+console.log(`a = ${first.a} (${first.columns} of the first map's columns)`);
+console.log(`longitude ${first.west.toFixed(4)}° to ${first.east.toFixed(4)}°`);
+
+// --- Helpers ---
+
+function outputPath(input) {
+  const { dir, name, ext } = path.parse(input);
+  return path.join(values.out ?? dir, `${name}-${label}${ext}`);
+}
+
+/**
+ * Assemble the strip at source resolution, then resample to the output
+ * size. Unsnapped crops start and end mid-pixel: the strip is cut at the
+ * enclosing whole columns and the fractions trimmed in the resize.
+ */
+async function writeStrip(input, height, crop, output) {
+  const parts = [];
+  let stripWidth = 0;
+  for (const { x, width } of crop.segments) {
+    const left = Math.floor(x);
+    const right = Math.ceil(x + width);
+    parts.push({ left, width: right - left, at: stripWidth });
+    stripWidth += right - left;
+  }
+
+  const buffers = await Promise.all(parts.map(({ left, width }) =>
+    sharp(input).extract({ left, top: 0, width, height }).toBuffer(),
+  ));
+  const strip = await sharp({
+    create: { width: stripWidth, height, channels: 3, background: '#000' },
+  })
+    .composite(buffers.map((buffer, i) => ({ input: buffer, left: parts[i].at, top: 0 })))
+    .png()
+    .toBuffer();
+
+  // Trim the fractional columns at the two ends
+  const trimLeft = crop.segments[0].x - Math.floor(crop.segments[0].x);
+  const scale = crop.outWidth / crop.columns;
+  const resized = Math.round(stripWidth * scale);
+  const left = Math.min(Math.round(trimLeft * scale), resized - crop.outWidth);
+
+  await sharp(strip)
+    .resize(resized, crop.outHeight, { fit: 'fill' })
+    .extract({ left, top: 0, width: crop.outWidth, height: crop.outHeight })
+    .toFile(output);
+}
@@ -0,0 +1,167 @@
+/**
+ * Timeline
+ *
+ * A single number animated through keyframes. Call update(delta) once per
+ * frame with the elapsed seconds; it returns the current value, eased
+ * between the surrounding keyframes.
+ *
+ * When it runs off the end the timeline either stops ('once'), starts over
+ * ('loop') or runs back the other way ('pingpong').
+ *
+ * @example
+ *   const timeline = new Timeline({
+ *     keyframes: [{ time: 0, value: 0.5 }, { time: 4, value: 1 }, { time: 8, value: 1.5 }],
+ *     loop: 'pingpong',
+ *     easing: easeInOutCubic,
+ *   });
+ *   timeline.play();
+ *   // each frame:
+ *   const a = timeline.update(clock.getDelta());
+ */
+
+import { linear } from './easing.js';
+
+export class Timeline {
+
+  /**
+   * @param {Object} options
+   * @param {{time: number, value: number, easing?: function}[]} options.keyframes -
+   *        Sorted by time; a keyframe's easing shapes the segment leading into it
+   * @param {string}   [options.loop='pingpong'] - 'once' | 'loop' | 'pingpong'
+   * @param {function} [options.easing=linear]   - Default easing for every segment
+   * @param {number}   [options.speed=1]         - Playback rate (timeline seconds per second)
+   */
+  constructor({ keyframes, loop = 'pingpong', easing = linear, speed = 1 }) {
+    if (keyframes.length < 2) {
+      throw new Error('Timeline: need at least 2 keyframes');
+    }
+    this.keyframes = keyframes;
+    this.loop = loop;
+    this.easing = easing;
+    this.speed = speed;
+
+    /** True while update() advances the time. */
+    this.playing = false;
+
+    // Time since the first keyframe, unfolded: for 'pingpong' it runs over
+    // [0, 2 × duration), the second half being the way back.
+    this._phase = 0;
+  }
+
+  /** Time of the last keyframe minus time of the first. */
+  get duration() {
+    return this.keyframes[this.keyframes.length - 1].time - this.keyframes[0].time;
+  }
+
+  /** Current time along the timeline. */
+  get time() {
+    const d = this.duration;
+    const phase = this._phase <= d ? this._phase : 2 * d - this._phase;
+    return this.keyframes[0].time + phase;
+  }
+
+  /** Value at the current time. */
+  get value() {
+    return this.valueAt(this.time);
+  }
+
+  play() {
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  toggle() {
+    this.playing = !this.playing;
+    return this.playing;
+  }
+
+  /** Jump to the time at which the value passes closest to `value` (first match). */
+  seekValue(value) {
+    const frames = this.keyframes;
+    let best = { time: frames[0].time, distance: Infinity };
+    for (let i = 0; i + 1 < frames.length; i++) {
+      const lo = Math.min(frames[i].value, frames[i + 1].value);
+      const hi = Math.max(frames[i].value, frames[i + 1].value);
+      const clamped = Math.min(Math.max(value, lo), hi);
+      const distance = Math.abs(clamped - value);
+      if (distance < best.distance) {
+        best = { time: this._solve(i, clamped), distance };
+      }
+    }
+    this.seek(best.time);
+  }
+
+  /** Jump to a time, clamped to the keyframes, keeping the direction of travel. */
+  seek(time) {
+    const d = this.duration;
+    const phase = Math.min(Math.max(time - this.keyframes[0].time, 0), d);
+    this._phase = this._phase > d ? 2 * d - phase : phase;
+  }
+
+  /**
+   * Advance by delta seconds (scaled by speed) if playing.
+   * @param {number} delta
+   * @returns {number} The value at the new time
+   */
+  update(delta) {
+    if (this.playing && this.duration > 0) {
+      this._advance(delta * this.speed);
+    }
+    return this.value;
+  }
+
+  /** Eased value at a time, clamped to the keyframes. */
+  valueAt(time) {
+    const frames = this.keyframes;
+    if (time <= frames[0].time) return frames[0].value;
+
+    for (let i = 0; i + 1 < frames.length; i++) {
+      const from = frames[i];
+      const to = frames[i + 1];
+      if (time <= to.time) {
+        const span = to.time - from.time;
+        const t = span > 0 ? (time - from.time) / span : 1;
+        const ease = to.easing ?? this.easing;
+        return from.value + (to.value - from.value) * ease(t);
+      }
+    }
+    return frames[frames.length - 1].value;
+  }
+
+  // --- Internals ---
+
+  _advance(step) {
+    const d = this.duration;
+    const phase = this._phase + step;
+
+    switch (this.loop) {
+      case 'loop':
+        this._phase = phase % d;
+        break;
+      case 'pingpong':
+        this._phase = phase % (2 * d);
+        break;
+      default:
+        this._phase = Math.min(phase, d);
+        if (phase >= d) this.playing = false;
+    }
+  }
+
+  /** Time within segment i at which the eased value equals `value` (bisection). */
+  _solve(i, value) {
+    const from = this.keyframes[i];
+    const to = this.keyframes[i + 1];
+    let lo = from.time;
+    let hi = to.time;
+    const increasing = to.value >= from.value;
+    for (let k = 0; k < 50; k++) {
+      const mid = (lo + hi) / 2;
+      if ((this.valueAt(mid) < value) === increasing) lo = mid;
+      else hi = mid;
+    }
+    return (lo + hi) / 2;
+  }
+}
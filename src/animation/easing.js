@@ -0,0 +1,21 @@
+/**
+ * Easing functions: [0, 1] → [0, 1], fixing 0 and 1.
+ *
+ * The in-out ones have zero slope at both ends, so a keyframed value
+ * comes to rest at every keyframe instead of bouncing off it.
+ *
+ * @example
+ *   const x = start + (end - start) * easeInOutCubic(t);
+ */
+
+export function linear(t) {
+  return t;
+}
+
+export function easeInOutSine(t) {
+  return (1 - Math.cos(Math.PI * t)) / 2;
+}
+
+export function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2;
+}
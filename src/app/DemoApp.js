@@ -0,0 +1,230 @@
+/**
+ * DemoApp
+ *
+ * The scaffolding every demo shares: scene, camera, renderer and
+ * OrbitControls in a container, kept sized to the window; a directional
+ * light (20° above the equator by default) with ambient light; a color or
+ * equirectangular image background; and the animation loop, which spins
+ * the surfaces added with addSurface about their axes.
+ *
+ * The app also holds the demo's UrlState, with the camera pose, the spin
+ * speed ('spin') and the light's elevation ('light') already registered,
+ * so a demo only adds its own parameters.
+ *
+ * Per-frame work goes in onFrame callbacks, which stop while the app is
+ * paused (the view still renders, so it can be orbited); onRender
+ * callbacks draw anything else, such as a companion view, every frame.
+ *
+ * @example
+ *   const app = new DemoApp(container, { background: galaxyTextureUrl });
+ *   const mesh = app.addSurface(new SurfaceMesh(surface, { fragmentShader }));
+ *   app.onFrame(dt => shooter.update(dt));
+ *   app.start();
+ *   // on unmount:
+ *   app.dispose();
+ */
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { UrlState } from '../state/UrlState.js';
+import { disposeScene, disposeRenderer } from '../gallery/dispose.js';
+
+export class DemoApp {
+
+  /**
+   * @param {HTMLElement} container - Where the canvas goes
+   * @param {Object} [options]
+   * @param {number}   [options.fov=40]
+   * @param {number[]} [options.cameraPosition=[0, 2, 5]] - Looking at the origin
+   * @param {number}   [options.width=1] - Fraction of the window width the view takes (from the left)
+   * @param {number}   [options.lightElevation=20] - Degrees above the equatorial plane ('light' in the URL)
+   * @param {number}   [options.lightAzimuth=0] - Degrees around the axis, from +x toward +z
+   * @param {number}   [options.ambient=0.5] - Ambient light intensity
+   * @param {number|string} [options.background=0x0a0a1a] - As for setBackground
+   * @param {number}   [options.backgroundIntensity=0.25]
+   * @param {number}   [options.spin=0.1] - Rotation speed of the surfaces, radians per second ('spin' in the URL)
+   */
+  constructor(container, {
+    fov = 40,
+    cameraPosition = [0, 2, 5],
+    width = 1,
+    lightElevation = 20,
+    lightAzimuth = 0,
+    ambient = 0.5,
+    background = 0x0a0a1a,
+    backgroundIntensity = 0.25,
+    spin = 0.1,
+  } = {}) {
+    this.width = width;
+
+    // --- Scene, camera, renderer ---
+
+    this.scene = new THREE.Scene();
+
+    this.camera = new THREE.PerspectiveCamera(fov, 1, 0.1, 100);
+    this.camera.position.fromArray(cameraPosition);
+
+    this.renderer = new THREE.WebGLRenderer({ antialias: true });
+    this.renderer.setPixelRatio(window.devicePixelRatio);
+    container.appendChild(this.renderer.domElement);
+
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+    this.controls.target.set(0, 0, 0);
+
+    this._onResize = () => this.resize();
+    window.addEventListener('resize', this._onResize);
+    this.resize();
+
+    // --- State shared through the URL ---
+
+    this.state = new UrlState();
+    this.state.camera(this.camera, this.controls);
+
+    /** Rotation speed of the surfaces, radians per second. */
+    this.spin = this.state.add('spin', spin);
+
+    // --- Lighting ---
+
+    /** Unit vector toward the light, updated in place: share it as a shader uniform. */
+    this.lightDirection = new THREE.Vector3();
+
+    this.light = new THREE.DirectionalLight(0xffffff, 5);
+    this.scene.add(this.light);
+    this.scene.add(new THREE.AmbientLight(0xffffff, ambient));
+    this.setLight(this.state.add('light', lightElevation, { min: -90, max: 90 }), lightAzimuth);
+
+    // --- Background ---
+
+    this.setBackground(background, { intensity: backgroundIntensity });
+
+    // --- Loop ---
+
+    this.clock = new THREE.Clock();
+    this.time = 0;          // seconds of unpaused animation
+    this.paused = false;
+    this._angle = 0;        // how far the surfaces have turned
+    this._surfaces = [];
+    this._onFrame = [];
+    this._onRender = [];
+    this._frame = 0;
+  }
+
+  /**
+   * Add a surface (or any object) to the scene, spinning about the y axis
+   * with the others unless spin is false.
+   *
+   * @param {THREE.Object3D} object
+   * @param {Object} [options]
+   * @param {boolean} [options.spin=true]
+   * @returns {THREE.Object3D} object
+   */
+  addSurface(object, { spin = true } = {}) {
+    this.scene.add(object);
+    if (spin) {
+      this._surfaces.push(object);
+      object.rotation.y = this._angle;
+    }
+    return object;
+  }
+
+  /**
+   * Set the background: a color, or the URL of an equirectangular image
+   * (the galaxy), dimmed to intensity.
+   *
+   * @param {number|string|THREE.Color} background - 0xrrggbb, a Color, or an image URL
+   * @param {Object} [options]
+   * @param {number} [options.intensity=0.25] - For images
+   */
+  setBackground(background, { intensity = 0.25 } = {}) {
+    if (this.scene.background?.isTexture) this.scene.background.dispose();
+
+    if (typeof background === 'string') {
+      const texture = new THREE.TextureLoader().load(background);
+      texture.mapping = THREE.EquirectangularReflectionMapping;
+      texture.colorSpace = THREE.SRGBColorSpace;
+      this.scene.background = texture;
+      this.scene.backgroundIntensity = intensity;
+    } else {
+      this.scene.background = new THREE.Color(background);
+    }
+  }
+
+  /**
+   * Point the light from elevation degrees above the equatorial plane,
+   * azimuth degrees around the axis.
+   */
+  setLight(elevation, azimuth = 0) {
+    const e = elevation * Math.PI / 180;
+    const a = azimuth * Math.PI / 180;
+    this.lightDirection.set(Math.cos(e) * Math.cos(a), Math.sin(e), Math.cos(e) * Math.sin(a));
+    this.light.position.copy(this.lightDirection).multiplyScalar(5);
+  }
+
+  /** Change the rotation speed (radians per second), and keep it in the URL. */
+  setSpin(spin) {
+    this.spin = spin;
+    this.state.set('spin', spin);
+  }
+
+  /** Call callback(dt, time) every frame the app isn't paused, before rendering. */
+  onFrame(callback) {
+    this._onFrame.push(callback);
+  }
+
+  /** Call callback() every frame, after the scene is rendered. */
+  onRender(callback) {
+    this._onRender.push(callback);
+  }
+
+  /** Freeze the spin and the onFrame callbacks; the view still renders. */
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  /** Size the renderer and camera to the window (on resize; call after changing width). */
+  resize() {
+    const width = window.innerWidth * this.width;
+    const height = window.innerHeight;
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(width, height);
+  }
+
+  /** Start the animation loop. */
+  start() {
+    if (this._frame) return;
+    this.clock.getDelta();
+
+    const animate = () => {
+      this._frame = requestAnimationFrame(animate);
+      const dt = this.clock.getDelta();
+
+      if (!this.paused) {
+        this.time += dt;
+        this._angle += dt * this.spin;
+        for (const surface of this._surfaces) surface.rotation.y = this._angle;
+        for (const callback of this._onFrame) callback(dt, this.time);
+      }
+
+      this.controls.update();
+      this.renderer.render(this.scene, this.camera);
+      for (const callback of this._onRender) callback();
+    };
+    animate();
+  }
+
+  /** Stop the loop and listeners, and release the scene and the WebGL context. */
+  dispose() {
+    cancelAnimationFrame(this._frame);
+    this._frame = 0;
+    window.removeEventListener('resize', this._onResize);
+    this.controls.dispose();
+    this.state.dispose();
+    disposeScene(this.scene);
+    disposeRenderer(this.renderer);
+  }
+}
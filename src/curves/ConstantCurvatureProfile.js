@@ -0,0 +1,233 @@
+/**
+ * ConstantCurvatureProfile
+ *
+ * Profile curve (r(s), h(s)) of a surface of revolution with constant
+ * Gaussian curvature K, parameterized by arc length s.
+ *
+ * The radius solves r'' = -K r, so it is known in closed form. The height
+ * follows by quadrature from h'(s) = sqrt(1 - r'(s)²). With k = sqrt|K|:
+ *
+ *   family   K      r(s)                s domain
+ *   'sin'    > 0    (a/k) sin(ks)       [0, π/k]  (a ≤ 1, spindle/sphere)
+ *                                       [arccos(1/a), π - arccos(1/a)] / k  (a > 1, barrel)
+ *   'cosh'   < 0    (a/k) cosh(ks)      [-arcsinh(1/a), arcsinh(1/a)] / k
+ *   'sinh'   < 0    (a/k) sinh(ks)      [0, arccosh(1/a)] / k  (a < 1)
+ *   'cone'   = 0    a s                 [0, length]  (a ≤ 1)
+ *
+ * In every family r'(s) is a times a unit-amplitude function, so a keeps the
+ * meaning it has in the K = ±1 demos: rotating the profile once sweeps an
+ * opening angle of 2πa in the model space (the cone angle of a spindle).
+ *
+ * @example
+ *   const profile = new ConstantCurvatureProfile({ K: 1, family: 'sin', a: 0.5 });
+ *   const curve = new NumericalCurve({ points: profile.points });
+ */
+
+import * as THREE from 'three';
+import { quadrature } from '../ode/quadrature.js';
+
+const FAMILIES = {
+  sin:  { sign: 1 },
+  cosh: { sign: -1 },
+  sinh: { sign: -1 },
+  cone: { sign: 0 },
+};
+
+export class ConstantCurvatureProfile {
+
+  /**
+   * @param {Object} options
+   * @param {number}  [options.K=1]       - Gaussian curvature (any real value)
+   * @param {string}  [options.family]    - 'sin' | 'cosh' | 'sinh' | 'cone' (default from the sign of K)
+   * @param {number}  options.a           - Shape parameter (r'(s) = a × unit function)
+   * @param {number}  [options.steps=400] - Quadrature subintervals for h(s)
+   * @param {string}  [options.method='tanh-sinh'] - Quadrature method (see quadrature)
+   * @param {boolean} [options.flip=false] - Run the profile downward (h decreasing in s)
+   * @param {number}  [options.length=2]  - Slant length of the 'cone' family
+   */
+  constructor({ K = 1, family, a, steps = 400, method = 'tanh-sinh', flip = false, length = 2 }) {
+    family = family ?? (K > 0 ? 'sin' : K < 0 ? 'cosh' : 'cone');
+
+    if (!(family in FAMILIES)) {
+      throw new Error(`ConstantCurvatureProfile: unknown family '${family}'`);
+    }
+    if (Math.sign(K) !== FAMILIES[family].sign) {
+      throw new Error(`ConstantCurvatureProfile: family '${family}' does not have curvature K = ${K}`);
+    }
+    if (!(a > 0)) {
+      throw new Error('ConstantCurvatureProfile: a must be positive');
+    }
+    if ((family === 'sinh' && a >= 1) || (family === 'cone' && a > 1)) {
+      throw new Error(`ConstantCurvatureProfile: family '${family}' requires a < 1`);
+    }
+
+    this.K = K;
+    this.family = family;
+    this.a = a;
+    this.flip = flip;
+    this._options = { K, family, a, steps, method, flip, length };
+
+    /** k = sqrt|K|, the reciprocal length scale of the model space. */
+    this.k = Math.sqrt(Math.abs(K));
+
+    const { sMin, sMax } = domainFor(family, a, this.k, length);
+    this.sMin = sMin;
+    this.sMax = sMax;
+
+    /** Opening angle swept in the model space by one turn around the axis. */
+    this.openingAngle = 2 * Math.PI * a;
+
+    // Height by quadrature. The integrand is clamped at 0 because rounding can
+    // push 1 - r'² slightly negative at the ends, where r' = ±1. The default
+    // tanh-sinh rule copes with the square-root singularity there.
+    const { ts, values, error } = quadrature(
+      s => Math.sqrt(Math.max(0, 1 - this.dr(s) ** 2)),
+      sMin, sMax, steps, { method },
+    );
+
+    this.ts = ts;
+    this._hValues = values;
+    this._ds = (sMax - sMin) / steps;
+
+    /** Total height of the profile (h(sMax) - h(sMin)). */
+    this.height = values[values.length - 1];
+
+    /** Estimated absolute error of height, from the quadrature. */
+    this.heightError = error;
+  }
+
+  /** Radius r(s), clamped to be non-negative. */
+  r(s) {
+    const { a, k } = this;
+    switch (this.family) {
+      case 'sin':  return Math.max(0, (a / k) * Math.sin(k * s));
+      case 'cosh': return (a / k) * Math.cosh(k * s);
+      case 'sinh': return Math.max(0, (a / k) * Math.sinh(k * s));
+      default:     return Math.max(0, a * s);
+    }
+  }
+
+  /** Radial slope r'(s). */
+  dr(s) {
+    const { a, k } = this;
+    switch (this.family) {
+      case 'sin':  return a * Math.cos(k * s);
+      case 'cosh': return a * Math.sinh(k * s);
+      case 'sinh': return a * Math.cosh(k * s);
+      default:     return a;
+    }
+  }
+
+  /** Height slope h'(s) = ±sqrt(1 - r'(s)²), negative when flipped. */
+  dh(s) {
+    const slope = Math.sqrt(Math.max(0, 1 - this.dr(s) ** 2));
+    return this.flip ? -slope : slope;
+  }
+
+  /**
+   * Height h(s), centered so the profile runs from -height/2 to height/2.
+   * Interpolates the quadrature table with cubic Hermite segments using h'.
+   */
+  h(s) {
+    const { sMin, _ds: ds, _hValues: values } = this;
+    const n = values.length - 1;
+    const x = Math.min(Math.max((s - sMin) / ds, 0), n);
+    const i = Math.min(Math.floor(x), n - 1);
+    const t = x - i;
+
+    const s0 = sMin + i * ds;
+    const m0 = Math.sqrt(Math.max(0, 1 - this.dr(s0) ** 2)) * ds;
+    const m1 = Math.sqrt(Math.max(0, 1 - this.dr(s0 + ds) ** 2)) * ds;
+
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const value =
+      (2 * t3 - 3 * t2 + 1) * values[i] +
+      (t3 - 2 * t2 + t) * m0 +
+      (-2 * t3 + 3 * t2) * values[i + 1] +
+      (t3 - t2) * m1;
+
+    const centered = value - this.height / 2;
+    return this.flip ? -centered : centered;
+  }
+
+  /** Second radial derivative r''(s) = -K r(s). */
+  ddr(s) {
+    return -this.K * this.r(s);
+  }
+
+  /**
+   * Second height derivative, from differentiating r'² + h'² = 1.
+   * Returns 0 where h' = 0 (barrel and trumpet rims), where it is unbounded.
+   */
+  ddh(s) {
+    const dh = this.dh(s);
+    return Math.abs(dh) > 1e-12 ? -this.dr(s) * this.ddr(s) / dh : 0;
+  }
+
+  // --- Curve interface (t ∈ [0, 1], linear in s) ---
+  //
+  // Matches NumericalCurve, so the profile can be handed straight to
+  // SurfaceOfRevolution. Derivatives are with respect to t.
+
+  /** Arc length s at curve parameter t. */
+  sAt(t) {
+    return this.sMin + t * (this.sMax - this.sMin);
+  }
+
+  /** Profile point (r, h, 0) at parameter t ∈ [0, 1], written into target if given. */
+  evaluate(t, target = new THREE.Vector3()) {
+    const s = this.sAt(t);
+    return target.set(this.r(s), this.h(s), 0);
+  }
+
+  getDomain() {
+    return { tMin: 0, tMax: 1 };
+  }
+
+  /** (dr/dt, dh/dt, 0) */
+  derivative(t, target = new THREE.Vector3()) {
+    const s = this.sAt(t);
+    const L = this.sMax - this.sMin;
+    return target.set(L * this.dr(s), L * this.dh(s), 0);
+  }
+
+  /** (d²r/dt², d²h/dt², 0) */
+  secondDerivative(t, target = new THREE.Vector3()) {
+    const s = this.sAt(t);
+    const L2 = (this.sMax - this.sMin) ** 2;
+    return target.set(L2 * this.ddr(s), L2 * this.ddh(s), 0);
+  }
+
+  /**
+   * Constructor options as plain data, so the profile can be rebuilt
+   * elsewhere (in a worker, see surfaceFromJSON).
+   */
+  toJSON() {
+    return { type: 'ConstantCurvatureProfile', ...this._options };
+  }
+
+  /** Profile points (r, h, 0) at the quadrature nodes, ready for NumericalCurve. */
+  get points() {
+    return this.ts.map(s => new THREE.Vector3(this.r(s), this.h(s), 0));
+  }
+}
+
+// --- Domains ---
+
+function domainFor(family, a, k, length) {
+  switch (family) {
+    case 'sin': {
+      const sMin = a <= 1 ? 0 : Math.acos(1 / a) / k;
+      return { sMin, sMax: Math.PI / k - sMin };
+    }
+    case 'cosh': {
+      const sMax = Math.asinh(1 / a) / k;
+      return { sMin: -sMax, sMax };
+    }
+    case 'sinh':
+      return { sMin: 0, sMax: Math.acosh(1 / a) / k };
+    default:
+      return { sMin: 0, sMax: length };
+  }
+}
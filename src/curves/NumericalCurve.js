@@ -22,9 +22,9 @@ export class NumericalCurve extends THREE.CatmullRomCurve3 {
     );
   }
 
-  /** Evaluate the curve at parameter t in [0, 1] */
-  evaluate(t) {
-    return this.getPoint(t);
+  /** Evaluate the curve at parameter t in [0, 1], into target if given */
+  evaluate(t, target) {
+    return this.getPoint(t, target);
   }
 
   getDomain() {
@@ -0,0 +1,159 @@
+/**
+ * Bake what a SurfaceMesh's shader draws into an image in the surface's
+ * (u, v), for exportGLB.
+ *
+ * The mesh is drawn once more with its own shaders and uniforms, but each
+ * vertex placed at its uv instead of where the camera sees it, unlit, into
+ * a square render target. The picture is the shader's color as on screen
+ * at that moment, including anything that depends on the light or the
+ * mesh's rotation (the day / night terminator). Texels no triangle covers
+ * (beside the seam, between the fan triangles at a tip) are filled from
+ * their neighbors, so sampling at the edge of the layout doesn't pick up
+ * the background.
+ *
+ * This needs the demo's WebGL renderer, so it runs in the browser only; a
+ * Node script gives exportGLB an image file instead.
+ *
+ * @example
+ *   const texture = await bakeTexture(renderer, mesh, { size: 2048 });
+ *   download(exportGLB(mesh, { texture }), 'spindle.glb');
+ */
+
+import * as THREE from 'three';
+import CustomShaderMaterial from 'three-custom-shader-material/vanilla';
+
+// void main() of a shader, with or without an explicit void
+const MAIN = /void\s+main\s*\(\s*(?:void\s*)?\)\s*\{/;
+
+/**
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {SurfaceMesh} mesh - With shaders (a plain-colored mesh needs no texture)
+ * @param {Object} [options]
+ * @param {number} [options.size=1024]  - Width and height of the image, in pixels
+ * @param {number} [options.padding=8] - Pixels filled in around the covered area
+ * @returns {Promise<Uint8Array|null>} PNG bytes, top row at v = 1; null without shaders
+ */
+export async function bakeTexture(renderer, mesh, { size = 1024, padding = 8 } = {}) {
+  if (!mesh.shaders) return null;
+
+  const material = new CustomShaderMaterial({
+    baseMaterial: THREE.MeshBasicMaterial,
+    vertexShader: bakeVertexShader(mesh.shaders.vertexShader),
+    fragmentShader: bakeFragmentShader(mesh.shaders.fragmentShader),
+    uniforms: mesh.uniforms,
+    side: THREE.DoubleSide,
+    map: mesh.material.map, // the uv pipeline, as in SurfaceMesh
+    toneMapped: false,
+  });
+
+  // Same geometry, and the mesh's world matrix for shaders that use it
+  const flat = new THREE.Mesh(mesh.geometry, material);
+  flat.matrixAutoUpdate = false;
+  flat.matrix.copy(mesh.matrixWorld);
+  flat.frustumCulled = false;
+  const scene = new THREE.Scene();
+  scene.add(flat);
+
+  const target = new THREE.WebGLRenderTarget(size, size);
+  const pixels = new Uint8Array(4 * size * size);
+
+  const previousTarget = renderer.getRenderTarget();
+  const previousColor = renderer.getClearColor(new THREE.Color());
+  const previousAlpha = renderer.getClearAlpha();
+  try {
+    renderer.setRenderTarget(target);
+    renderer.setClearColor(0x000000, 0);
+    renderer.clear();
+    renderer.render(scene, new THREE.Camera());
+    renderer.readRenderTargetPixels(target, 0, 0, size, size, pixels);
+  } finally {
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(previousColor, previousAlpha);
+    material.dispose();
+    target.dispose();
+  }
+
+  dilate(pixels, size, padding);
+  return encodePNG(pixels, size);
+}
+
+// --- Shaders ---
+
+/** The mesh's vertex shader, then the vertex moved to its uv. */
+function bakeVertexShader(vertexShader = 'void main() {\n}\n') {
+  return `${vertexShader.replace(MAIN, 'void bakeSurfaceMain() {')}
+void main() {
+    bakeSurfaceMain();
+    csm_PositionRaw = vec4(2.0 * uv - 1.0, 0.0, 1.0);
+}
+`;
+}
+
+/**
+ * The mesh's fragment shader, its color encoded as sRGB: render targets
+ * are written linear, and a PNG is read as sRGB.
+ */
+function bakeFragmentShader(fragmentShader = 'void main() {\n}\n') {
+  return `${fragmentShader.replace(MAIN, 'void bakeSurfaceMain() {')}
+void main() {
+    bakeSurfaceMain();
+    vec3 c = clamp(csm_DiffuseColor.rgb, 0.0, 1.0);
+    csm_DiffuseColor.rgb = mix(12.92 * c, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
+}
+`;
+}
+
+// --- Pixels ---
+
+/**
+ * Grow the covered (opaque) area by passes pixels: each empty pixel next
+ * to covered ones takes their average color.
+ */
+function dilate(pixels, size, passes) {
+  for (let pass = 0; pass < passes; pass++) {
+    const source = pixels.slice();
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const k = 4 * (y * size + x);
+        if (source[k + 3] !== 0) continue;
+
+        let r = 0, g = 0, b = 0, n = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= size || ny >= size) continue;
+            const m = 4 * (ny * size + nx);
+            if (source[m + 3] === 0) continue;
+            r += source[m];
+            g += source[m + 1];
+            b += source[m + 2];
+            n++;
+          }
+        }
+        if (n === 0) continue;
+        pixels[k] = r / n;
+        pixels[k + 1] = g / n;
+        pixels[k + 2] = b / n;
+        pixels[k + 3] = 255;
+      }
+    }
+  }
+}
+
+/** Pixels read bottom row first (v = 0), as a PNG with v = 1 at the top. */
+async function encodePNG(pixels, size) {
+  const image = new ImageData(size, size);
+  const row = 4 * size;
+  for (let y = 0; y < size; y++) {
+    image.data.set(pixels.subarray((size - 1 - y) * row, (size - y) * row), y * row);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  canvas.getContext('2d').putImageData(image, 0, 0);
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  return new Uint8Array(await blob.arrayBuffer());
+}
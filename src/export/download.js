@@ -0,0 +1,34 @@
+/**
+ * Save an export from the page: the browser's download of a file made in
+ * memory.
+ *
+ * @example
+ *   panel.button({ label: 'STL', onClick: () => download(exportSTL(mesh), 'pseudosphere.stl') });
+ */
+
+const MIME_TYPES = {
+  stl: 'model/stl',
+  obj: 'model/obj',
+  glb: 'model/gltf-binary',
+  png: 'image/png',
+};
+
+/**
+ * @param {ArrayBuffer|Uint8Array|string} data - What exportSTL / exportOBJ / exportGLB return
+ * @param {string} filename - Its extension sets the type
+ */
+export function download(data, filename) {
+  const extension = filename.split('.').pop().toLowerCase();
+  const blob = new Blob([data], { type: MIME_TYPES[extension] ?? 'application/octet-stream' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // After the click has started the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,588 @@
+/**
+ * Export surfaces for 3D printing and for modelling programs: STL, OBJ
+ * (with texture coordinates) and binary glTF (.glb, with a texture).
+ *
+ * The source is a SurfaceMesh, exported at its segment counts and adaptive
+ * setting, or any surface buildGeometry takes. The grid is built afresh
+ * from the surface, so a mesh whose geometry lags behind its shape (worker
+ * or GPU mode) exports the shape on screen, and the segment counts can be
+ * raised for a smoother print.
+ *
+ * buildGeometry repeats vertices that are one point of the surface: the
+ * first and last columns where the u seam closes, and the apex copies at a
+ * tip. The exports weld them. STL and OBJ share one position between the
+ * copies (OBJ still gives each its own texture coordinate, by index); glTF,
+ * where a vertex has a single uv, keeps the copies but at the very same
+ * position.
+ *
+ * STL is always watertight: every edge is shared by two triangles, wound
+ * so their normals point out of the solid. With no thickness the surface
+ * is the solid's boundary: a closed spindle as it is, open rims (a
+ * barrel's, the pseudosphere's flare) capped with flat fans. With a
+ * thickness it is a shell: a second copy of the surface offset along its
+ * normals, joined to the first by a wall around each rim. offset says where
+ * the surface sits in that shell, from 0 (its outside face) to 1 (its
+ * inside face). Where the surface is narrower than the shell (toward a
+ * cusp) the inner copy crosses itself; print that solid, or use offset 1.
+ *
+ * Nothing here needs a browser: each writer returns an ArrayBuffer or a
+ * string, for Node to write to a file (scripts/export-surface.js) or a
+ * page to download (download.js).
+ *
+ * @example
+ *   const stl = exportSTL(mesh, { scale: 40, thickness: 1.5 });  // 40 mm per unit, 1.5 mm walls
+ *   const obj = exportOBJ(surface, { uSegments: 192, vSegments: 96 });
+ *   const glb = exportGLB(mesh, { texture: await bakeTexture(renderer, mesh) });
+ */
+
+import * as THREE from 'three';
+import { buildGeometry } from '../surfaces/buildGeometry.js';
+
+// Seam columns this close (relative to their size) are one point, as in buildGeometry
+const WELD_TOLERANCE = 1e-9;
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {number}  [scale=1]   - Multiplies every coordinate (model units → file units, e.g. mm)
+ * @property {number}  [uSegments] - Grid resolution (default: the mesh's, or buildGeometry's)
+ * @property {number}  [vSegments]
+ * @property {Object|boolean} [adaptive] - As for buildGeometry (default: the mesh's)
+ */
+
+// --- STL ---
+
+/**
+ * A watertight STL of the surface.
+ *
+ * @param {SurfaceMesh|Object} source - A SurfaceMesh, or a surface for buildGeometry
+ * @param {ExportOptions & Object} [options]
+ * @param {number}  [options.thickness=0] - Shell thickness, in file units (after scale); 0 for a solid
+ * @param {number}  [options.offset=0]    - Where the surface sits in the shell: 0 outside face, 1 inside face
+ * @param {boolean} [options.binary=true] - Binary STL, or ASCII text
+ * @param {string}  [options.name='surface'] - Solid name (ASCII) or header text (binary)
+ * @returns {ArrayBuffer|string}
+ */
+export function exportSTL(source, { thickness = 0, offset = 0, binary = true, name = 'surface', ...options } = {}) {
+  const welded = weld(source, options);
+  welded.geometry.dispose();
+  const { positions, triangles } = solid(welded, { thickness, offset });
+  return binary ? binarySTL(positions, triangles, name) : asciiSTL(positions, triangles, name);
+}
+
+function binarySTL(positions, triangles, name) {
+  const count = triangles.length / 3;
+  const buffer = new ArrayBuffer(84 + 50 * count);
+  const view = new DataView(buffer);
+
+  // 80-byte header, which must not start with 'solid' (that means ASCII)
+  const header = new TextEncoder().encode(`spindle-earth ${name}`).subarray(0, 80);
+  new Uint8Array(buffer, 0, 80).set(header);
+  view.setUint32(80, count, true);
+
+  const normal = new THREE.Vector3();
+  let k = 84;
+  for (let t = 0; t < count; t++) {
+    facetNormal(positions, triangles, t, normal);
+    for (const x of normal.toArray()) {
+      view.setFloat32(k, x, true);
+      k += 4;
+    }
+    for (let c = 0; c < 3; c++) {
+      const p = 3 * triangles[3 * t + c];
+      for (let d = 0; d < 3; d++) {
+        view.setFloat32(k, positions[p + d], true);
+        k += 4;
+      }
+    }
+    k += 2; // attribute byte count, 0
+  }
+
+  return buffer;
+}
+
+function asciiSTL(positions, triangles, name) {
+  const e = x => x.toExponential(6);
+  const normal = new THREE.Vector3();
+  const lines = [`solid ${name}`];
+
+  for (let t = 0; t < triangles.length / 3; t++) {
+    facetNormal(positions, triangles, t, normal);
+    lines.push(`  facet normal ${e(normal.x)} ${e(normal.y)} ${e(normal.z)}`, '    outer loop');
+    for (let c = 0; c < 3; c++) {
+      const p = 3 * triangles[3 * t + c];
+      lines.push(`      vertex ${e(positions[p])} ${e(positions[p + 1])} ${e(positions[p + 2])}`);
+    }
+    lines.push('    endloop', '  endfacet');
+  }
+
+  lines.push(`endsolid ${name}`, '');
+  return lines.join('\n');
+}
+
+// --- OBJ ---
+
+/**
+ * An OBJ of the surface, with texture coordinates and normals.
+ *
+ * Welded points are one v each; the texture coordinates (vt, v up, as
+ * Blender expects) and normals (vn) stay one per grid vertex, so a seam or
+ * tip keeps its separate uvs. The surface is exported as it is, open rims
+ * and all: thickness is for STL.
+ *
+ * @param {SurfaceMesh|Object} source - A SurfaceMesh, or a surface for buildGeometry
+ * @param {ExportOptions & Object} [options]
+ * @param {string}  [options.name='surface'] - Object name
+ * @param {boolean} [options.normals=true]   - Write vn lines
+ * @returns {string}
+ */
+export function exportOBJ(source, { name = 'surface', normals = true, ...options } = {}) {
+  const { geometry, positions, triangles, corners } = weld(source, options);
+  const uv = geometry.getAttribute('uv');
+  const normal = geometry.getAttribute('normal');
+  const f = x => x.toFixed(6);
+
+  const lines = ['# spindle-earth', `o ${name}`];
+  for (let p = 0; p < positions.length; p += 3) {
+    lines.push(`v ${f(positions[p])} ${f(positions[p + 1])} ${f(positions[p + 2])}`);
+  }
+  for (let k = 0; k < uv.count; k++) {
+    lines.push(`vt ${f(uv.getX(k))} ${f(uv.getY(k))}`);
+  }
+  if (normals) {
+    for (let k = 0; k < normal.count; k++) {
+      lines.push(`vn ${f(normal.getX(k))} ${f(normal.getY(k))} ${f(normal.getZ(k))}`);
+    }
+  }
+
+  // OBJ indices count from 1
+  const corner = c => {
+    const point = triangles[c] + 1;
+    const vertex = corners[c] + 1;
+    return normals ? `${point}/${vertex}/${vertex}` : `${point}/${vertex}`;
+  };
+  for (let c = 0; c < triangles.length; c += 3) {
+    lines.push(`f ${corner(c)} ${corner(c + 1)} ${corner(c + 2)}`);
+  }
+
+  geometry.dispose();
+  lines.push('');
+  return lines.join('\n');
+}
+
+// --- glTF ---
+
+/**
+ * A binary glTF (.glb) of the surface: positions, normals, texture
+ * coordinates and one double-sided material.
+ *
+ * The texture is an image already laid out in the surface's (u, v), top row
+ * at v = 1: one baked from the mesh's shader (bakeTexture), or a wedge
+ * texture on a spindle. Without one the material takes the mesh's color.
+ *
+ * @param {SurfaceMesh|Object} source - A SurfaceMesh, or a surface for buildGeometry
+ * @param {ExportOptions & Object} [options]
+ * @param {Uint8Array|ArrayBuffer} [options.texture] - PNG or JPEG bytes
+ * @param {number|string} [options.color] - Base color (default: the mesh material's, or white)
+ * @param {number}  [options.roughness]   - Default: the mesh material's, or 0.5
+ * @param {number}  [options.metalness]   - Default: the mesh material's, or 0
+ * @param {string}  [options.name='surface'] - Mesh and node name
+ * @returns {ArrayBuffer}
+ */
+export function exportGLB(source, { texture, color, roughness, metalness, name = 'surface', ...options } = {}) {
+  const { geometry, positions, pointOf } = weld(source, options);
+  const material = source.isMesh ? source.material : null;
+
+  // Every grid vertex at its welded point, so the copies coincide exactly
+  const count = pointOf.length;
+  const vertices = new Float32Array(3 * count);
+  for (let k = 0; k < count; k++) {
+    vertices.set(positions.subarray(3 * pointOf[k], 3 * pointOf[k] + 3), 3 * k);
+  }
+
+  // glTF puts v = 0 at the top of the image
+  const uv = geometry.getAttribute('uv').array;
+  const uvs = new Float32Array(uv.length);
+  for (let k = 0; k < uv.length; k += 2) {
+    uvs[k] = uv[k];
+    uvs[k + 1] = 1 - uv[k + 1];
+  }
+
+  const normals = Float32Array.from(geometry.getAttribute('normal').array);
+  const indices = Uint32Array.from(geometry.getIndex().array);
+  geometry.dispose();
+
+  const glb = new GLBWriter();
+  const attributes = {
+    POSITION: glb.accessor(vertices, 'VEC3', { target: ARRAY_BUFFER, bounds: true }),
+    NORMAL: glb.accessor(normals, 'VEC3', { target: ARRAY_BUFFER }),
+    TEXCOORD_0: glb.accessor(uvs, 'VEC2', { target: ARRAY_BUFFER }),
+  };
+  const index = glb.accessor(indices, 'SCALAR', { target: ELEMENT_ARRAY_BUFFER });
+
+  const base = new THREE.Color(texture ? 0xffffff : color ?? material?.color ?? 0xffffff);
+  const pbr = {
+    baseColorFactor: [base.r, base.g, base.b, 1],
+    metallicFactor: metalness ?? material?.metalness ?? 0,
+    roughnessFactor: roughness ?? material?.roughness ?? 0.5,
+  };
+  if (texture) pbr.baseColorTexture = { index: glb.texture(texture) };
+
+  glb.json.materials = [{ name, pbrMetallicRoughness: pbr, doubleSided: true }];
+  glb.json.meshes = [{ name, primitives: [{ attributes, indices: index, material: 0, mode: 4 }] }];
+  glb.json.nodes = [{ name, mesh: 0 }];
+  glb.json.scenes = [{ nodes: [0] }];
+  glb.json.scene = 0;
+
+  return glb.write();
+}
+
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+const COMPONENT_TYPES = new Map([
+  [Float32Array, 5126],
+  [Uint32Array, 5125],
+]);
+
+/** Collects buffer views, accessors and images into one .glb. */
+class GLBWriter {
+  constructor() {
+    this.json = {
+      asset: { version: '2.0', generator: 'spindle-earth' },
+      buffers: [],
+      bufferViews: [],
+      accessors: [],
+    };
+    this.chunks = [];
+    this.byteLength = 0;
+  }
+
+  /** Add bytes to the binary chunk, 4-byte aligned; returns the buffer view index. */
+  view(bytes, target) {
+    const padding = (4 - (this.byteLength % 4)) % 4;
+    if (padding) this.chunks.push(new Uint8Array(padding));
+    this.byteLength += padding;
+
+    const view = { buffer: 0, byteOffset: this.byteLength, byteLength: bytes.byteLength };
+    if (target) view.target = target;
+    this.chunks.push(new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+    this.byteLength += bytes.byteLength;
+    return this.json.bufferViews.push(view) - 1;
+  }
+
+  /** Add a typed array as an accessor; returns its index. */
+  accessor(array, type, { target, bounds = false }) {
+    const size = { SCALAR: 1, VEC2: 2, VEC3: 3 }[type];
+    const accessor = {
+      bufferView: this.view(array, target),
+      componentType: COMPONENT_TYPES.get(array.constructor),
+      count: array.length / size,
+      type,
+    };
+    if (bounds) {
+      accessor.min = Array(size).fill(Infinity);
+      accessor.max = Array(size).fill(-Infinity);
+      for (let k = 0; k < array.length; k++) {
+        accessor.min[k % size] = Math.min(accessor.min[k % size], array[k]);
+        accessor.max[k % size] = Math.max(accessor.max[k % size], array[k]);
+      }
+    }
+    return this.json.accessors.push(accessor) - 1;
+  }
+
+  /** Add a PNG or JPEG image as a texture; returns its index. */
+  texture(image) {
+    const bytes = image instanceof Uint8Array ? image : new Uint8Array(image);
+    const mimeType = bytes[0] === 0x89 && bytes[1] === 0x50 ? 'image/png'
+      : bytes[0] === 0xff && bytes[1] === 0xd8 ? 'image/jpeg'
+      : null;
+    if (!mimeType) throw new Error('exportGLB: the texture must be PNG or JPEG bytes');
+
+    this.json.images = [{ bufferView: this.view(bytes), mimeType }];
+    // Clamped: u = 0 and u = 1 are the two sides of the seam, not one texel
+    this.json.samplers = [{ magFilter: 9729, minFilter: 9987, wrapS: 33071, wrapT: 33071 }];
+    this.json.textures = [{ sampler: 0, source: 0 }];
+    return 0;
+  }
+
+  /** The .glb: header, JSON chunk, binary chunk. */
+  write() {
+    const binLength = align4(this.byteLength);
+    this.json.buffers = [{ byteLength: binLength }];
+
+    const text = new TextEncoder().encode(JSON.stringify(this.json));
+    const jsonLength = align4(text.length);
+    const total = 12 + 8 + jsonLength + 8 + binLength;
+
+    const buffer = new ArrayBuffer(total);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    view.setUint32(0, 0x46546c67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4e4f534a, true); // 'JSON'
+    bytes.set(text, 20);
+    bytes.fill(0x20, 20 + text.length, 20 + jsonLength); // padded with spaces
+
+    let k = 20 + jsonLength;
+    view.setUint32(k, binLength, true);
+    view.setUint32(k + 4, 0x004e4942, true); // 'BIN'
+    k += 8;
+    for (const chunk of this.chunks) {
+      bytes.set(chunk, k);
+      k += chunk.length;
+    }
+
+    return buffer;
+  }
+}
+
+function align4(n) {
+  return Math.ceil(n / 4) * 4;
+}
+
+// --- Welding ---
+
+/**
+ * Build the grid and weld it.
+ *
+ * @returns {{ geometry: THREE.BufferGeometry, positions: Float32Array, triangles: Uint32Array,
+ *            corners: Uint32Array, pointOf: Uint32Array }}
+ *          positions: one xyz per welded point, scaled; triangles: point indices;
+ *          corners: the grid vertex at each corner of triangles; pointOf: grid vertex → point
+ */
+function weld(source, { scale = 1, ...options }) {
+  const geometry = buildSource(source, options);
+  const { uSegments, vSegments, collapsed } = geometry.userData.grid;
+  const position = geometry.getAttribute('position');
+  const tips = new Set(collapsed);
+
+  const pointOf = new Uint32Array(position.count);
+  const points = [];
+  const addPoint = k => {
+    points.push(scale * position.getX(k), scale * position.getY(k), scale * position.getZ(k));
+    return points.length / 3 - 1;
+  };
+
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  let k = 0;
+  for (let i = 0; i <= vSegments; i++) {
+    if (tips.has(i)) {
+      // A collapsed row: every apex copy is the tip
+      pointOf.fill(addPoint(k), k, k + uSegments);
+      k += uSegments;
+      continue;
+    }
+
+    const first = k;
+    const last = k + uSegments;
+    for (; k < last; k++) pointOf[k] = addPoint(k);
+    a.fromBufferAttribute(position, first);
+    b.fromBufferAttribute(position, last);
+    pointOf[last] = a.distanceTo(b) <= WELD_TOLERANCE * Math.max(1, a.length()) ? pointOf[first] : addPoint(last);
+    k++;
+  }
+
+  // Corners in welded points, dropping any triangle welding has flattened
+  const index = geometry.getIndex().array;
+  const triangles = [];
+  const corners = [];
+  for (let t = 0; t < index.length; t += 3) {
+    const [p, q, r] = [pointOf[index[t]], pointOf[index[t + 1]], pointOf[index[t + 2]]];
+    if (p === q || q === r || r === p) continue;
+    triangles.push(p, q, r);
+    corners.push(index[t], index[t + 1], index[t + 2]);
+  }
+
+  return {
+    geometry,
+    positions: new Float32Array(points),
+    triangles: new Uint32Array(triangles),
+    corners: new Uint32Array(corners),
+    pointOf,
+  };
+}
+
+/** A fresh buildGeometry grid of a SurfaceMesh's surface, or of a surface. */
+function buildSource(source, options) {
+  const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  if (source.isMesh) {
+    const { surface, uSegments, vSegments, adaptive } = source;
+    return buildGeometry(surface, { uSegments, vSegments, adaptive, ...defined });
+  }
+  return buildGeometry(source, defined);
+}
+
+// --- Closing the surface into a solid ---
+
+/**
+ * The welded surface as a watertight solid, triangles wound outward: the
+ * surface with its rims capped, or a shell of the given thickness.
+ */
+function solid(welded, { thickness, offset }) {
+  let { positions, triangles } = welded;
+
+  // Wind outward: the capped surface must enclose a positive volume
+  if (signedVolume(positions, triangles, capTriangles(positions, triangles)) < 0) {
+    triangles = triangles.slice();
+    for (let t = 0; t < triangles.length; t += 3) {
+      [triangles[t + 1], triangles[t + 2]] = [triangles[t + 2], triangles[t + 1]];
+    }
+  }
+
+  if (!(thickness > 0)) {
+    const caps = capTriangles(positions, triangles);
+    return {
+      positions: concat(Float32Array, positions, caps.centers),
+      triangles: concat(Uint32Array, triangles, caps.triangles),
+    };
+  }
+
+  // Outer copy at +offset · thickness along the outward normal, inner copy
+  // (reversed, facing in) at -(1 - offset) · thickness
+  const n = positions.length / 3;
+  const normals = pointNormals(positions, triangles);
+  const shell = new Float32Array(2 * positions.length);
+  for (let p = 0; p < positions.length; p++) {
+    shell[p] = positions[p] + normals[p] * thickness * offset;
+    shell[positions.length + p] = positions[p] - normals[p] * thickness * (1 - offset);
+  }
+
+  const faces = Array.from(triangles);
+  for (let t = 0; t < triangles.length; t += 3) {
+    faces.push(triangles[t] + n, triangles[t + 2] + n, triangles[t + 1] + n);
+  }
+
+  // A wall along each rim edge a → b: the quad b, a, a', b'
+  for (const loop of boundaryLoops(triangles)) {
+    loop.forEach((a, i) => {
+      const b = loop[(i + 1) % loop.length];
+      faces.push(b, a, a + n, b, a + n, b + n);
+    });
+  }
+
+  return { positions: shell, triangles: Uint32Array.from(faces) };
+}
+
+function concat(Type, a, b) {
+  const array = new Type(a.length + b.length);
+  array.set(a);
+  array.set(b, a.length);
+  return array;
+}
+
+/**
+ * The rims of the surface: loops of points along edges that only one
+ * triangle has, in that triangle's direction.
+ */
+function boundaryLoops(triangles) {
+  const edges = new Set();
+  const key = (a, b) => `${a},${b}`;
+  for (let t = 0; t < triangles.length; t += 3) {
+    for (let c = 0; c < 3; c++) edges.add(key(triangles[t + c], triangles[t + (c + 1) % 3]));
+  }
+
+  const next = new Map();
+  for (let t = 0; t < triangles.length; t += 3) {
+    for (let c = 0; c < 3; c++) {
+      const a = triangles[t + c];
+      const b = triangles[t + (c + 1) % 3];
+      if (!edges.has(key(b, a))) next.set(a, b);
+    }
+  }
+
+  const loops = [];
+  for (const start of next.keys()) {
+    if (!next.has(start)) continue; // already in a loop
+    const loop = [];
+    for (let a = start; next.has(a);) {
+      loop.push(a);
+      const b = next.get(a);
+      next.delete(a);
+      a = b;
+    }
+    loops.push(loop);
+  }
+  return loops;
+}
+
+/**
+ * Flat fans closing each rim: a new point at the rim's center, and a
+ * triangle from each rim edge a → b to it (wound b, a, center).
+ */
+function capTriangles(positions, triangles) {
+  const base = positions.length / 3;
+  const centers = [];
+  const caps = [];
+
+  for (const loop of boundaryLoops(triangles)) {
+    const center = [0, 0, 0];
+    for (const p of loop) {
+      for (let d = 0; d < 3; d++) center[d] += positions[3 * p + d] / loop.length;
+    }
+    const c = base + centers.length / 3;
+    centers.push(...center);
+    loop.forEach((a, i) => caps.push(loop[(i + 1) % loop.length], a, c));
+  }
+
+  return { centers, triangles: caps };
+}
+
+/** Volume enclosed by the triangles and caps, positive when they wind outward. */
+function signedVolume(positions, triangles, caps) {
+  const all = [...positions, ...caps.centers];
+  const p = new THREE.Vector3();
+  const q = new THREE.Vector3();
+  const r = new THREE.Vector3();
+
+  let volume = 0;
+  const add = list => {
+    for (let t = 0; t < list.length; t += 3) {
+      p.fromArray(all, 3 * list[t]);
+      q.fromArray(all, 3 * list[t + 1]);
+      r.fromArray(all, 3 * list[t + 2]);
+      volume += p.dot(q.cross(r)) / 6;
+    }
+  };
+  add(triangles);
+  add(caps.triangles);
+  return volume;
+}
+
+/** Area-weighted unit normals at each point (along the axis at a tip). */
+function pointNormals(positions, triangles) {
+  const normals = new Float32Array(positions.length);
+  const p = new THREE.Vector3();
+  const q = new THREE.Vector3();
+  const r = new THREE.Vector3();
+
+  for (let t = 0; t < triangles.length; t += 3) {
+    p.fromArray(positions, 3 * triangles[t]);
+    q.fromArray(positions, 3 * triangles[t + 1]).sub(p);
+    r.fromArray(positions, 3 * triangles[t + 2]).sub(p);
+    q.cross(r); // twice the area, along the face normal
+    for (let c = 0; c < 3; c++) {
+      const k = 3 * triangles[t + c];
+      normals[k] += q.x;
+      normals[k + 1] += q.y;
+      normals[k + 2] += q.z;
+    }
+  }
+
+  for (let k = 0; k < normals.length; k += 3) {
+    p.fromArray(normals, k).normalize().toArray(normals, k);
+  }
+  return normals;
+}
+
+/** Unit normal of triangle t. */
+function facetNormal(positions, triangles, t, target) {
+  const p = new THREE.Vector3().fromArray(positions, 3 * triangles[3 * t]);
+  const q = new THREE.Vector3().fromArray(positions, 3 * triangles[3 * t + 1]).sub(p);
+  const r = new THREE.Vector3().fromArray(positions, 3 * triangles[3 * t + 2]).sub(p);
+  return target.crossVectors(q, r).normalize();
+}
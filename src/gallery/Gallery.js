@@ -0,0 +1,302 @@
+/**
+ * Gallery
+ *
+ * One page for all the demos: a grid of cards (thumbnail, title,
+ * curvature, description) and a hash router, so #/spindle-slider runs that
+ * demo and an empty hash goes back to the grid.
+ *
+ * A demo is a module exporting mount(container) and unmount(). It is
+ * loaded when first opened, mounted into a fresh full-window container
+ * (which the UI overlays use too, see overlayRoot), and unmounted and
+ * removed when the route changes, so its WebGL context is given back.
+ *
+ * Thumbnails are an image if the demo has one, otherwise the silhouette of
+ * its profiles drawn on a 2D canvas, which costs no WebGL context.
+ *
+ * @example
+ *   const gallery = new Gallery({
+ *     demos: [{ name: 'spindle-slider', title: 'Spindle Earth slider', curvature: 'K = +1',
+ *               description: '...', profiles: [profile.toJSON()], load: () => import('./main.js') }],
+ *   });
+ *   gallery.start();
+ */
+
+import { curveFromJSON } from '../surfaces/surfaceFromJSON.js';
+import { setOverlayRoot } from '../ui/overlayRoot.js';
+
+export class Gallery {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.demos - In card order: { name, title, curvature, description,
+   *        profiles, thumbnail, load }: profiles are toJSON() descriptions for the
+   *        drawn thumbnail, thumbnail an image URL that replaces it, and load()
+   *        resolves to the demo's module
+   * @param {HTMLElement} [options.parent=document.body]
+   */
+  constructor({ demos, parent = document.body }) {
+    injectStyles();
+
+    this.demos = demos;
+    this.parent = parent;
+    this.title = document.title;
+
+    this.current = null;    // { module, container } of the mounted demo
+    this._route = 0;        // bumped on every route change, to drop stale loads
+    this._onHashChange = () => this.route();
+
+    this.grid = document.createElement('main');
+    this.grid.className = 'gallery';
+    const heading = document.createElement('h1');
+    heading.textContent = this.title;
+    this.grid.appendChild(heading);
+
+    const cards = document.createElement('div');
+    cards.className = 'gallery-cards';
+    for (const demo of this.demos) cards.appendChild(card(demo));
+    this.grid.appendChild(cards);
+  }
+
+  /** Follow the URL hash from now on, starting with the current one. */
+  start() {
+    window.addEventListener('hashchange', this._onHashChange);
+    return this.route();
+  }
+
+  /** Show whatever location.hash names: a demo, or the grid. */
+  async route() {
+    const route = ++this._route;
+    // #/name, or #/name?a=1.37 with the demo's UrlState after the name
+    const name = decodeURIComponent(location.hash.replace(/^#\/?/, '').split('?')[0]);
+    const demo = this.demos.find(d => d.name === name);
+
+    this._unmount();
+    if (!demo) {
+      document.title = this.title;
+      this.parent.appendChild(this.grid);
+      return;
+    }
+
+    this.grid.remove();
+    document.title = `${demo.title} · ${this.title}`;
+
+    let module;
+    try {
+      module = await demo.load();
+    } catch (error) {
+      console.error(error);
+      if (route === this._route) location.hash = '';
+      return;
+    }
+    if (route !== this._route) return;   // navigated elsewhere while it loaded
+
+    const container = document.createElement('div');
+    container.className = 'gallery-demo';
+    const back = document.createElement('a');
+    back.className = 'gallery-back';
+    back.href = '#/';
+    back.textContent = '← gallery';
+    container.appendChild(back);
+    this.parent.appendChild(container);
+
+    // Overlays go in the container for as long as the demo runs, including
+    // any it creates later
+    setOverlayRoot(container);
+    this.current = { module, container };
+    module.mount(container);
+  }
+
+  /** Unmount any demo, stop following the hash and take the grid off the page. */
+  dispose() {
+    window.removeEventListener('hashchange', this._onHashChange);
+    this._route++;
+    this._unmount();
+    this.grid.remove();
+  }
+
+  _unmount() {
+    if (!this.current) return;
+    const { module, container } = this.current;
+    this.current = null;
+    try {
+      module.unmount();
+    } finally {
+      setOverlayRoot(null);
+      container.remove();
+    }
+  }
+}
+
+// --- Cards ---
+
+function card(demo) {
+  const link = document.createElement('a');
+  link.className = 'gallery-card';
+  link.href = `#/${encodeURIComponent(demo.name)}`;
+
+  let image;
+  if (demo.thumbnail) {
+    image = document.createElement('img');
+    image.src = demo.thumbnail;
+    image.alt = '';
+  } else {
+    image = silhouette(demo.profiles ?? []);
+  }
+  image.classList.add('gallery-thumbnail');
+
+  const title = document.createElement('h2');
+  title.textContent = demo.title;
+
+  const curvature = document.createElement('span');
+  curvature.className = 'gallery-curvature';
+  curvature.textContent = demo.curvature ?? '';
+
+  const description = document.createElement('p');
+  description.textContent = demo.description ?? '';
+
+  link.append(image, title, curvature, description);
+  return link;
+}
+
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_HEIGHT = 200;
+
+/**
+ * The profiles spun about a vertical axis and seen side on, next to each
+ * other on one shared scale: r(s) and -r(s) against h(s), filled.
+ */
+function silhouette(profiles) {
+  const canvas = document.createElement('canvas');
+  canvas.width = THUMBNAIL_WIDTH;
+  canvas.height = THUMBNAIL_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return canvas;
+
+  const outlines = profiles.map(json => {
+    const points = curveFromJSON(json).points;
+    const hs = points.map(p => p.y);
+    const hMin = Math.min(...hs);
+    const hMax = Math.max(...hs);
+    const rMax = Math.max(...points.map(p => p.x));
+    return { points, hMin, hMax, rMax };
+  });
+  if (outlines.length === 0) return canvas;
+
+  // Shared scale, so a spindle next to a barrel looks its size
+  const margin = 16;
+  const slot = (THUMBNAIL_WIDTH - 2 * margin) / outlines.length;
+  const width = Math.max(...outlines.map(o => 2 * o.rMax));
+  const height = Math.max(...outlines.map(o => o.hMax - o.hMin));
+  const scale = Math.min((slot - 8) / width, (THUMBNAIL_HEIGHT - 2 * margin) / height);
+
+  outlines.forEach(({ points, hMin, hMax }, i) => {
+    const cx = margin + slot * (i + 0.5);
+    const cy = THUMBNAIL_HEIGHT / 2 + scale * (hMin + hMax) / 2;
+    const x = r => cx + scale * r;
+    const y = h => cy - scale * h;
+
+    ctx.beginPath();
+    points.forEach((p, k) => ctx[k ? 'lineTo' : 'moveTo'](x(p.x), y(p.y)));
+    for (let k = points.length - 1; k >= 0; k--) ctx.lineTo(x(-points[k].x), y(points[k].y));
+    ctx.closePath();
+
+    const shade = ctx.createLinearGradient(x(-width / 2), 0, x(width / 2), 0);
+    shade.addColorStop(0, '#1a3550');
+    shade.addColorStop(0.4, '#4a9ad0');
+    shade.addColorStop(1, '#12263a');
+    ctx.fillStyle = shade;
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  });
+
+  return canvas;
+}
+
+// --- Styles (injected once) ---
+
+let stylesInjected = false;
+
+function injectStyles() {
+  if (stylesInjected) return;
+  stylesInjected = true;
+
+  const style = document.createElement('style');
+  style.textContent = `
+    body:has(> .gallery) {
+      overflow: auto;
+      background: #0b0f17;
+    }
+    .gallery {
+      max-width: 1100px;
+      margin: 0 auto;
+      padding: 32px 16px;
+      color: #fff;
+      font-family: monospace;
+    }
+    .gallery h1 {
+      font-size: 24px;
+      font-weight: normal;
+      margin: 0 0 24px;
+    }
+    .gallery-cards {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+      gap: 16px;
+    }
+    .gallery-card {
+      display: flex;
+      flex-direction: column;
+      background: rgba(255, 255, 255, 0.05);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 8px;
+      padding: 12px;
+      color: inherit;
+      text-decoration: none;
+    }
+    .gallery-card:hover,
+    .gallery-card:focus-visible {
+      border-color: rgba(255, 255, 255, 0.5);
+    }
+    .gallery-thumbnail {
+      width: 100%;
+      aspect-ratio: ${THUMBNAIL_WIDTH} / ${THUMBNAIL_HEIGHT};
+      object-fit: cover;
+      background: #000;
+      border-radius: 4px;
+    }
+    .gallery-card h2 {
+      font-size: 16px;
+      font-weight: normal;
+      margin: 12px 0 4px;
+    }
+    .gallery-curvature {
+      font-size: 12px;
+      opacity: 0.7;
+    }
+    .gallery-card p {
+      font-size: 13px;
+      line-height: 1.4;
+      margin: 8px 0 0;
+      opacity: 0.85;
+    }
+    .gallery-demo {
+      position: fixed;
+      inset: 0;
+    }
+    .gallery-back {
+      position: fixed;
+      bottom: 16px;
+      right: 16px;
+      z-index: 20;
+      background: rgba(0, 0, 0, 0.5);
+      color: #fff;
+      padding: 8px 16px;
+      border-radius: 8px;
+      font-family: monospace;
+      font-size: 14px;
+      text-decoration: none;
+    }
+  `;
+  document.head.appendChild(style);
+}
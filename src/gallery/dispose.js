@@ -0,0 +1,57 @@
+/**
+ * Release the GPU side of a demo: everything in a scene, and the renderer
+ * with its WebGL context.
+ *
+ * Browsers allow only a handful of live WebGL contexts, so a page that
+ * mounts one demo after another (the gallery) has to give each context
+ * back rather than wait for garbage collection.
+ *
+ * @example
+ *   disposeScene(scene);
+ *   disposeRenderer(renderer);
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Dispose every geometry, material and texture reachable from a scene.
+ * Objects with their own dispose() (SurfaceMesh, CurveTube, ...) are
+ * asked to clean up themselves as well.
+ *
+ * @param {THREE.Object3D} root
+ */
+export function disposeScene(root) {
+  const textures = new Set();
+  const collect = value => {
+    if (value instanceof THREE.Texture) textures.add(value);
+  };
+
+  root.traverse(object => {
+    if (object !== root && typeof object.dispose === 'function') object.dispose();
+    object.geometry?.dispose();
+
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    for (const material of materials) {
+      if (!material) continue;
+      Object.values(material).forEach(collect);
+      Object.values(material.uniforms ?? {}).forEach(uniform => collect(uniform?.value));
+      material.dispose();
+    }
+    Object.values(object.uniforms ?? {}).forEach(uniform => collect(uniform?.value));
+  });
+
+  collect(root.background);
+  collect(root.environment);
+  for (const texture of textures) texture.dispose();
+}
+
+/**
+ * Dispose a renderer, lose its WebGL context and take its canvas off the page.
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ */
+export function disposeRenderer(renderer) {
+  renderer.dispose();
+  renderer.forceContextLoss();
+  renderer.domElement.remove();
+}
@@ -0,0 +1,27 @@
+/**
+ * The gallery page: every folder in demos/ with a main.js and a demo.json.
+ *
+ * demo.json holds what the card shows:
+ *   { "title": ..., "curvature": "K = +1", "description": ...,
+ *     "profiles": [ConstantCurvatureProfile toJSON() descriptions] }
+ * and a thumbnail.png / thumbnail.jpg next to it replaces the drawn
+ * silhouette. Demo modules are only loaded when opened.
+ */
+
+import { Gallery } from './Gallery.js';
+
+const modules = import.meta.glob('/demos/*/main.js');
+const metadata = import.meta.glob('/demos/*/demo.json', { eager: true, import: 'default' });
+const thumbnails = import.meta.glob('/demos/*/thumbnail.{png,jpg}', { eager: true, query: '?url', import: 'default' });
+
+const folder = path => path.split('/')[2];
+
+const demos = Object.entries(modules)
+  .filter(([path]) => `/demos/${folder(path)}/demo.json` in metadata)
+  .map(([path, load]) => {
+    const name = folder(path);
+    const thumbnail = Object.entries(thumbnails).find(([p]) => folder(p) === name)?.[1];
+    return { name, ...metadata[`/demos/${name}/demo.json`], thumbnail, load };
+  });
+
+new Gallery({ demos }).start();
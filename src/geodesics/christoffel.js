@@ -0,0 +1,104 @@
+/**
+ * Metric and Christoffel symbols of a parametric surface.
+ *
+ * Works for any surface used by buildGeometry: if the surface provides
+ * firstFundamentalForm(u, v) or christoffel(u, v) those are used, otherwise
+ * everything is computed from finite differences of evaluate(u, v).
+ *
+ * Christoffel symbols are returned as
+ *   { u: [Γ^u_uu, Γ^u_uv, Γ^u_vv], v: [Γ^v_uu, Γ^v_uv, Γ^v_vv] }
+ */
+
+/**
+ * First fundamental form { E, F, G } at (u, v).
+ *
+ * @param {Object} surface - Parametric surface (evaluate, getDomain)
+ * @param {number} u
+ * @param {number} v
+ * @returns {{ E: number, F: number, G: number }}
+ */
+export function metric(surface, u, v) {
+  if ('firstFundamentalForm' in surface) {
+    return surface.firstFundamentalForm(u, v);
+  }
+  const { Xu, Xv } = partials(surface, u, v, false);
+  return { E: Xu.dot(Xu), F: Xu.dot(Xv), G: Xv.dot(Xv) };
+}
+
+/**
+ * Christoffel symbols of the second kind at (u, v).
+ *
+ * @param {Object} surface - Parametric surface (evaluate, getDomain)
+ * @param {number} u
+ * @param {number} v
+ * @returns {{ u: number[], v: number[] }}
+ */
+export function christoffel(surface, u, v) {
+  if ('christoffel' in surface) {
+    return surface.christoffel(u, v);
+  }
+
+  // Γ^k_ij = g^{kl} (X_ij · X_l)
+  const { Xu, Xv, Xuu, Xuv, Xvv } = partials(surface, u, v, true);
+  const E = Xu.dot(Xu);
+  const F = Xu.dot(Xv);
+  const G = Xv.dot(Xv);
+  const det = E * G - F * F;
+
+  const raise = X => {
+    const a = X.dot(Xu);
+    const b = X.dot(Xv);
+    return [(G * a - F * b) / det, (E * b - F * a) / det];
+  };
+  const [uuu, vuu] = raise(Xuu);
+  const [uuv, vuv] = raise(Xuv);
+  const [uvv, vvv] = raise(Xvv);
+
+  return { u: [uuu, uuv, uvv], v: [vuu, vuv, vvv] };
+}
+
+/**
+ * Central-difference partial derivatives of X(u, v). The v stencil is
+ * shifted inward at the ends of the domain so it never leaves it; u is
+ * assumed to be evaluable slightly outside (true of periodic surfaces).
+ */
+export function partials(surface, u, v, second = true) {
+  const { uMin, uMax, vMin, vMax } = surface.getDomain();
+  const hu = 1e-4 * (uMax - uMin);
+  const hv = 1e-4 * (vMax - vMin);
+  const vc = Math.min(Math.max(v, vMin + hv), vMax - hv);
+
+  const X = (du, dv) => surface.evaluate(u + du * hu, vc + dv * hv);
+
+  const pE = X(1, 0), pW = X(-1, 0), pN = X(0, 1), pS = X(0, -1);
+  const Xu = pE.clone().sub(pW).divideScalar(2 * hu);
+  const Xv = pN.clone().sub(pS).divideScalar(2 * hv);
+  if (!second) return { Xu, Xv };
+
+  const p0 = X(0, 0);
+  const Xuu = pE.clone().add(pW).addScaledVector(p0, -2).divideScalar(hu * hu);
+  const Xvv = pN.clone().add(pS).addScaledVector(p0, -2).divideScalar(hv * hv);
+  const Xuv = X(1, 1).sub(X(1, -1)).sub(X(-1, 1)).add(X(-1, -1)).divideScalar(4 * hu * hv);
+
+  return { Xu, Xv, Xuu, Xuv, Xvv };
+}
+
+/**
+ * Tangent vector [du, dv] of unit length at angle θ in the orthonormal frame
+ * e1 = X_u / √E,  e2 = (X_v - (F/E) X_u) / √(det / E),
+ * i.e. θ is measured from ∂/∂u, turning toward ∂/∂v.
+ */
+export function tangentFromAngle(surface, u, v, angle) {
+  const { E, F, G } = metric(surface, u, v);
+  const det = E * G - F * F;
+  const dv = Math.sin(angle) * Math.sqrt(E / det);
+  const du = Math.cos(angle) / Math.sqrt(E) - (F / E) * dv;
+  return [du, dv];
+}
+
+/** Angle of the tangent vector [du, dv] in the same frame, in (-π, π]. */
+export function tangentAngle(surface, u, v, [du, dv]) {
+  const { E, F, G } = metric(surface, u, v);
+  const det = E * G - F * F;
+  return Math.atan2(dv * Math.sqrt(det / E), (E * du + F * dv) / Math.sqrt(E));
+}
@@ -0,0 +1,253 @@
+/**
+ * Geodesics on surfaces of revolution by Clairaut's relation.
+ *
+ * Along a geodesic, r(s) cos θ = c is constant, where θ is the angle with
+ * the parallels. In arc length σ this gives
+ *
+ *   du/dσ = c / r²,    ds/dσ = ±sqrt(1 - c²/r²),
+ *
+ * so u(s) follows by quadrature from du/ds = c / (r sqrt(r² - c²)). The
+ * geodesic turns back at the latitudes where r(s) = |c|; between two such
+ * turning points it oscillates forever, advancing by a fixed Δu per
+ * oscillation. It closes up when Δu / 2π is rational.
+ *
+ * The integrand has inverse-square-root singularities at the turning points;
+ * a change of variable that flattens out there makes it smooth, so each leg
+ * is a plain Gauss–Legendre quadrature (src/ode/quadrature.js).
+ *
+ * @example
+ *   const profile = new ConstantCurvatureProfile({ K: 1, a: 0.5 });
+ *   const g = clairautGeodesic(profile, { s0: Math.PI / 2, angle: Math.PI / 6 });
+ *   g.turningPoints;   // [s₋, s₊], the latitudes it oscillates between
+ *   g.closed;          // true: Δu = 2π / a = 4π
+ */
+
+import * as THREE from 'three';
+import { NumericalCurve } from '../curves/NumericalCurve.js';
+import { quadrature } from '../ode/quadrature.js';
+
+/**
+ * @param {Object} profile - Closed-form profile with r(s), h(s), sMin, sMax
+ *                           (e.g. ConstantCurvatureProfile)
+ * @param {Object} options
+ * @param {number} options.s0 - Start latitude (arc length along the profile)
+ * @param {number} options.angle - Start angle from the parallel, turning toward increasing s
+ * @param {number} [options.u0=0] - Start longitude
+ * @param {number} [options.legs=8] - Half-oscillations (turning point to turning point) to trace
+ * @param {number} [options.samplesPerLeg=100] - Points per leg in the output
+ * @param {number} [options.maxDenominator=24] - Largest q tested when deciding closedness
+ * @param {number} [options.offset=0] - Lift the output points off the surface along the normal
+ * @returns {{
+ *   curve: NumericalCurve, points: THREE.Vector3[], uv: {u: number, v: number}[],
+ *   clairautConstant: number, turningPoints: (number|null)[], bounded: boolean,
+ *   period: number|null, rotationNumber: number|null, closed: boolean,
+ *   closure: {turns: number, oscillations: number}|null, length: number
+ * }}
+ */
+export function clairautGeodesic(profile, options) {
+  const { s0, angle } = options;
+  const u0 = options.u0 ?? 0;
+  const legs = options.legs ?? 8;
+  const samplesPerLeg = options.samplesPerLeg ?? 100;
+  const offset = options.offset ?? 0;
+  const { sMin, sMax } = profile;
+
+  const r0 = profile.r(s0);
+  const cosAngle = Math.abs(Math.cos(angle)) < 1e-12 ? 0 : Math.cos(angle); // meridians exactly
+  const c = r0 * cosAngle;
+  const absC = Math.abs(c);
+
+  // Parallel geodesic: launched along a latitude where r is stationary
+  if (Math.abs(Math.sin(angle)) < 1e-12 && Math.abs(profile.dr(s0)) < 1e-9) {
+    return parallelGeodesic(profile, s0, u0, c, samplesPerLeg, offset);
+  }
+
+  const turningPoints = [
+    findTurningPoint(profile, s0, sMin, absC),
+    findTurningPoint(profile, s0, sMax, absC),
+  ];
+  const bounded = turningPoints[0] !== null && turningPoints[1] !== null;
+
+  // Initial direction in s; at a turning point head into the band
+  let dir = Math.sign(Math.sin(angle));
+  if (Math.abs(Math.sin(angle)) < 1e-12) dir = profile.dr(s0) >= 0 ? 1 : -1;
+
+  // du/ds and dσ/ds, times sqrt(r² - c²)
+  const duds = s => c / profile.r(s);
+  const dsigmads = s => profile.r(s);
+
+  /**
+   * Cumulative u and σ from sA to sB. At a turning point the integrands
+   * blow up like 1 / sqrt(r² - c²); substituting s = sA + (sB - sA) w(φ)
+   * with w'(φ) vanishing to first order there leaves a smooth integrand in φ,
+   * so plain Gauss–Legendre on a uniform φ grid is accurate to rounding.
+   */
+  function traceLeg(sA, sB, singularA, singularB) {
+    const w = warp(singularA, singularB);
+    const ds = sB - sA;
+    const smooth = f => phi => {
+      const { value, slope } = w(phi);
+      const sPhi = sA + ds * value;
+      const r = profile.r(sPhi);
+      const rad = r * r - c * c;
+      return rad > 0 ? f(sPhi) * Math.abs(ds) * slope / Math.sqrt(rad) : 0;
+    };
+    const opts = { method: 'gauss', order: 8 };
+    const us = quadrature(smooth(duds), 0, 1, samplesPerLeg, opts).values;
+    const sigmas = quadrature(smooth(dsigmads), 0, 1, samplesPerLeg, opts).values;
+    return us.map((uj, j) => ({ s: sA + ds * w(j / samplesPerLeg).value, u: uj, sigma: sigmas[j] }));
+  }
+
+  // Trace leg by leg: s runs monotonically to the next turning point (or
+  // edge). Every leg between the two turning points is the same up to a
+  // shift in u, so each direction is integrated once.
+  const legCache = new Map();
+  const samples = [{ s: s0, u: u0, sigma: 0 }];
+  let s = s0;
+  let u = u0;
+  let sigma = 0;
+  let fromTurn = Math.abs(Math.sin(angle)) < 1e-12;
+  for (let leg = 0; leg < legs; leg++) {
+    const turn = dir > 0 ? turningPoints[1] : turningPoints[0];
+    const end = turn ?? (dir > 0 ? sMax : sMin);
+
+    if (Math.abs(end - s) > 1e-14) {
+      const key = `${s},${end}`;
+      if (!legCache.has(key)) {
+        legCache.set(key, traceLeg(s, end, fromTurn, turn !== null));
+      }
+      const table = legCache.get(key);
+      for (let j = 1; j < table.length; j++) {
+        samples.push({ s: table[j].s, u: u + table[j].u, sigma: sigma + table[j].sigma });
+      }
+      u += table[table.length - 1].u;
+      sigma += table[table.length - 1].sigma;
+      s = end;
+    }
+
+    if (turn === null) break; // ran off an edge (or into a tip)
+    fromTurn = true;
+    dir = -dir;
+  }
+
+  // Δu over a full oscillation, and whether it closes
+  let period = null;
+  let rotationNumber = null;
+  let closure = null;
+  if (bounded) {
+    const [lo, hi] = turningPoints;
+    const table = legCache.get(`${lo},${hi}`) ?? traceLeg(lo, hi, true, true);
+    period = 2 * table[table.length - 1].u;
+    rotationNumber = period / (2 * Math.PI);
+    closure = rationalApproximation(rotationNumber, options.maxDenominator ?? 24);
+  }
+
+  return {
+    ...buildCurve(profile, samples, offset),
+    clairautConstant: c,
+    turningPoints,
+    bounded,
+    period,
+    rotationNumber,
+    closed: closure !== null,
+    closure,
+    length: sigma,
+  };
+}
+
+/**
+ * Latitude where r(s) = |c| between s0 and sEnd, or null if r stays above
+ * |c| all the way to sEnd. Scans for the first crossing, then bisects.
+ */
+function findTurningPoint(profile, s0, sEnd, absC) {
+  const n = 256;
+  let prev = s0;
+  for (let i = 1; i <= n; i++) {
+    const s = s0 + (sEnd - s0) * (i / n);
+    if (profile.r(s) < absC) {
+      let lo = prev;
+      let hi = s;
+      for (let k = 0; k < 100; k++) {
+        const mid = 0.5 * (lo + hi);
+        if (profile.r(mid) >= absC) lo = mid;
+        else hi = mid;
+      }
+      return lo;
+    }
+    prev = s;
+  }
+  return null;
+}
+
+/**
+ * Map φ ∈ [0, 1] onto a leg, flattening out at singular ends:
+ * (1 - cos πφ) / 2 for both, sin(πφ / 2) or 1 - cos(πφ / 2) for one.
+ */
+function warp(singularA, singularB) {
+  const h = Math.PI / 2;
+  if (singularA && singularB) {
+    return phi => ({ value: (1 - Math.cos(Math.PI * phi)) / 2, slope: h * Math.sin(Math.PI * phi) });
+  }
+  if (singularB) return phi => ({ value: Math.sin(h * phi), slope: h * Math.cos(h * phi) });
+  if (singularA) return phi => ({ value: 1 - Math.cos(h * phi), slope: h * Math.sin(h * phi) });
+  return phi => ({ value: phi, slope: 1 });
+}
+
+/** The latitude circle itself, when it is a geodesic (r'(s0) = 0). */
+function parallelGeodesic(profile, s0, u0, c, samples, offset) {
+  const r = profile.r(s0);
+  const step = Math.sign(c) * 2 * Math.PI / samples;
+  const points = [];
+  for (let i = 0; i <= samples; i++) points.push({ s: s0, u: u0 + i * step });
+
+  return {
+    ...buildCurve(profile, points, offset),
+    clairautConstant: c,
+    turningPoints: [s0, s0],
+    bounded: true,
+    period: 2 * Math.PI,
+    rotationNumber: 1,
+    closed: true,
+    closure: { turns: 1, oscillations: 1 },
+    length: 2 * Math.PI * r,
+  };
+}
+
+/**
+ * Points on X(u, s) = (r cos u, h, -r sin u), lifted along the unit normal
+ * (h' cos u, -r', -h' sin u), plus (u, v) with v ∈ [0, 1].
+ */
+function buildCurve(profile, samples, offset) {
+  const { sMin, sMax } = profile;
+  const points = samples.map(({ s, u }) => {
+    const r = profile.r(s) + offset * profile.dh(s);
+    const h = profile.h(s) - offset * profile.dr(s);
+    return new THREE.Vector3(r * Math.cos(u), h, -r * Math.sin(u));
+  });
+  const uv = samples.map(({ s, u }) => ({
+    u: ((u % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI),
+    v: (s - sMin) / (sMax - sMin),
+  }));
+  return { curve: new NumericalCurve({ points }), points, uv };
+}
+
+/**
+ * Best p/q with q ≤ maxDenominator from the continued fraction of x, if it
+ * matches x to 1e-8. p turns around the axis after q oscillations.
+ */
+function rationalApproximation(x, maxDenominator) {
+  let [p0, q0, p1, q1] = [0, 1, 1, 0];
+  let y = Math.abs(x);
+  for (let i = 0; i < 32; i++) {
+    const a = Math.floor(y);
+    [p0, q0, p1, q1] = [p1, q1, a * p1 + p0, a * q1 + q0];
+    if (q1 > maxDenominator) return null;
+    if (Math.abs(Math.abs(x) - p1 / q1) < 1e-8) {
+      return { turns: p1, oscillations: q1 };
+    }
+    const frac = y - a;
+    if (frac < 1e-14) return null;
+    y = 1 / frac;
+  }
+  return null;
+}
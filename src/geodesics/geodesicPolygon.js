@@ -0,0 +1,255 @@
+/**
+ * Geodesic polygons and the Gauss–Bonnet check.
+ *
+ * Vertices (u, v) are joined by geodesic edges, each found by shooting:
+ * Newton's method on the launch angle and length of a traced geodesic
+ * (src/geodesics/traceGeodesic.js) until it lands on the next vertex.
+ *
+ * For a simple geodesic polygon with n vertices, Gauss–Bonnet says
+ *
+ *   Σ interior angles - (n - 2)π = ∫∫ K dA,
+ *
+ * i.e. K · Area on a constant-curvature surface. Both sides are computed
+ * independently: the angles from the edge tangents at the vertices, the
+ * area and ∫∫ K dA by Green's theorem over the edges in (u, v).
+ *
+ * @example
+ *   const polygon = geodesicPolygon(surface, [
+ *     { u: 0, v: 0.4 }, { u: 1, v: 0.45 }, { u: 0.4, v: 0.7 },
+ *   ]);
+ *   polygon.excess;              // Σ angles - (n - 2)π
+ *   polygon.curvatureIntegral;   // ∫∫ K dA: the same, to ~1e-8
+ */
+
+import { traceGeodesic, isPeriodicU } from './traceGeodesic.js';
+import { metric, tangentAngle, tangentFromAngle } from './christoffel.js';
+import { wrapAngle } from './parallelTransport.js';
+import { integrate } from '../ode/quadrature.js';
+
+/**
+ * The geodesic from p to q, by shooting from p.
+ *
+ * The first guess is the straight line from p to q in (u, v); short edges
+ * converge in a few Newton steps. Long ones may find a different geodesic
+ * than the shortest, or none (converged is then false).
+ *
+ * @param {Object} surface - Parametric surface (evaluate, getDomain)
+ * @param {{u: number, v: number}} p - Start
+ * @param {{u: number, v: number}} q - End
+ * @param {Object} [options]
+ * @param {number} [options.samples=128] - Points in the output curve (even)
+ * @param {number} [options.offset=0] - Lift the output points off the surface along the normal
+ * @param {boolean} [options.periodicU] - Wrap u (default: detected by traceGeodesic)
+ * @returns {{ curve: NumericalCurve, points: THREE.Vector3[], uv: {u: number, v: number}[],
+ *             length: number, startVelocity: number[], endVelocity: number[],
+ *             converged: boolean }}
+ */
+export function geodesicBetween(surface, p, q, options = {}) {
+  const periodicU = options.periodicU ?? isPeriodicU(surface);
+  const { uMin, uMax } = surface.getDomain();
+  const period = uMax - uMin;
+  const wrapDelta = x => (periodicU ? x - period * Math.round(x / period) : x);
+
+  // Straight line in (u, v) for the first guess
+  const deltaU = wrapDelta(q.u - p.u);
+  const deltaV = q.v - p.v;
+  const mid = metric(surface, p.u + deltaU / 2, p.v + deltaV / 2);
+  let length = Math.sqrt(mid.E * deltaU * deltaU + 2 * mid.F * deltaU * deltaV + mid.G * deltaV * deltaV);
+  let angle = tangentAngle(surface, p.u, p.v, [deltaU, deltaV]);
+
+  const shoot = (angle, length, samples = 1) => traceGeodesic(surface, {
+    u: p.u,
+    v: p.v,
+    angle,
+    length,
+    samples,
+    periodicU,
+    tolerance: 1e-11,
+  });
+  const residual = ({ uv }) => {
+    const end = uv[uv.length - 1];
+    return [wrapDelta(end.u - q.u), end.v - q.v];
+  };
+  const norm = ([a, b]) => Math.hypot(a, b);
+
+  // Newton on (angle, length), with finite-difference Jacobian and backtracking
+  let r = residual(shoot(angle, length));
+  let converged = norm(r) < 1e-10;
+  for (let iter = 0; iter < 30 && !converged; iter++) {
+    const hA = 1e-7;
+    const hL = 1e-7 * Math.max(length, 1);
+    const rA = residual(shoot(angle + hA, length));
+    const rL = residual(shoot(angle, length + hL));
+    const J = [
+      [(rA[0] - r[0]) / hA, (rL[0] - r[0]) / hL],
+      [(rA[1] - r[1]) / hA, (rL[1] - r[1]) / hL],
+    ];
+    const det = J[0][0] * J[1][1] - J[0][1] * J[1][0];
+    if (!Number.isFinite(det) || det === 0) break;
+    const dA = (J[1][1] * r[0] - J[0][1] * r[1]) / det;
+    const dL = (J[0][0] * r[1] - J[1][0] * r[0]) / det;
+
+    let step = 1;
+    let next = null;
+    for (let k = 0; k < 12; k++, step /= 2) {
+      const candidate = residual(shoot(angle - step * dA, Math.max(length - step * dL, 1e-9)));
+      if (norm(candidate) < norm(r)) {
+        next = candidate;
+        break;
+      }
+    }
+    if (!next) break;
+    angle -= step * dA;
+    length = Math.max(length - step * dL, 1e-9);
+    r = next;
+    converged = norm(r) < 1e-10;
+  }
+
+  const samples = options.samples ?? 128;
+  const edge = traceGeodesic(surface, {
+    u: p.u,
+    v: p.v,
+    angle,
+    length,
+    samples: samples + (samples % 2),
+    periodicU,
+    offset: options.offset ?? 0,
+    tolerance: 1e-11,
+  });
+
+  return {
+    curve: edge.curve,
+    points: edge.points,
+    uv: edge.uv,
+    length: edge.length,
+    startVelocity: tangentFromAngle(surface, p.u, p.v, angle),
+    endVelocity: edge.velocity,
+    converged,
+  };
+}
+
+/**
+ * Close the vertices into a geodesic polygon and compare both sides of
+ * Gauss–Bonnet. The vertices may go around either way; the result is
+ * reported for the counterclockwise orientation.
+ *
+ * A polygon that winds around the axis of a surface of revolution does not
+ * bound a disk in (u, v); its area is not computed (encirclesAxis is true).
+ *
+ * @param {Object} surface - Parametric surface (evaluate, getDomain)
+ * @param {{u: number, v: number}[]} vertices - At least 3
+ * @param {Object} [options]
+ * @param {number} [options.samples=128] - Points per edge
+ * @param {number} [options.offset=0] - Lift the edges off the surface along the normal
+ * @returns {{
+ *   edges: Object[], angles: number[], angleSum: number, excess: number,
+ *   area: number|null, curvatureIntegral: number|null,
+ *   encirclesAxis: boolean, converged: boolean
+ * }}
+ */
+export function geodesicPolygon(surface, vertices, options = {}) {
+  const n = vertices.length;
+  if (n < 3) throw new Error('geodesicPolygon: need at least 3 vertices');
+
+  const periodicU = isPeriodicU(surface);
+  const edges = vertices.map((p, i) => geodesicBetween(surface, p, vertices[(i + 1) % n], {
+    samples: options.samples,
+    offset: options.offset,
+    periodicU,
+  }));
+
+  // Signed turning angle at each vertex, from the incoming to the outgoing tangent
+  const turning = vertices.map((p, i) => {
+    const incoming = edges[(i + n - 1) % n].endVelocity;
+    const outgoing = edges[i].startVelocity;
+    return wrapAngle(
+      tangentAngle(surface, p.u, p.v, outgoing) - tangentAngle(surface, p.u, p.v, incoming),
+    );
+  });
+
+  // Area and ∫∫ K dA by Green's theorem: ∫∫ f du dv = ∮ P dv, P = ∫ f du
+  const { path, winding } = unwrapBoundary(edges, periodicU ? surface.getDomain() : null);
+  const encirclesAxis = Math.abs(winding) > Math.PI;
+  let area = null;
+  let curvatureIntegral = null;
+  let orientation = Math.sign(turning.reduce((sum, t) => sum + t, 0)) || 1;
+
+  if (!encirclesAxis) {
+    const uRef = path[0].u;
+    const density = (u, v) => {
+      const { E, F, G } = metric(surface, u, v);
+      return Math.sqrt(Math.max(0, E * G - F * F));
+    };
+    const curvature = (u, v) => density(u, v) * gaussianCurvature(surface, u, v);
+    const signedArea = boundaryIntegral(path, uRef, density);
+    orientation = Math.sign(signedArea) || 1;
+    area = Math.abs(signedArea);
+    curvatureIntegral = orientation * boundaryIntegral(path, uRef, curvature);
+  }
+
+  // Interior angles for the counterclockwise orientation
+  const angles = turning.map(t => Math.PI - orientation * t);
+  const angleSum = angles.reduce((sum, a) => sum + a, 0);
+
+  return {
+    edges,
+    angles,
+    angleSum,
+    excess: angleSum - (n - 2) * Math.PI,
+    area,
+    curvatureIntegral,
+    encirclesAxis,
+    converged: edges.every(e => e.converged),
+  };
+}
+
+// --- Helpers ---
+
+/**
+ * All edge samples in order, with u made continuous across the seam, and
+ * the net change in u once around (nonzero when the loop winds around).
+ */
+function unwrapBoundary(edges, domain) {
+  const period = domain ? domain.uMax - domain.uMin : 0;
+  const path = [];
+  let shift = 0;
+  let prev = null;
+  for (const edge of edges) {
+    for (let i = path.length === 0 ? 0 : 1; i < edge.uv.length; i++) {
+      const { u, v } = edge.uv[i];
+      if (prev !== null && period) {
+        const jump = u + shift - prev;
+        shift -= period * Math.round(jump / period);
+      }
+      prev = u + shift;
+      path.push({ u: prev, v });
+    }
+  }
+  const last = path[path.length - 1];
+  const winding = last.u - path[0].u;
+  path[path.length - 1] = { u: path[0].u + winding, v: path[0].v };
+  return { path, winding };
+}
+
+/**
+ * ∮ P dv around the closed path, with P(u, v) = ∫_{uRef}^{u} f(u', v) du'.
+ * Trapezoid sums on the samples, Richardson-extrapolated with every other
+ * sample to fourth order.
+ */
+function boundaryIntegral(path, uRef, f) {
+  const P = path.map(({ u, v }) => integrate(x => f(x, v), uRef, u, { method: 'gauss', order: 8 }).value);
+  const trapezoid = stride => {
+    let sum = 0;
+    for (let i = 0; i + stride < path.length; i += stride) {
+      sum += 0.5 * (P[i] + P[i + stride]) * (path[i + stride].v - path[i].v);
+    }
+    return sum;
+  };
+  return (4 * trapezoid(1) - trapezoid(2)) / 3;
+}
+
+/** Gaussian curvature, from the surface if it provides it. */
+function gaussianCurvature(surface, u, v) {
+  if ('gaussianCurvature' in surface) return surface.gaussianCurvature(u, v);
+  throw new Error('geodesicPolygon: surface has no gaussianCurvature(u, v)');
+}
@@ -0,0 +1,136 @@
+/**
+ * GeodesicPolygonTool
+ *
+ * Click on a SurfaceMesh to place vertices; they are joined by geodesic
+ * edges into a closed polygon (src/geodesics/geodesicPolygon.js), and
+ * onChange receives the Gauss–Bonnet comparison every time it changes.
+ * A click is a press and release without moving, so dragging on the
+ * surface still orbits the camera.
+ *
+ * Call refresh() after the surface changes shape (e.g. after
+ * mesh.rebuild()); the vertices keep their (u, v).
+ *
+ * @example
+ *   const tool = new GeodesicPolygonTool({
+ *     camera, domElement: renderer.domElement, mesh,
+ *     onChange: polygon => polygon && console.log(polygon.excess, polygon.curvatureIntegral),
+ *   });
+ */
+
+import * as THREE from 'three';
+import { geodesicPolygon, geodesicBetween } from '../geodesics/geodesicPolygon.js';
+import { CurveTube } from '../overlays/CurveTube.js';
+import { pickSurface } from './pickSurface.js';
+
+export class GeodesicPolygonTool {
+
+  /**
+   * @param {Object} options
+   * @param {THREE.Camera} options.camera
+   * @param {HTMLElement} options.domElement - The renderer's canvas
+   * @param {THREE.Mesh} options.mesh - The SurfaceMesh to draw on
+   * @param {function} [options.onChange] - Called with the geodesicPolygon result,
+   *                                        or null while there are fewer than 3 vertices
+   * @param {number} [options.color=0xffcc33] - Edge color
+   * @param {number} [options.radius=0.012] - Edge tube radius
+   * @param {number} [options.offset=0.005] - Lift off the surface along the normal
+   */
+  constructor(options) {
+    this.camera = options.camera;
+    this.domElement = options.domElement;
+    this.mesh = options.mesh;
+    this.onChange = options.onChange ?? (() => {});
+    this.color = options.color ?? 0xffcc33;
+    this.radius = options.radius ?? 0.012;
+    this.offset = options.offset ?? 0.005;
+
+    /** Set to false to ignore the pointer (e.g. while another tool is active). */
+    this.enabled = true;
+
+    /** Vertices { u, v }, in the order they were placed. */
+    this.vertices = [];
+    /** Latest geodesicPolygon result, or null. */
+    this.polygon = null;
+
+    this.group = new THREE.Group();
+    this.mesh.add(this.group);
+    this._markerGeometry = new THREE.SphereGeometry(2.5 * this.radius, 16, 12);
+    this._markerMaterial = new THREE.MeshPhysicalMaterial({ color: 0xffffff, roughness: 0.4 });
+
+    this._press = null;
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this.domElement.addEventListener('pointerdown', this._onPointerDown);
+    this.domElement.addEventListener('pointerup', this._onPointerUp);
+  }
+
+  /** Add a vertex and redraw. */
+  addVertex(u, v) {
+    this.vertices.push({ u, v });
+    this.refresh();
+  }
+
+  /** Rebuild the edges and markers from the vertices on the current surface. */
+  refresh() {
+    this._clearGroup();
+    const surface = this.mesh.surface;
+
+    for (const { u, v } of this.vertices) {
+      const marker = new THREE.Mesh(this._markerGeometry, this._markerMaterial);
+      marker.position.copy(surface.evaluate(u, v));
+      this.group.add(marker);
+    }
+
+    let edges = [];
+    this.polygon = null;
+    if (this.vertices.length === 2) {
+      edges = [geodesicBetween(surface, this.vertices[0], this.vertices[1], { offset: this.offset })];
+    } else if (this.vertices.length >= 3) {
+      this.polygon = geodesicPolygon(surface, this.vertices, { offset: this.offset });
+      edges = this.polygon.edges;
+    }
+    for (const { curve } of edges) {
+      this.group.add(new CurveTube(curve, { radius: this.radius, color: this.color, tubularSegments: 128 }));
+    }
+
+    this.onChange(this.polygon);
+  }
+
+  /** Remove every vertex. */
+  clear() {
+    this.vertices = [];
+    this.refresh();
+  }
+
+  dispose() {
+    this._clearGroup();
+    this.mesh.remove(this.group);
+    this._markerGeometry.dispose();
+    this._markerMaterial.dispose();
+    this.domElement.removeEventListener('pointerdown', this._onPointerDown);
+    this.domElement.removeEventListener('pointerup', this._onPointerUp);
+  }
+
+  // --- Pointer handling ---
+
+  _onPointerDown(event) {
+    this._press = event.button === 0 ? { x: event.clientX, y: event.clientY } : null;
+  }
+
+  _onPointerUp(event) {
+    const press = this._press;
+    this._press = null;
+    if (!this.enabled || !press) return;
+    if (Math.hypot(event.clientX - press.x, event.clientY - press.y) > 4) return; // a drag
+
+    const hit = pickSurface(event, this.camera, this.domElement, this.mesh);
+    if (hit) this.addVertex(hit.u, hit.v);
+  }
+
+  _clearGroup() {
+    for (const child of this.group.children.slice()) {
+      this.group.remove(child);
+      if (child instanceof CurveTube) child.dispose();
+    }
+  }
+}
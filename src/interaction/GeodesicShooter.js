@@ -0,0 +1,243 @@
+/**
+ * GeodesicShooter
+ *
+ * Click a point on a SurfaceMesh and drag to aim: the geodesic from that
+ * point is traced in the drag direction (src/geodesics/traceGeodesic.js)
+ * and grows as the drag gets longer, then keeps growing to full length
+ * after release. Dragging on the background still orbits the camera.
+ *
+ * The drag is measured in the tangent plane at the start point, so the
+ * direction is right on any surface, whatever its parameterization. Each
+ * geodesic is a CurveTube added to the mesh it starts on, so it follows the
+ * mesh's transform; any number can be shot, and clear() removes them.
+ *
+ * Call update(delta) every frame, and refresh() after the surface changes
+ * shape (e.g. after mesh.rebuild()) to retrace every geodesic on it.
+ *
+ * @example
+ *   const shooter = new GeodesicShooter({ camera, domElement: renderer.domElement, meshes: mesh });
+ *   // in animate():
+ *   shooter.update(clock.getDelta());
+ */
+
+import * as THREE from 'three';
+import { traceGeodesic } from '../geodesics/traceGeodesic.js';
+import { metric, partials } from '../geodesics/christoffel.js';
+import { CurveTube } from '../overlays/CurveTube.js';
+import { pickSurface, pointerRay } from './pickSurface.js';
+
+const COLORS = [0xffcc33, 0xff4466, 0x44ccff, 0x88ee66, 0xcc44ff, 0xff8833];
+
+export class GeodesicShooter {
+
+  /**
+   * @param {Object} options
+   * @param {THREE.Camera} options.camera
+   * @param {HTMLElement} options.domElement - The renderer's canvas
+   * @param {THREE.Mesh|THREE.Mesh[]} options.meshes - SurfaceMesh(es) to shoot on
+   * @param {number} [options.length=4π] - Full arc length of each geodesic
+   * @param {number} [options.speed] - Growth after release, in arc length per second
+   *                                   (default: full length in 2 s)
+   * @param {number} [options.dragGain=4] - Arc length shown per unit of drag on the surface
+   * @param {number} [options.radius=0.012] - Tube radius
+   * @param {number} [options.offset=0.005] - Lift off the surface along the normal
+   * @param {number[]} [options.colors] - Palette, cycled through
+   */
+  constructor(options) {
+    this.camera = options.camera;
+    this.domElement = options.domElement;
+    this.meshes = Array.isArray(options.meshes) ? options.meshes : [options.meshes];
+    this.length = options.length ?? 4 * Math.PI;
+    this.speed = options.speed ?? this.length / 2;
+    this.dragGain = options.dragGain ?? 4;
+    this.radius = options.radius ?? 0.012;
+    this.offset = options.offset ?? 0.005;
+    this.colors = options.colors ?? COLORS;
+
+    /** Set to false to ignore the pointer (e.g. while another tool is active). */
+    this.enabled = true;
+
+    /** Whether the tubes are drawn; see setVisible(). */
+    this.visible = true;
+
+    /** Shot geodesics: { mesh, u, v, direction, tube, length, fraction, growing } */
+    this.geodesics = [];
+    this._active = null;
+    this._count = 0;
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+
+    // Capture phase, so a press on the surface never reaches OrbitControls
+    this.domElement.addEventListener('pointerdown', this._onPointerDown, { capture: true });
+    this.domElement.addEventListener('pointermove', this._onPointerMove);
+    this.domElement.addEventListener('pointerup', this._onPointerUp);
+    this.domElement.addEventListener('pointercancel', this._onPointerUp);
+  }
+
+  /** Advance the growth of released geodesics by delta seconds. */
+  update(delta) {
+    for (const g of this.geodesics) {
+      if (!g.growing) continue;
+      g.fraction = Math.min(1, g.fraction + this.speed * delta / g.length);
+      g.tube.setVisibleFraction(g.fraction);
+      if (g.fraction === 1) g.growing = false;
+    }
+  }
+
+  /** Retrace every geodesic from its start point and direction on the current surface. */
+  refresh() {
+    for (const g of this.geodesics) this._trace(g);
+  }
+
+  /**
+   * Show or hide every geodesic (e.g. while the surface is animating and
+   * retracing each frame would be too slow). Call refresh() before showing
+   * them again if the surface has changed in the meantime.
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    for (const g of this.geodesics) {
+      if (g.tube) g.tube.visible = visible;
+    }
+  }
+
+  /** Remove every geodesic. */
+  clear() {
+    for (const g of this.geodesics) this._remove(g);
+    this.geodesics = [];
+    this._active = null;
+  }
+
+  dispose() {
+    this.clear();
+    this.domElement.removeEventListener('pointerdown', this._onPointerDown, { capture: true });
+    this.domElement.removeEventListener('pointermove', this._onPointerMove);
+    this.domElement.removeEventListener('pointerup', this._onPointerUp);
+    this.domElement.removeEventListener('pointercancel', this._onPointerUp);
+  }
+
+  // --- Pointer handling ---
+
+  _onPointerDown(event) {
+    if (!this.enabled || event.button !== 0) return;
+    const hit = pickSurface(event, this.camera, this.domElement, this.meshes);
+    if (!hit) return;
+
+    event.stopImmediatePropagation();
+    event.preventDefault();
+    this.domElement.setPointerCapture(event.pointerId);
+
+    const { mesh, u, local } = hit;
+    const v = offAxis(mesh.surface, u, hit.v);
+    const { Xu, Xv } = partials(mesh.surface, u, v, false);
+    const normal = 'computeNormal' in mesh.surface
+      ? mesh.surface.computeNormal(u, v)
+      : new THREE.Vector3().crossVectors(Xu, Xv).normalize();
+
+    this._active = {
+      mesh, u, v, direction: null, tube: null, fraction: 0, growing: false,
+      color: this.colors[this._count++ % this.colors.length],
+      plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, local),
+      origin: local,
+      Xu, Xv,
+    };
+  }
+
+  _onPointerMove(event) {
+    const g = this._active;
+    if (!g) return;
+
+    // Drag vector in the tangent plane, in the mesh's own frame
+    const ray = pointerRay(event, this.camera, this.domElement);
+    ray.applyMatrix4(new THREE.Matrix4().copy(g.mesh.matrixWorld).invert());
+    const target = ray.intersectPlane(g.plane, new THREE.Vector3());
+    if (!target) return;
+    const drag = target.sub(g.origin);
+    if (drag.length() < 1e-6) return;
+
+    // Solve [X_u X_v] (du, dv) = drag via the first fundamental form
+    const { E, F, G } = metric(g.mesh.surface, g.u, g.v);
+    const a = drag.dot(g.Xu);
+    const b = drag.dot(g.Xv);
+    const det = E * G - F * F;
+    const direction = [(G * a - F * b) / det, (E * b - F * a) / det];
+
+    if (!g.direction || turnedBy(g.direction, direction, g.Xu, g.Xv) > 1e-3) {
+      g.direction = direction;
+      if (!g.tube) this.geodesics.push(g);
+      this._trace(g);
+    }
+    g.fraction = Math.min(1, this.dragGain * drag.length() / g.length);
+    g.tube.setVisibleFraction(g.fraction);
+  }
+
+  _onPointerUp(event) {
+    const g = this._active;
+    if (!g) return;
+    this._active = null;
+    if (this.domElement.hasPointerCapture(event.pointerId)) {
+      this.domElement.releasePointerCapture(event.pointerId);
+    }
+    if (g.tube) g.growing = true;
+  }
+
+  // --- Geodesics ---
+
+  _trace(g) {
+    const { curve, length } = traceGeodesic(g.mesh.surface, {
+      u: g.u,
+      v: g.v,
+      direction: g.direction,
+      length: this.length,
+      samples: 400,
+      offset: this.offset,
+      tolerance: 1e-6,
+    });
+    g.length = length; // shorter than this.length if it ran off the surface
+
+    if (g.tube) {
+      g.tube.setCurve(curve);
+    } else {
+      g.tube = new CurveTube(curve, { radius: this.radius, color: g.color, tubularSegments: 400 });
+      g.tube.visible = this.visible;
+      g.mesh.add(g.tube);
+    }
+    g.tube.setVisibleFraction(g.fraction);
+  }
+
+  _remove(g) {
+    if (!g.tube) return;
+    g.mesh.remove(g.tube);
+    g.tube.dispose();
+  }
+}
+
+/**
+ * v, or a little way from it into the domain where the metric degenerates:
+ * at a tip or cusp (a row collapsed onto the axis) E = r² = 0, and a drag
+ * can't be solved for (du, dv) there.
+ */
+function offAxis(surface, u, v) {
+  const { vMin, vMax } = surface.getDomain();
+  const inward = v - vMin < vMax - v ? 1 : -1;
+  let step = 1e-4 * (vMax - vMin);
+  for (let i = 0; i < 10 && degenerate(surface, u, v); i++) {
+    v += inward * step;
+    step *= 2;
+  }
+  return v;
+}
+
+function degenerate(surface, u, v) {
+  const { E, F, G } = metric(surface, u, v);
+  return !(E * G - F * F > 1e-12 * (E + G) ** 2);
+}
+
+/** Angle between two tangent vectors given as (du, dv). */
+function turnedBy([du0, dv0], [du1, dv1], Xu, Xv) {
+  const a = Xu.clone().multiplyScalar(du0).addScaledVector(Xv, dv0);
+  const b = Xu.clone().multiplyScalar(du1).addScaledVector(Xv, dv1);
+  return a.angleTo(b);
+}
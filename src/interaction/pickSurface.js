@@ -0,0 +1,58 @@
+/**
+ * Pick a point on a SurfaceMesh under the pointer.
+ *
+ * Raycasts against the mesh and recovers the surface parameters (u, v) from
+ * the hit triangle's interpolated `uv` attribute, which buildGeometry writes
+ * normalized to [0, 1] over the surface's domain.
+ *
+ * @example
+ *   const hit = pickSurface(event, camera, renderer.domElement, mesh);
+ *   if (hit) console.log(hit.u, hit.v);
+ */
+
+import * as THREE from 'three';
+
+const raycaster = new THREE.Raycaster();
+const ndc = new THREE.Vector2();
+
+/**
+ * @param {{clientX: number, clientY: number}} event - Pointer position
+ * @param {THREE.Camera} camera
+ * @param {HTMLElement} domElement - The renderer's canvas
+ * @param {THREE.Mesh|THREE.Mesh[]} meshes - SurfaceMesh(es) to test
+ * @returns {{ mesh: THREE.Mesh, u: number, v: number, point: THREE.Vector3,
+ *             local: THREE.Vector3, ray: THREE.Ray }|null}
+ *          point in world space, local in the mesh's own frame; null on a miss
+ */
+export function pickSurface(event, camera, domElement, meshes) {
+  raycaster.setFromCamera(pointerNDC(event, domElement), camera);
+
+  const targets = Array.isArray(meshes) ? meshes : [meshes];
+  const hit = raycaster.intersectObjects(targets, false).find(h => h.uv);
+  if (!hit) return null;
+
+  const mesh = hit.object;
+  const { uMin, uMax, vMin, vMax } = mesh.surface.getDomain();
+  return {
+    mesh,
+    u: uMin + hit.uv.x * (uMax - uMin),
+    v: vMin + hit.uv.y * (vMax - vMin),
+    point: hit.point.clone(),
+    local: mesh.worldToLocal(hit.point.clone()),
+    ray: raycaster.ray.clone(),
+  };
+}
+
+/** The camera ray through the pointer, in world space. */
+export function pointerRay(event, camera, domElement) {
+  raycaster.setFromCamera(pointerNDC(event, domElement), camera);
+  return raycaster.ray.clone();
+}
+
+function pointerNDC(event, domElement) {
+  const rect = domElement.getBoundingClientRect();
+  return ndc.set(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1,
+  );
+}
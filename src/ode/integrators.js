@@ -0,0 +1,332 @@
+/**
+ * ODE integrators for systems y' = f(t, y), with y an array of numbers.
+ *
+ * Both solvers return the same solution object:
+ *
+ *   {
+ *     ts:     number[]     accepted times (t0 first)
+ *     ys:     number[][]   states at ts
+ *     status: 'done' | 'event' | 'max-steps' | 'step-too-small'
+ *     event:  { index, t, y } | null   the terminal event that stopped it
+ *     events: { index, t, y }[]        every event crossing, in order
+ *     at(t):  number[]     dense output (cubic Hermite between steps)
+ *   }
+ *
+ * Events are functions g(t, y) whose zeros are located to round-off, e.g.
+ * "stop when r hits 0" is { g: (t, y) => y[0] }. Pass a bare function for a
+ * terminal event that fires in either direction, or an object
+ * { g, terminal = true, direction = 0 } where direction +1 / -1 only fires
+ * when g is increasing / decreasing.
+ *
+ * toCurvePoints() turns a solution into THREE.Vector3 points for
+ * NumericalCurve.
+ *
+ * @example
+ *   // Profile with variable curvature: r'' = -K(s) r, h' = sqrt(1 - r'²),
+ *   // stopping at the axis or where the profile turns horizontal.
+ *   const sol = rk45(
+ *     (s, [r, dr]) => [dr, -K(s) * r, Math.sqrt(Math.max(0, 1 - dr * dr))],
+ *     [0, 0.5, 0], 0, 10,
+ *     { events: [(s, y) => y[0], (s, y) => 1 - Math.abs(y[1])] },
+ *   );
+ *   const curve = new NumericalCurve({ points: toCurvePoints(sol, ([r, , h]) => new THREE.Vector3(r, h, 0)) });
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Classical fixed-step fourth-order Runge–Kutta.
+ *
+ * @param {function} f - Right-hand side: (t, y) → dy/dt
+ * @param {number[]} y0 - Initial state
+ * @param {number} t0 - Initial time
+ * @param {number} t1 - Final time (may be less than t0)
+ * @param {number} steps - Number of steps
+ * @param {Object} [options]
+ * @param {Array}  [options.events] - Event functions (see module docs)
+ * @returns {Object} Solution (see module docs)
+ */
+export function rk4(f, y0, t0, t1, steps, options = {}) {
+  const h = (t1 - t0) / steps;
+  const solution = createSolution(f, y0, t0, options.events);
+
+  let t = t0;
+  let y = y0.slice();
+  for (let i = 0; i < steps; i++) {
+    const k1 = f(t, y);
+    const k2 = f(t + h / 2, axpy(y, h / 2, k1));
+    const k3 = f(t + h / 2, axpy(y, h / 2, k2));
+    const k4 = f(t + h, axpy(y, h, k3));
+
+    const yNext = y.map((yi, j) => yi + h / 6 * (k1[j] + 2 * k2[j] + 2 * k3[j] + k4[j]));
+    t = t0 + (i + 1) * h;
+    y = yNext;
+
+    if (solution.accept(t, y)) return solution.finish('event');
+  }
+
+  return solution.finish('done');
+}
+
+/**
+ * Adaptive Dormand–Prince 5(4) with error control and dense output.
+ *
+ * @param {function} f - Right-hand side: (t, y) → dy/dt
+ * @param {number[]} y0 - Initial state
+ * @param {number} t0 - Initial time
+ * @param {number} t1 - Final time (may be less than t0)
+ * @param {Object} [options]
+ * @param {number} [options.rtol=1e-8] - Relative tolerance
+ * @param {number} [options.atol=1e-10] - Absolute tolerance
+ * @param {number} [options.h0] - Initial step size (default: |t1 - t0| / 100)
+ * @param {number} [options.hMax] - Largest allowed step size
+ * @param {number} [options.maxSteps=100000] - Give up after this many steps
+ * @param {Array}  [options.events] - Event functions (see module docs)
+ * @returns {Object} Solution (see module docs)
+ */
+export function rk45(f, y0, t0, t1, options = {}) {
+  const rtol = options.rtol ?? 1e-8;
+  const atol = options.atol ?? 1e-10;
+  const maxSteps = options.maxSteps ?? 100000;
+  const span = Math.abs(t1 - t0);
+  const hMax = options.hMax ?? span;
+  const dir = Math.sign(t1 - t0) || 1;
+  const hMin = 1e-14 * Math.max(1, Math.abs(t0), Math.abs(t1));
+
+  const solution = createSolution(f, y0, t0, options.events);
+
+  let t = t0;
+  let y = y0.slice();
+  let h = Math.min(options.h0 ?? span / 100, hMax);
+  let k1 = f(t, y);
+
+  for (let step = 0; step < maxSteps; step++) {
+    if (dir * (t1 - t) <= hMin) return solution.finish('done');
+    h = Math.min(h, Math.abs(t1 - t));
+    const dt = dir * h;
+
+    const k2 = f(t + C2 * dt, combine(y, dt, [k1], [A21]));
+    const k3 = f(t + C3 * dt, combine(y, dt, [k1, k2], [A31, A32]));
+    const k4 = f(t + C4 * dt, combine(y, dt, [k1, k2, k3], [A41, A42, A43]));
+    const k5 = f(t + C5 * dt, combine(y, dt, [k1, k2, k3, k4], [A51, A52, A53, A54]));
+    const k6 = f(t + dt, combine(y, dt, [k1, k2, k3, k4, k5], [A61, A62, A63, A64, A65]));
+    const yNext = combine(y, dt, [k1, k3, k4, k5, k6], [B1, B3, B4, B5, B6]);
+    const k7 = f(t + dt, yNext);
+
+    // Scaled RMS norm of the embedded error estimate
+    let norm = 0;
+    for (let i = 0; i < y.length; i++) {
+      const err = dt * (E1 * k1[i] + E3 * k3[i] + E4 * k4[i] + E5 * k5[i] + E6 * k6[i] + E7 * k7[i]);
+      const scale = atol + rtol * Math.max(Math.abs(y[i]), Math.abs(yNext[i]));
+      norm += (err / scale) ** 2;
+    }
+    norm = Math.sqrt(norm / y.length);
+
+    if (norm <= 1 || h <= hMin) {
+      t += dt;
+      y = yNext;
+      k1 = k7; // first-same-as-last
+      if (solution.accept(t, y, k7)) return solution.finish('event');
+    }
+
+    if (!Number.isFinite(norm)) {
+      h *= 0.2;
+    } else {
+      h *= Math.min(5, Math.max(0.2, 0.9 * Math.pow(norm || 1e-10, -0.2)));
+    }
+    h = Math.min(h, hMax);
+    if (h < hMin) return solution.finish('step-too-small');
+  }
+
+  return solution.finish('max-steps');
+}
+
+/**
+ * Sample a solution as THREE.Vector3 points, ready for NumericalCurve.
+ *
+ * @param {Object} solution - Result of rk4 or rk45
+ * @param {function} [map] - (y, t) → THREE.Vector3 (default: (y0, y1, y2))
+ * @param {number} [samples] - Resample uniformly in t with dense output;
+ *                             by default the accepted steps are used
+ * @returns {THREE.Vector3[]}
+ */
+export function toCurvePoints(solution, map, samples) {
+  map = map ?? (y => new THREE.Vector3(y[0], y[1] ?? 0, y[2] ?? 0));
+
+  if (samples === undefined) {
+    return solution.ys.map((y, i) => map(y, solution.ts[i]));
+  }
+
+  const { ts } = solution;
+  const tStart = ts[0];
+  const tEnd = ts[ts.length - 1];
+  const points = [];
+  for (let i = 0; i <= samples; i++) {
+    const t = tStart + (tEnd - tStart) * (i / samples);
+    points.push(map(solution.at(t), t));
+  }
+  return points;
+}
+
+// --- Dormand–Prince tableau ---
+
+const C2 = 1 / 5, C3 = 3 / 10, C4 = 4 / 5, C5 = 8 / 9;
+const A21 = 1 / 5;
+const A31 = 3 / 40, A32 = 9 / 40;
+const A41 = 44 / 45, A42 = -56 / 15, A43 = 32 / 9;
+const A51 = 19372 / 6561, A52 = -25360 / 2187, A53 = 64448 / 6561, A54 = -212 / 729;
+const A61 = 9017 / 3168, A62 = -355 / 33, A63 = 46732 / 5247, A64 = 49 / 176, A65 = -5103 / 18656;
+const B1 = 35 / 384, B3 = 500 / 1113, B4 = 125 / 192, B5 = -2187 / 6784, B6 = 11 / 84;
+const E1 = 71 / 57600, E3 = -71 / 16695, E4 = 71 / 1920, E5 = -17253 / 339200, E6 = 22 / 525, E7 = -1 / 40;
+
+// --- Helpers ---
+
+/** y + h x */
+function axpy(y, h, x) {
+  return y.map((yi, i) => yi + h * x[i]);
+}
+
+/** y + dt Σ coeffs[j] ks[j] */
+function combine(y, dt, ks, coeffs) {
+  const out = y.slice();
+  for (let j = 0; j < ks.length; j++) {
+    const k = ks[j];
+    const c = dt * coeffs[j];
+    for (let i = 0; i < out.length; i++) out[i] += c * k[i];
+  }
+  return out;
+}
+
+/**
+ * Accumulates accepted steps, keeps derivatives for Hermite dense output,
+ * and checks events on each new step.
+ */
+function createSolution(f, y0, t0, eventSpecs = []) {
+  const events = eventSpecs.map(e =>
+    typeof e === 'function' ? { g: e, terminal: true, direction: 0 } : { terminal: true, direction: 0, ...e },
+  );
+
+  const ts = [t0];
+  const ys = [y0.slice()];
+  const dys = [f(t0, y0)];
+  let gPrev = events.map(e => e.g(t0, y0));
+
+  const solution = {
+    ts,
+    ys,
+    status: 'done',
+    event: null,
+    events: [],
+    at: t => hermiteAt(ts, ys, dys, t),
+
+    /** Record a step; returns true if a terminal event stopped the integration. */
+    accept(t, y, dy) {
+      const tPrev = ts[ts.length - 1];
+      ts.push(t);
+      ys.push(y);
+      dys.push(dy ?? f(t, y));
+
+      const gNext = events.map(e => e.g(t, y));
+
+      const crossings = [];
+      for (let i = 0; i < events.length; i++) {
+        const { direction } = events[i];
+        const g0 = gPrev[i];
+        const g1 = gNext[i];
+        const crossed = (g0 < 0 && g1 >= 0 && direction >= 0) || (g0 > 0 && g1 <= 0 && direction <= 0);
+        if (crossed) {
+          crossings.push({ index: i, t: findRoot(s => events[i].g(s, solution.at(s)), tPrev, t, g0, g1) });
+        }
+      }
+      gPrev = gNext;
+
+      // In order along the step; the first terminal crossing ends the solve
+      crossings.sort((c1, c2) => Math.abs(c1.t - tPrev) - Math.abs(c2.t - tPrev));
+      for (const { index, t: tHit } of crossings) {
+        const yHit = solution.at(tHit);
+        const event = { index, t: tHit, y: yHit };
+        solution.events.push(event);
+
+        if (events[index].terminal) {
+          ts[ts.length - 1] = tHit;
+          ys[ys.length - 1] = yHit;
+          dys[dys.length - 1] = f(tHit, yHit);
+          solution.event = event;
+          return true;
+        }
+      }
+      return false;
+    },
+
+    finish(status) {
+      solution.status = status;
+      return solution;
+    },
+  };
+
+  return solution;
+}
+
+/** Illinois (modified regula falsi) root of g on [a, b], given g(a) and g(b) of opposite sign. */
+function findRoot(g, a, b, ga, gb) {
+  if (gb === 0) return b;
+  const tol = 1e-13 * Math.max(1, Math.abs(a), Math.abs(b));
+  let side = 0;
+  for (let i = 0; i < 100 && Math.abs(b - a) > tol; i++) {
+    const c = (a * gb - b * ga) / (gb - ga);
+    const gc = g(c);
+    if (gc === 0) return c;
+    if ((gc > 0) === (gb > 0)) {
+      b = c;
+      gb = gc;
+      if (side === -1) ga /= 2;
+      side = -1;
+    } else {
+      a = c;
+      ga = gc;
+      if (side === 1) gb /= 2;
+      side = 1;
+    }
+  }
+  return Math.abs(ga) < Math.abs(gb) ? a : b;
+}
+
+/** Cubic Hermite interpolation between the accepted steps that bracket t. */
+function hermiteAt(ts, ys, dys, t) {
+  const n = ts.length;
+  if (n === 1) return ys[0].slice();
+
+  const increasing = ts[n - 1] >= ts[0];
+  const before = (x, y) => (increasing ? x <= y : x >= y);
+
+  // Binary search for ts[i] ≤ t ≤ ts[i + 1] (in the direction of integration)
+  let lo = 0;
+  let hi = n - 1;
+  if (before(t, ts[0])) hi = 1;
+  else if (!before(t, ts[n - 1])) lo = n - 2;
+  else {
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (before(ts[mid], t)) lo = mid;
+      else hi = mid;
+    }
+  }
+  if (hi !== lo + 1) hi = lo + 1;
+
+  const t0 = ts[lo];
+  const h = ts[hi] - t0;
+  if (h === 0) return ys[hi].slice();
+  const s = (t - t0) / h;
+  const s2 = s * s;
+  const s3 = s2 * s;
+  const h00 = 2 * s3 - 3 * s2 + 1;
+  const h10 = s3 - 2 * s2 + s;
+  const h01 = -2 * s3 + 3 * s2;
+  const h11 = s3 - s2;
+
+  const y0 = ys[lo];
+  const y1 = ys[hi];
+  const d0 = dys[lo];
+  const d1 = dys[hi];
+  return y0.map((_, i) => h00 * y0[i] + h10 * h * d0[i] + h01 * y1[i] + h11 * h * d1[i]);
+}
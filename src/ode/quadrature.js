@@ -1,30 +1,265 @@
 /**
  * Cumulative quadrature of a scalar function f on [tMin, tMax].
  *
- * Returns { ts, values } where values[i] ≈ ∫_{tMin}^{ts[i]} f(t) dt.
- * Uses the trapezoidal rule.
+ * Returns { ts, values, error } where values[i] ≈ ∫_{tMin}^{ts[i]} f(t) dt on
+ * a uniform grid of `steps` subintervals, and error estimates the absolute
+ * error of the total ∫_{tMin}^{tMax} f.
+ *
+ * Methods (options.method):
+ *   'trapezoid'  (default) Trapezoidal rule on each subinterval.
+ *   'simpson'    Simpson's rule, using the subinterval midpoint.
+ *   'gauss'      Gauss–Legendre with options.order nodes per subinterval.
+ *                Never evaluates f at the grid points themselves.
+ *   'tanh-sinh'  Adaptive double-exponential rule on each subinterval, refined
+ *                until it meets options.tol. Nodes cluster at the subinterval
+ *                ends, so square-root and inverse-square-root endpoint
+ *                singularities (barrel edges, sMax of the cosh/sinh families)
+ *                are integrated too: to full accuracy at 0, and elsewhere
+ *                down to the spacing of floats at the endpoint (about 1e-8
+ *                for an inverse square root at 1), which the error includes.
+ *
+ * For the fixed rules the error is the difference between the result on
+ * `steps` and on `steps / 2` subintervals, a conservative estimate (an odd
+ * subinterval out is compared with its two halves, so a single step still
+ * gets a non-zero estimate). For
+ * 'tanh-sinh' it is the sum of the per-subinterval estimates.
  *
  * @param {function} f - Integrand: (t) → number
  * @param {number} tMin - Left endpoint
  * @param {number} tMax - Right endpoint
  * @param {number} steps - Number of subintervals
- * @returns {{ ts: number[], values: number[] }}
+ * @param {Object} [options]
+ * @param {string} [options.method='trapezoid'] - 'trapezoid' | 'simpson' | 'gauss' | 'tanh-sinh'
+ * @param {number} [options.order=5] - Gauss–Legendre nodes per subinterval
+ * @param {number} [options.tol=1e-12] - Absolute tolerance per subinterval for 'tanh-sinh'
+ * @returns {{ ts: number[], values: number[], error: number }}
  */
-export function quadrature(f, tMin, tMax, steps) {
+export function quadrature(f, tMin, tMax, steps, options = {}) {
+  const method = options.method ?? 'trapezoid';
   const dt = (tMax - tMin) / steps;
   const ts = new Array(steps + 1);
   const values = new Array(steps + 1);
 
-  ts[0] = tMin;
+  for (let i = 0; i <= steps; i++) {
+    ts[i] = tMin + i * dt;
+  }
   values[0] = 0;
 
-  let prev = f(tMin);
+  if (method === 'tanh-sinh') {
+    const tol = options.tol ?? 1e-12;
+    let error = 0;
+    for (let i = 1; i <= steps; i++) {
+      const piece = adaptiveTanhSinh(f, ts[i - 1], ts[i], tol, 0);
+      values[i] = values[i - 1] + piece.value;
+      error += piece.error;
+    }
+    return { ts, values, error };
+  }
+
+  const rule = fixedRule(method, f, options.order ?? 5);
+
+  // Endpoint values are shared between neighbouring subintervals, and reused
+  // by the coarse pass below.
+  const fs = method === 'gauss' ? null : ts.map(f);
+
   for (let i = 1; i <= steps; i++) {
-    ts[i] = tMin + i * dt;
-    const curr = f(ts[i]);
-    values[i] = values[i - 1] + 0.5 * dt * (prev + curr);
-    prev = curr;
+    values[i] = values[i - 1] + rule(ts[i - 1], ts[i], fs?.[i - 1], fs?.[i]);
+  }
+
+  // Same rule on pairs of subintervals, for the error estimate
+  const paired = steps - (steps % 2);
+  let coarse = 0;
+  for (let i = 0; i + 2 <= steps; i += 2) {
+    coarse += rule(ts[i], ts[i + 2], fs?.[i], fs?.[i + 2], fs?.[i + 1]);
+  }
+  let error = Math.abs(values[paired] - coarse);
+
+  // The odd subinterval out (all of them when steps is 1) has no partner:
+  // compare it with the same rule on its two halves instead. That difference
+  // measures the halves; the whole is off by up to twice as much.
+  if (steps % 2 === 1) {
+    const a = ts[steps - 1];
+    const b = ts[steps];
+    const mid = 0.5 * (a + b);
+    const fMid = fs && f(mid);
+    const halves = rule(a, mid, fs?.[steps - 1], fMid) + rule(mid, b, fMid, fs?.[steps]);
+    error += 2 * Math.abs(halves - (values[steps] - values[steps - 1]));
+  }
+
+  return { ts, values, error };
+}
+
+/**
+ * Definite integral of f on [a, b] with an error estimate.
+ *
+ * Defaults to adaptive tanh-sinh, which tolerates integrable singularities
+ * at a and b (f is never evaluated exactly at the endpoints; see
+ * scripts/check-quadrature.js).
+ *
+ * @param {function} f - Integrand: (t) → number
+ * @param {number} a - Left endpoint
+ * @param {number} b - Right endpoint
+ * @param {Object} [options] - As for quadrature, plus options.steps (default 1)
+ * @returns {{ value: number, error: number }}
+ */
+export function integrate(f, a, b, options = {}) {
+  const { values, error } = quadrature(f, a, b, options.steps ?? 1, {
+    method: 'tanh-sinh',
+    ...options,
+  });
+  return { value: values[values.length - 1], error };
+}
+
+// --- Fixed rules ---
+
+/**
+ * Rule for one subinterval: (a, b, fa, fb, fMid) → ∫_a^b f.
+ * fa, fb, fMid are optional precomputed values of f.
+ */
+function fixedRule(method, f, order) {
+  switch (method) {
+    case 'trapezoid':
+      return (a, b, fa, fb) => 0.5 * (b - a) * (fa + fb);
+
+    case 'simpson':
+      return (a, b, fa, fb, fMid) =>
+        (b - a) / 6 * (fa + 4 * (fMid ?? f(0.5 * (a + b))) + fb);
+
+    case 'gauss': {
+      const { nodes, weights } = gaussLegendre(order);
+      return (a, b) => {
+        const c = 0.5 * (a + b);
+        const d = 0.5 * (b - a);
+        let sum = 0;
+        for (let k = 0; k < nodes.length; k++) {
+          sum += weights[k] * f(c + d * nodes[k]);
+        }
+        return d * sum;
+      };
+    }
+
+    default:
+      throw new Error(`quadrature: unknown method '${method}'`);
+  }
+}
+
+const gaussCache = new Map();
+
+/** Gauss–Legendre nodes and weights on [-1, 1], by Newton iteration on P_n. */
+function gaussLegendre(n) {
+  if (gaussCache.has(n)) return gaussCache.get(n);
+
+  const nodes = new Array(n);
+  const weights = new Array(n);
+
+  for (let i = 0; i < n; i++) {
+    let x = Math.cos(Math.PI * (i + 0.75) / (n + 0.5));
+    let dp = 0;
+    for (let iter = 0; iter < 100; iter++) {
+      // Three-term recurrence for P_n(x), then P_n'(x)
+      let p0 = 1;
+      let p1 = x;
+      for (let k = 2; k <= n; k++) {
+        const p2 = ((2 * k - 1) * x * p1 - (k - 1) * p0) / k;
+        p0 = p1;
+        p1 = p2;
+      }
+      dp = n * (x * p1 - p0) / (x * x - 1);
+      const dx = p1 / dp;
+      x -= dx;
+      if (Math.abs(dx) < 1e-15) break;
+    }
+    nodes[i] = x;
+    weights[i] = 2 / ((1 - x * x) * dp * dp);
+  }
+
+  const rule = { nodes, weights };
+  gaussCache.set(n, rule);
+  return rule;
+}
+
+// --- Tanh-sinh ---
+
+const TS_MAX_LEVEL = 8;
+const TS_MAX_DEPTH = 12;
+const TS_T_MAX = 3.5;
+
+/**
+ * Tanh-sinh on [a, b], bisecting when the level refinement has not met tol
+ * by TS_MAX_LEVEL.
+ */
+function adaptiveTanhSinh(f, a, b, tol, depth) {
+  const result = tanhSinh(f, a, b, tol);
+  if (result.converged || depth >= TS_MAX_DEPTH) return result;
+
+  const m = 0.5 * (a + b);
+  const left = adaptiveTanhSinh(f, a, m, tol / 2, depth + 1);
+  const right = adaptiveTanhSinh(f, m, b, tol / 2, depth + 1);
+  return { value: left.value + right.value, error: left.error + right.error, converged: true };
+}
+
+/**
+ * x = c + d tanh(π/2 sinh t) maps t ∈ ℝ onto (a, b). Each level halves the
+ * step in t and only evaluates the new (odd) nodes. Points next to an
+ * endpoint are placed by their distance to it, but away from 0 a distance
+ * below the spacing of floats there rounds onto the endpoint: such nodes
+ * are left out. The pieces between each endpoint and the closest node f
+ * was evaluated at go into the error, as twice that distance times |f|
+ * there (a bound for a singularity no worse than an inverse square root).
+ */
+function tanhSinh(f, a, b, tol) {
+  const c = 0.5 * (a + b);
+  const d = 0.5 * (b - a);
+  const halfPi = 0.5 * Math.PI;
+
+  // The closest node evaluated beside each endpoint
+  const nearA = { gap: Infinity, f: 0 };
+  const nearB = { gap: Infinity, f: 0 };
+
+  // f at x, next to the endpoint end, or null where x rounds onto it
+  const fNear = (x, end, near) => {
+    if (x === end) return null;
+    const y = f(x);
+    const gap = Math.abs(x - end);
+    if (gap < near.gap) {
+      near.gap = gap;
+      near.f = y;
+    }
+    return y;
+  };
+
+  // Sum of w(t) f(x(t)) over the nodes t = k h, k odd (or all k at level 0)
+  const sumNodes = (h, stride) => {
+    let sum = 0;
+    for (let t = h; t <= TS_T_MAX; t += stride * h) {
+      const u = halfPi * Math.sinh(t);
+      const cu = Math.cosh(u);
+      const gap = d / (Math.exp(u) * cu);  // distance from x to the nearer endpoint
+      const fa = fNear(a + gap, a, nearA);
+      const fb = fNear(b - gap, b, nearB);
+      if (fa === null && fb === null) break;
+      const w = halfPi * Math.cosh(t) / (cu * cu);
+      sum += w * ((fa ?? 0) + (fb ?? 0));
+    }
+    return sum;
+  };
+
+  // The pieces next to the endpoints that no node reached
+  const unreached = () => 2 * (nearA.gap * Math.abs(nearA.f) + nearB.gap * Math.abs(nearB.f));
+
+  let h = 1;
+  let sum = halfPi * f(c) + sumNodes(h, 1);
+  let value = d * h * sum;
+  let error = Infinity;
+
+  for (let level = 1; level <= TS_MAX_LEVEL; level++) {
+    h /= 2;
+    sum += sumNodes(h, 2);
+    const next = d * h * sum;
+    error = Math.abs(next - value);
+    value = next;
+    if (error <= tol) return { value, error: error + unreached(), converged: true };
   }
 
-  return { ts, values };
+  return { value, error: error + unreached(), converged: false };
 }
@@ -0,0 +1,65 @@
+/**
+ * CurveTube
+ *
+ * A THREE.Mesh that draws a curve (e.g. a traced geodesic) as a tube.
+ * Add it as a child of a SurfaceMesh so it follows the surface's transform.
+ *
+ * @example
+ *   const tube = new CurveTube(curve, { radius: 0.015, color: 0xffcc33 });
+ *   mesh.add(tube);
+ */
+
+import * as THREE from 'three';
+
+export class CurveTube extends THREE.Mesh {
+
+  /**
+   * @param {THREE.Curve} curve - Any curve, e.g. a NumericalCurve
+   * @param {Object} [options]
+   * @param {number} [options.radius=0.01] - Tube radius
+   * @param {number} [options.tubularSegments=200] - Segments along the curve
+   * @param {number} [options.radialSegments=8] - Segments around the tube
+   * @param {number} [options.color=0xffcc33] - Tube color
+   * @param {number} [options.roughness=0.4]
+   * @param {number} [options.metalness=0.0]
+   */
+  constructor(curve, options = {}) {
+    super();
+    this.radius = options.radius ?? 0.01;
+    this.tubularSegments = options.tubularSegments ?? 200;
+    this.radialSegments = options.radialSegments ?? 8;
+    this.visibleFraction = 1;
+
+    this.material = new THREE.MeshPhysicalMaterial({
+      color: options.color ?? 0xffcc33,
+      roughness: options.roughness ?? 0.4,
+      metalness: options.metalness ?? 0.0,
+    });
+
+    this.setCurve(curve);
+  }
+
+  /** Replace the curve and rebuild the tube geometry. */
+  setCurve(curve) {
+    this.curve = curve;
+    if (this.geometry) {
+      this.geometry.dispose();
+    }
+    this.geometry = new THREE.TubeGeometry(
+      curve, this.tubularSegments, this.radius, this.radialSegments, false,
+    );
+    this.setVisibleFraction(this.visibleFraction);
+  }
+
+  /** Draw only the first fraction t ∈ [0, 1] of the tube, e.g. to let a geodesic grow. */
+  setVisibleFraction(t) {
+    this.visibleFraction = Math.min(Math.max(t, 0), 1);
+    const segments = Math.round(this.visibleFraction * this.tubularSegments);
+    this.geometry.setDrawRange(0, segments * this.radialSegments * 6);
+  }
+
+  dispose() {
+    if (this.geometry) this.geometry.dispose();
+    if (this.material) this.material.dispose();
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * VectorArrows
+ *
+ * A THREE.Group of solid arrows (shaft + head) for tangent vectors on a
+ * surface, e.g. a vector being parallel transported. Add it as a child of a
+ * SurfaceMesh so it follows the surface's transform. All arrows share one
+ * geometry and material; set() reuses the existing meshes.
+ *
+ * @example
+ *   const arrows = new VectorArrows({ length: 0.3, color: 0x44ccff });
+ *   arrows.set(samples.map(({ point, direction }) => ({ origin: point, direction })));
+ *   mesh.add(arrows);
+ */
+
+import * as THREE from 'three';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+export class VectorArrows extends THREE.Group {
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.length=0.25] - Arrow length
+   * @param {number} [options.radius=0.012] - Shaft radius (the head is 2.5× wider)
+   * @param {number} [options.color=0x44ccff] - Arrow color
+   */
+  constructor(options = {}) {
+    super();
+    this.length = options.length ?? 0.25;
+    this.radius = options.radius ?? 0.012;
+
+    const headLength = 0.3 * this.length;
+    const shaft = new THREE.CylinderGeometry(this.radius, this.radius, this.length - headLength, 8);
+    shaft.translate(0, (this.length - headLength) / 2, 0);
+    const head = new THREE.ConeGeometry(2.5 * this.radius, headLength, 12);
+    head.translate(0, this.length - headLength / 2, 0);
+
+    this._shaft = shaft;
+    this._head = head;
+    this.material = new THREE.MeshPhysicalMaterial({
+      color: options.color ?? 0x44ccff,
+      roughness: 0.4,
+      metalness: 0.0,
+    });
+  }
+
+  /**
+   * Show one arrow per entry. Directions are normalized; arrows have the fixed length.
+   * @param {{ origin: THREE.Vector3, direction: THREE.Vector3, color?: number }[]} arrows
+   */
+  set(arrows) {
+    while (this.children.length > arrows.length) {
+      const arrow = this.children[this.children.length - 1];
+      this.remove(arrow);
+      for (const part of arrow.children) {
+        if (part.material !== this.material) part.material.dispose();
+      }
+    }
+    while (this.children.length < arrows.length) {
+      const arrow = new THREE.Group();
+      arrow.add(new THREE.Mesh(this._shaft, this.material));
+      arrow.add(new THREE.Mesh(this._head, this.material));
+      this.add(arrow);
+    }
+
+    arrows.forEach(({ origin, direction, color }, i) => {
+      const arrow = this.children[i];
+      arrow.position.copy(origin);
+      arrow.quaternion.setFromUnitVectors(UP, direction.clone().normalize());
+
+      // A per-arrow color gets its own material
+      for (const part of arrow.children) {
+        if (color === undefined) {
+          if (part.material !== this.material) part.material.dispose();
+          part.material = this.material;
+        } else {
+          if (part.material === this.material) part.material = this.material.clone();
+          part.material.color.set(color);
+        }
+      }
+    });
+  }
+
+  dispose() {
+    this.set([]);
+    this._shaft.dispose();
+    this._head.dispose();
+    this.material.dispose();
+  }
+}
@@ -0,0 +1,85 @@
+// Coordinate maps for K=-1 surfaces of revolution and models of H².
+// JS counterparts: src/shaders/maps.js
+//
+// The cosh-type surface with waist radius a is isometric to a strip of
+// width 2·arcsinh(1/a) around a geodesic in H²:
+//
+//   surface UV → Fermi (s, t) → upper half-plane → Poincaré disk → hyperboloid
+//                                                        ↕
+//                                                   Klein model
+//
+// The Fermi strip's central geodesic is the imaginary axis of the upper
+// half-plane; the Cayley map z = i(1 + w)/(1 - w) sends the disk's center
+// to z = i and its real diameter to that axis.
+
+#include <complex>
+
+// s ∈ [-sMax, sMax] across the strip, t ∈ [-πa, πa] along it (centered)
+vec2 uvToFermi(vec2 uv, float a, float sMax) {
+    float s = (2.0 * uv.y - 1.0) * sMax;
+    float t = a * (uv.x - 0.5) * 2.0 * PI;
+    return vec2(s, t);
+}
+
+// x = e^t tanh(s),  y = e^t / cosh(s)
+vec2 fermiToUHP(vec2 st) {
+    float s = st.x;
+    float t = st.y;
+
+    float ex = exp(s);
+    float emx = exp(-s);
+    float cosh_s = (ex + emx) * 0.5;
+    float sinh_s = (ex - emx) * 0.5;
+
+    return vec2(
+        exp(t) * sinh_s / cosh_s,
+        exp(t) / cosh_s
+    );
+}
+
+vec2 uvToUHP(vec2 uv, float a, float sMax) {
+    return fermiToUHP(uvToFermi(uv, a, sMax));
+}
+
+// Inverse of fermiToUHP: s = arcsinh(x / y), t = log |z|
+vec2 uhpToFermi(vec2 z) {
+    return vec2(asinh(z.x / z.y), log(length(z)));
+}
+
+// Inverse of uvToFermi (uv.x outside [0, 1] when |t| > πa)
+vec2 fermiToUV(vec2 st, float a, float sMax) {
+    return vec2(st.y / (2.0 * PI * a) + 0.5, (st.x / sMax + 1.0) * 0.5);
+}
+
+// w = (z - i) / (z + i)
+vec2 uhpToDisk(vec2 z) {
+    return cdiv(z - vec2(0.0, 1.0), z + vec2(0.0, 1.0));
+}
+
+// z = i(1 + w) / (1 - w)
+vec2 diskToUHP(vec2 w) {
+    return cmul(vec2(0.0, 1.0), cdiv(vec2(1.0, 0.0) + w, vec2(1.0, 0.0) - w));
+}
+
+// (2w, 1 + |w|²) / (1 - |w|²), on x₁² + x₂² - x₃² = -1
+vec3 diskToHyperboloid(vec2 w) {
+    float w2 = dot(w, w);
+    return vec3(2.0 * w, 1.0 + w2) / (1.0 - w2);
+}
+
+vec2 hyperboloidToDisk(vec3 x) {
+    return x.xy / (1.0 + x.z);
+}
+
+// Klein model: k = 2w / (1 + |w|²), w = k / (1 + sqrt(1 - |k|²))
+vec2 diskToKlein(vec2 w) {
+    return 2.0 * w / (1.0 + dot(w, w));
+}
+
+vec2 kleinToDisk(vec2 k) {
+    return k / (1.0 + sqrt(max(0.0, 1.0 - dot(k, k))));
+}
+
+vec3 uhpToHyperboloid(vec2 z) {
+    return diskToHyperboloid(uhpToDisk(z));
+}
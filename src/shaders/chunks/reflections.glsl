@@ -0,0 +1,60 @@
+// Reflections: circle inversion, planes through the origin, and the
+// upper-half-plane mirrors of src/tilings/triangleGroup.js.
+// JS counterparts: src/shaders/maps.js
+
+// Inversion in the circle |z - center| = radius
+vec2 invertInCircle(vec2 z, vec2 center, float radius) {
+    vec2 rel = z - center;
+    return center + rel * (radius * radius / dot(rel, rel));
+}
+
+// Reflection in the plane through the origin with unit normal n
+vec3 reflectInPlane(vec3 x, vec3 n) {
+    return x - 2.0 * dot(x, n) * n;
+}
+
+// A mirror in the upper half-plane is vec3(p, q, side): a geodesic with
+// endpoints p, q on the real axis (|p| > 1e9 for ∞) and the side of the
+// tile, where (|z - c|² - R²)·side > 0, or (x - p)·side > 0 for a line.
+
+bool isLine(vec3 m) {
+    return abs(m.x) > 1e9 || abs(m.y) > 1e9;
+}
+
+float lineEndpoint(vec3 m) {
+    return (abs(m.x) > 1e9) ? m.y : m.x;
+}
+
+// Positive on the tile's side of the mirror
+float mirrorSide(vec2 z, vec3 m) {
+    if (isLine(m)) {
+        return (z.x - lineEndpoint(m)) * m.z;
+    }
+    float center = (m.x + m.y) * 0.5;
+    float radius = abs(m.x - m.y) * 0.5;
+    vec2 rel = z - vec2(center, 0.0);
+    return (dot(rel, rel) - radius * radius) * m.z;
+}
+
+vec2 reflectInMirror(vec2 z, vec3 m) {
+    if (isLine(m)) {
+        return vec2(2.0 * lineEndpoint(m) - z.x, z.y);
+    }
+    float center = (m.x + m.y) * 0.5;
+    float radius = abs(m.x - m.y) * 0.5;
+    return invertInCircle(z, vec2(center, 0.0), radius);
+}
+
+// Hyperbolic distance from z to the mirror's geodesic
+float mirrorDist(vec2 z, vec3 m) {
+    if (isLine(m)) {
+        z.x -= lineEndpoint(m);
+    } else {
+        // Möbius (z - p)/(z - q) maps the geodesic to the y-axis
+        vec2 num = z - vec2(m.x, 0.0);
+        vec2 den = z - vec2(m.y, 0.0);
+        float d2 = dot(den, den);
+        z = vec2(dot(num, den), num.y * den.x - num.x * den.y) / d2;
+    }
+    return acosh(max(1.0, length(z) / abs(z.y)));
+}
@@ -0,0 +1,38 @@
+// Surface of revolution displaced in the vertex shader.
+// JS counterpart: SurfaceOfRevolution (evaluate, computeNormal)
+//
+// uProfile is a 1-pixel-high float texture holding the profile at
+// uProfileSegments + 1 evenly spaced values of v:
+//   (r, h, dr/dv, dh/dv)   with v normalized to [0, 1]
+// Between samples r and h are cubic Hermite segments, so the surface is C¹
+// and the normal comes from the same interpolant. Filled by ProfileTexture.
+
+uniform sampler2D uProfile;
+uniform float uProfileSegments;
+
+// X = (r cos u, h, -r sin u) and the unit normal along X_u × X_v with the
+// factor r divided out, at the normalized mesh uv: u = 2π uv.x, v = uv.y
+void surfaceOfRevolution(vec2 uv, out vec3 position, out vec3 normal) {
+    float x = clamp(uv.y, 0.0, 1.0) * uProfileSegments;
+    float i = min(floor(x), uProfileSegments - 1.0);
+    float f = x - i;
+
+    vec4 p0 = texelFetch(uProfile, ivec2(int(i), 0), 0);
+    vec4 p1 = texelFetch(uProfile, ivec2(int(i) + 1, 0), 0);
+    float dv = 1.0 / uProfileSegments;
+    vec2 m0 = p0.zw * dv;
+    vec2 m1 = p1.zw * dv;
+
+    float f2 = f * f;
+    float f3 = f2 * f;
+    vec2 rh = (2.0 * f3 - 3.0 * f2 + 1.0) * p0.xy + (f3 - 2.0 * f2 + f) * m0
+            + (-2.0 * f3 + 3.0 * f2) * p1.xy + (f3 - f2) * m1;
+    vec2 drh = ((6.0 * f2 - 6.0 * f) * p0.xy + (3.0 * f2 - 4.0 * f + 1.0) * m0
+             + (-6.0 * f2 + 6.0 * f) * p1.xy + (3.0 * f2 - 2.0 * f) * m1) / dv;
+
+    float u = 2.0 * PI * uv.x;
+    float c = cos(u);
+    float s = sin(u);
+    position = vec3(max(rh.x, 0.0) * c, rh.y, -max(rh.x, 0.0) * s);
+    normal = normalize(vec3(drh.y * c, -drh.x, -drh.y * s));
+}
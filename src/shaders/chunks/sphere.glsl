@@ -0,0 +1,27 @@
+// Coordinate maps for K=+1 surfaces of revolution.
+// JS counterparts: src/shaders/maps.js
+//
+// The spindle / sphere / barrel with parameter a is locally the unit sphere
+// with longitude scaled by a. Arc length s from the tip runs over [0, π]
+// for a ≤ 1 and over the band [acos(1/a), π - acos(1/a)] for a barrel.
+
+// Smallest arc length s on the surface: 0, or acos(1/a) for a barrel
+float sphericalSMin(float a) {
+    return (a <= 1.0) ? 0.0 : acos(1.0 / a);
+}
+
+// Equirectangular texture coordinates: longitude scaled by a (repeats when
+// a > 1), latitude mapped to the band [sMin/π, 1 - sMin/π]
+vec2 equirectUV(vec2 uv, float a) {
+    float sMin = sphericalSMin(a) / PI;
+    return vec2(uv.x * a, sMin + uv.y * (1.0 - 2.0 * sMin));
+}
+
+// Point on the unit sphere, oriented like the surface:
+// x = (sin s cos λ, -cos s, -sin s sin λ) with λ = 2πa·u (wraps when a > 1)
+vec3 uvToSphere(vec2 uv, float a) {
+    float sMin = sphericalSMin(a);
+    float s = sMin + uv.y * (PI - 2.0 * sMin);
+    float lambda = 2.0 * PI * a * uv.x;
+    return vec3(sin(s) * cos(lambda), -cos(s), -sin(s) * sin(lambda));
+}
@@ -0,0 +1,45 @@
+// Reflection group tiling of the upper half-plane.
+//
+// The mirrors are uniforms, filled by setMirrorUniforms from
+// src/tilings/triangleGroup.js. uhpTilingColor reflects z into the
+// fundamental domain, colors it by the parity of the number of
+// reflections, and draws the mirrors as lines.
+
+#include <reflections>
+
+#define MAX_MIRRORS 12
+uniform vec3 uMirrors[MAX_MIRRORS];  // (p, q, side): see reflections
+uniform int uMirrorCount;
+
+const vec3 TILE_CREAM = vec3(0.85, 0.8, 0.75);
+const vec3 TILE_SLATE = vec3(0.35, 0.4, 0.45);
+
+vec3 uhpTilingColor(vec2 z) {
+    int foldCount = 0;
+    for (int i = 0; i < 300; i++) {
+        bool moved = false;
+        for (int k = 0; k < MAX_MIRRORS; k++) {
+            if (k >= uMirrorCount) break;
+            if (mirrorSide(z, uMirrors[k]) < 0.0) {
+                z = reflectInMirror(z, uMirrors[k]);
+                foldCount++;
+                moved = true;
+            }
+        }
+        if (!moved) break;
+    }
+
+    // Color by parity
+    float parity = mod(float(foldCount), 2.0);
+    vec3 color = (parity < 0.5) ? TILE_CREAM : TILE_SLATE;
+
+    // Edge lines along the mirrors
+    float d = 1e10;
+    for (int k = 0; k < MAX_MIRRORS; k++) {
+        if (k >= uMirrorCount) break;
+        d = min(d, mirrorDist(z, uMirrors[k]));
+    }
+    float edge = fwidth(d) * 1.5;
+    float line = 1.0 - smoothstep(0.0, edge, d);
+    return mix(color, vec3(1.0), 0.6 * line);
+}
@@ -0,0 +1,67 @@
+/**
+ * GLSL chunk library and #include preprocessor.
+ *
+ * Shaders can pull shared code from src/shaders/chunks/ with
+ *
+ *   #include <hyperbolic>
+ *
+ * resolveIncludes splices the chunk in (recursively, each chunk at most
+ * once) and leaves every other #include alone, so Three.js's own chunks
+ * (#include <common>, ...) still resolve as usual. SurfaceMesh runs it on
+ * its shaders before handing them to CustomShaderMaterial.
+ *
+ * Chunks:
+ *   complex      cmul, cdiv
+ *   hyperbolic   uvToFermi, fermiToUHP, uvToUHP, uhpToFermi, fermiToUV,
+ *                uhpToDisk, diskToUHP, diskToKlein, kleinToDisk,
+ *                diskToHyperboloid, hyperboloidToDisk, uhpToHyperboloid
+ *   sphere       sphericalSMin, equirectUV, uvToSphere
+ *   reflections  invertInCircle, reflectInPlane, and the upper-half-plane
+ *                mirrors: mirrorSide, reflectInMirror, mirrorDist
+ *   uhp-tiling   uMirrors / uMirrorCount uniforms and uhpTilingColor(z):
+ *                the reflection group tiling of the upper half-plane
+ *   revolution   uProfile / uProfileSegments uniforms and
+ *                surfaceOfRevolution(uv, position, normal): vertex
+ *                displacement from a ProfileTexture
+ *
+ * src/shaders/maps.js implements the same functions in JS (revolution's
+ * counterpart is SurfaceOfRevolution).
+ *
+ * @example
+ *   const source = resolveIncludes(`
+ *     #include <hyperbolic>
+ *     void main() { vec2 z = uvToUHP(vMapUv, uA, uSMax); ... }
+ *   `);
+ */
+
+import complex from './chunks/complex.glsl?raw';
+import hyperbolic from './chunks/hyperbolic.glsl?raw';
+import sphere from './chunks/sphere.glsl?raw';
+import reflections from './chunks/reflections.glsl?raw';
+import uhpTiling from './chunks/uhp-tiling.glsl?raw';
+import revolution from './chunks/revolution.glsl?raw';
+
+/** The chunk library, by include name. */
+export const CHUNKS = { complex, hyperbolic, sphere, reflections, 'uhp-tiling': uhpTiling, revolution };
+
+const INCLUDE = /^[ \t]*#include +<([\w./-]+)>[ \t]*$/gm;
+
+/**
+ * Splice library chunks into a shader.
+ *
+ * @param {string} source - GLSL
+ * @param {Object<string, string>} [chunks=CHUNKS] - Chunk sources by name
+ * @returns {string}
+ */
+export function resolveIncludes(source, chunks = CHUNKS) {
+  const included = new Set();
+
+  const resolve = text => text.replace(INCLUDE, (line, name) => {
+    if (!(name in chunks)) return line; // a Three.js chunk
+    if (included.has(name)) return '';
+    included.add(name);
+    return resolve(chunks[name]);
+  });
+
+  return resolve(source);
+}
@@ -0,0 +1,177 @@
+/**
+ * JS counterparts of the GLSL chunk library (src/shaders/chunks/).
+ *
+ * Same names, same formulas, so a point computed on the CPU (for picking,
+ * overlays, tests) lands where the shader draws it. vec2 / vec3 become
+ * THREE.Vector2 / THREE.Vector3; inputs only need x, y (and z) fields, and
+ * every function returns a new vector.
+ *
+ * @example
+ *   const z = uvToUHP({ x: hit.u / (2 * Math.PI), y: hit.v }, a, profile.sMax);
+ *   const x = uhpToHyperboloid(z);   // x.z ≥ 1, x.x² + x.y² - x.z² = -1
+ */
+
+import * as THREE from 'three';
+
+// --- complex ---
+
+export function cmul(a, b) {
+  return new THREE.Vector2(a.x * b.x - a.y * b.y, a.x * b.y + a.y * b.x);
+}
+
+export function cdiv(a, b) {
+  const d = b.x * b.x + b.y * b.y;
+  return new THREE.Vector2((a.x * b.x + a.y * b.y) / d, (a.y * b.x - a.x * b.y) / d);
+}
+
+// --- hyperbolic ---
+
+/** s ∈ [-sMax, sMax] across the strip, t ∈ [-πa, πa] along it (centered). */
+export function uvToFermi(uv, a, sMax) {
+  return new THREE.Vector2(
+    (2 * uv.y - 1) * sMax,
+    a * (uv.x - 0.5) * 2 * Math.PI,
+  );
+}
+
+/** x = e^t tanh(s), y = e^t / cosh(s) */
+export function fermiToUHP(st) {
+  const s = st.x;
+  const t = st.y;
+  return new THREE.Vector2(
+    Math.exp(t) * Math.tanh(s),
+    Math.exp(t) / Math.cosh(s),
+  );
+}
+
+export function uvToUHP(uv, a, sMax) {
+  return fermiToUHP(uvToFermi(uv, a, sMax));
+}
+
+/** Inverse of fermiToUHP: s = arcsinh(x / y), t = log |z| */
+export function uhpToFermi(z) {
+  return new THREE.Vector2(Math.asinh(z.x / z.y), Math.log(Math.hypot(z.x, z.y)));
+}
+
+/** Inverse of uvToFermi (uv.x outside [0, 1] when |t| > πa). */
+export function fermiToUV(st, a, sMax) {
+  return new THREE.Vector2(st.y / (2 * Math.PI * a) + 0.5, (st.x / sMax + 1) / 2);
+}
+
+/** w = (z - i) / (z + i) */
+export function uhpToDisk(z) {
+  return cdiv({ x: z.x, y: z.y - 1 }, { x: z.x, y: z.y + 1 });
+}
+
+/** z = i(1 + w) / (1 - w) */
+export function diskToUHP(w) {
+  return cmul({ x: 0, y: 1 }, cdiv({ x: 1 + w.x, y: w.y }, { x: 1 - w.x, y: -w.y }));
+}
+
+/** (2w, 1 + |w|²) / (1 - |w|²), on x₁² + x₂² - x₃² = -1 */
+export function diskToHyperboloid(w) {
+  const w2 = w.x * w.x + w.y * w.y;
+  return new THREE.Vector3(2 * w.x, 2 * w.y, 1 + w2).divideScalar(1 - w2);
+}
+
+export function hyperboloidToDisk(x) {
+  return new THREE.Vector2(x.x / (1 + x.z), x.y / (1 + x.z));
+}
+
+/** Klein model: k = 2w / (1 + |w|²) */
+export function diskToKlein(w) {
+  const d = 1 + w.x * w.x + w.y * w.y;
+  return new THREE.Vector2(2 * w.x / d, 2 * w.y / d);
+}
+
+/** w = k / (1 + sqrt(1 - |k|²)) */
+export function kleinToDisk(k) {
+  const d = 1 + Math.sqrt(Math.max(0, 1 - k.x * k.x - k.y * k.y));
+  return new THREE.Vector2(k.x / d, k.y / d);
+}
+
+export function uhpToHyperboloid(z) {
+  return diskToHyperboloid(uhpToDisk(z));
+}
+
+// --- sphere ---
+
+/** Smallest arc length s on the K = +1 surface: 0, or acos(1/a) for a barrel. */
+export function sphericalSMin(a) {
+  return a <= 1 ? 0 : Math.acos(1 / a);
+}
+
+/** Equirectangular texture coordinates: longitude scaled by a, latitude in the band. */
+export function equirectUV(uv, a) {
+  const sMin = sphericalSMin(a) / Math.PI;
+  return new THREE.Vector2(uv.x * a, sMin + uv.y * (1 - 2 * sMin));
+}
+
+/** Point on the unit sphere: (sin s cos λ, -cos s, -sin s sin λ), λ = 2πa·u. */
+export function uvToSphere(uv, a) {
+  const sMin = sphericalSMin(a);
+  const s = sMin + uv.y * (Math.PI - 2 * sMin);
+  const lambda = 2 * Math.PI * a * uv.x;
+  return new THREE.Vector3(
+    Math.sin(s) * Math.cos(lambda),
+    -Math.cos(s),
+    -Math.sin(s) * Math.sin(lambda),
+  );
+}
+
+// --- reflections ---
+
+/** Inversion in the circle |z - center| = radius. */
+export function invertInCircle(z, center, radius) {
+  const dx = z.x - center.x;
+  const dy = z.y - center.y;
+  const k = (radius * radius) / (dx * dx + dy * dy);
+  return new THREE.Vector2(center.x + dx * k, center.y + dy * k);
+}
+
+/** Reflection in the plane through the origin with unit normal n. */
+export function reflectInPlane(x, n) {
+  const d = x.x * n.x + x.y * n.y + x.z * n.z;
+  return new THREE.Vector3(x.x - 2 * d * n.x, x.y - 2 * d * n.y, x.z - 2 * d * n.z);
+}
+
+// Upper-half-plane mirrors, encoded as in the uMirrors uniform:
+// (p, q, side) with |p| > 1e9 standing for an endpoint at ∞.
+
+export function isLine(m) {
+  return Math.abs(m.x) > 1e9 || Math.abs(m.y) > 1e9;
+}
+
+export function lineEndpoint(m) {
+  return Math.abs(m.x) > 1e9 ? m.y : m.x;
+}
+
+/** Positive on the tile's side of the mirror. */
+export function mirrorSide(z, m) {
+  if (isLine(m)) return (z.x - lineEndpoint(m)) * m.z;
+  const center = (m.x + m.y) / 2;
+  const radius = Math.abs(m.x - m.y) / 2;
+  return ((z.x - center) ** 2 + z.y * z.y - radius * radius) * m.z;
+}
+
+export function reflectInMirror(z, m) {
+  if (isLine(m)) return new THREE.Vector2(2 * lineEndpoint(m) - z.x, z.y);
+  const center = (m.x + m.y) / 2;
+  const radius = Math.abs(m.x - m.y) / 2;
+  return invertInCircle(z, { x: center, y: 0 }, radius);
+}
+
+/** Hyperbolic distance from z to the mirror's geodesic. */
+export function mirrorDist(z, m) {
+  let x = z.x;
+  let y = z.y;
+  if (isLine(m)) {
+    x -= lineEndpoint(m);
+  } else {
+    // Möbius (z - p)/(z - q) maps the geodesic to the y-axis
+    const w = cdiv({ x: x - m.x, y }, { x: x - m.y, y });
+    x = w.x;
+    y = w.y;
+  }
+  return Math.acosh(Math.max(1, Math.hypot(x, y) / Math.abs(y)));
+}
@@ -0,0 +1,172 @@
+/**
+ * UrlState
+ *
+ * A small store for a demo's parameters that lives in the URL, so a view
+ * can be shared by copying the address: #/spindle-slider?a=1.37&camera=...
+ *
+ * The demo registers each parameter with its default and gets back the
+ * value to start from: the one in the URL if there is a valid one, the
+ * default otherwise. When a value changes (a slider's onChange, say) the
+ * demo calls set, and the URL follows a moment later. camera() does the
+ * same for an OrbitControls pose.
+ *
+ * Parameters go in the hash after the gallery route, and are written with
+ * history.replaceState: no reload, no route change, no history entry per
+ * slider step. Values equal to their defaults are left out.
+ *
+ * @example
+ *   const state = new UrlState();
+ *   const a = state.add('a', 0.5, { min: 0.05, max: 2 });
+ *   new Slider({ label: 'a', min: 0.05, max: 2, step: 0.01, value: a, onChange: v => { setA(v); state.set('a', v); } });
+ *   state.camera(camera, controls);
+ *   // on unmount:
+ *   state.dispose();
+ */
+
+const WRITE_DELAY = 250; // ms: a drag writes the URL once it pauses
+
+export class UrlState {
+
+  constructor() {
+    this._query = new URLSearchParams(hashQuery());
+    this._params = new Map();   // name → { value, fallback }, fallback formatted
+    this._timer = 0;
+    this._cleanup = [];
+  }
+
+  /**
+   * Register a parameter.
+   *
+   * Its type is the type of the default: a number, a boolean or a string.
+   * A value in the URL that doesn't parse, isn't one of options or doesn't
+   * match pattern is ignored; numbers are clamped to [min, max] (and rounded, if integer).
+   *
+   * @param {string} name - Key in the URL
+   * @param {number|boolean|string} fallback - Default value
+   * @param {Object} [options]
+   * @param {number} [options.min]
+   * @param {number} [options.max]
+   * @param {boolean} [options.integer=false]
+   * @param {Array}  [options.options] - The values allowed
+   * @param {RegExp} [options.pattern] - What a string value must match
+   * @returns {number|boolean|string} The value to start with
+   */
+  add(name, fallback, { min = -Infinity, max = Infinity, integer = false, options, pattern } = {}) {
+    if (this._params.has(name)) {
+      throw new Error(`UrlState: '${name}' is already registered`);
+    }
+
+    let value = parse(typeof fallback, this._query.get(name));
+    if (typeof value === 'number') value = Math.min(Math.max(integer ? Math.round(value) : value, min), max);
+    if (value === undefined || (options && !options.includes(value)) || (pattern && !pattern.test(value))) {
+      value = fallback;
+    }
+
+    this._params.set(name, { value, fallback: format(fallback) });
+    return value;
+  }
+
+  /** Current value of a registered parameter. */
+  get(name) {
+    return this._param(name).value;
+  }
+
+  /** Change a registered parameter; the URL is updated shortly. */
+  set(name, value) {
+    this._param(name).value = value;
+    this._schedule();
+  }
+
+  /**
+   * Keep an OrbitControls camera pose (position and target) in the
+   * 'camera' parameter, and move the camera to the one in the URL now.
+   *
+   * @param {THREE.Camera} camera
+   * @param {OrbitControls} controls
+   */
+  camera(camera, controls) {
+    const pose = () => [...camera.position.toArray(), ...controls.target.toArray()];
+    this.add('camera', pose().map(round).join());
+
+    const saved = this.get('camera').split(',').map(Number);
+    if (saved.length === 6 && saved.every(Number.isFinite)) {
+      camera.position.fromArray(saved, 0);
+      controls.target.fromArray(saved, 3);
+      controls.update();
+    }
+
+    const onChange = () => this.set('camera', pose().map(round).join());
+    controls.addEventListener('change', onChange);
+    this._cleanup.push(() => controls.removeEventListener('change', onChange));
+  }
+
+  /** Write the URL now instead of after the delay. */
+  write() {
+    clearTimeout(this._timer);
+    this._timer = 0;
+
+    const entries = [];
+    for (const [name, { value, fallback }] of this._params) {
+      const text = format(value);
+      if (text !== fallback) entries.push(`${name}=${encodeURIComponent(text).replace(/%2C/g, ',')}`);
+    }
+
+    const route = location.hash.split('?')[0] || '#';
+    const hash = entries.length ? `${route}?${entries.join('&')}` : route;
+    if (hash !== location.hash) {
+      history.replaceState(history.state, '', `${location.pathname}${location.search}${hash}`);
+    }
+  }
+
+  /** Stop following the controls, and drop a write that hasn't happened yet. */
+  dispose() {
+    clearTimeout(this._timer);
+    this._timer = 0;
+    for (const cleanup of this._cleanup) cleanup();
+    this._cleanup = [];
+  }
+
+  _param(name) {
+    const param = this._params.get(name);
+    if (!param) throw new Error(`UrlState: '${name}' is not registered`);
+    return param;
+  }
+
+  _schedule() {
+    if (!this._timer) this._timer = setTimeout(() => this.write(), WRITE_DELAY);
+  }
+}
+
+// --- Text in the URL ---
+
+/** The part of the hash after '?': #/spindle-slider?a=1.37 → a=1.37 */
+function hashQuery() {
+  const i = location.hash.indexOf('?');
+  return i < 0 ? '' : location.hash.slice(i + 1);
+}
+
+// Six significant digits: a slider step survives, float noise doesn't
+function round(x) {
+  return Number(x.toPrecision(6));
+}
+
+function format(value) {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'number') return String(round(value));
+  return String(value);
+}
+
+/** The value text stands for, of the given type, or undefined. */
+function parse(type, text) {
+  if (text === null) return undefined;
+  switch (type) {
+    case 'number': {
+      const x = Number(text);
+      return text.trim() !== '' && Number.isFinite(x) ? x : undefined;
+    }
+    case 'boolean':
+      return text === '1' || text === 'true' ? true : text === '0' || text === 'false' ? false : undefined;
+    default:
+      return text;
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * GeometryWorker
+ *
+ * Runs buildGeometry in a Web Worker (geometry.worker.js), so a slider
+ * that reshapes a fine mesh doesn't stall the page while it tessellates.
+ * The surface travels as its toJSON() description and the geometry comes
+ * back as transferred typed arrays.
+ *
+ * Requests are coalesced: while one build is running, a new request
+ * replaces any that is still waiting, so a fast drag builds only the
+ * latest shape rather than queueing every step. A replaced request
+ * resolves with null.
+ *
+ * SurfaceMesh uses this when created with { worker: true }; applyArrays
+ * and geometryFromArrays turn a result into geometry.
+ *
+ * @example
+ *   const worker = new GeometryWorker();
+ *   const data = await worker.build(surface.toJSON(), { uSegments: 256, vSegments: 128 });
+ *   if (data && !applyArrays(mesh.geometry, data)) mesh.geometry = geometryFromArrays(data);
+ */
+
+import * as THREE from 'three';
+
+export class GeometryWorker {
+
+  constructor() {
+    this._worker = null;
+    this._running = null;   // request being built
+    this._waiting = null;   // latest request since, if any
+    this._nextId = 0;
+  }
+
+  /**
+   * Build geometry for a surface description.
+   *
+   * @param {Object} surface - surface.toJSON()
+   * @param {Object} [options] - As for buildGeometry
+   * @returns {Promise<Object|null>} The worker's arrays (see geometry.worker.js),
+   *          or null if a later request replaced this one before it started
+   */
+  build(surface, options = {}) {
+    return new Promise((resolve, reject) => {
+      const request = { id: this._nextId++, surface, options, resolve, reject };
+      if (!this._running) {
+        this._start(request);
+        return;
+      }
+      this._waiting?.resolve(null);
+      this._waiting = request;
+    });
+  }
+
+  /** Stop the worker. Requests not yet answered resolve with null. */
+  dispose() {
+    this._worker?.terminate();
+    this._worker = null;
+    this._running?.resolve(null);
+    this._waiting?.resolve(null);
+    this._running = null;
+    this._waiting = null;
+  }
+
+  _start(request) {
+    if (!this._worker) {
+      this._worker = new Worker(new URL('./geometry.worker.js', import.meta.url), { type: 'module' });
+      this._worker.onmessage = ({ data }) => this._finish(data);
+      this._worker.onerror = event => this._finish({ id: this._running?.id, error: event.message });
+    }
+
+    this._running = request;
+    const { id, surface, options } = request;
+    this._worker.postMessage({ id, surface, options });
+  }
+
+  _finish(data) {
+    const request = this._running;
+    if (!request || data.id !== request.id) return;
+
+    if (data.error) {
+      request.reject(new Error(`GeometryWorker: ${data.error}`));
+    } else {
+      request.resolve(data);
+    }
+
+    this._running = null;
+    const next = this._waiting;
+    this._waiting = null;
+    if (next) this._start(next);
+  }
+}
+
+/**
+ * Copy a worker result into an existing geometry, without reallocating
+ * anything on the CPU or the GPU.
+ *
+ * @param {THREE.BufferGeometry} geometry - From buildGeometry or geometryFromArrays
+ * @param {Object} data - From GeometryWorker.build
+ * @returns {THREE.BufferGeometry|null} The same geometry, or null if its triangles
+ *          differ (other segment counts, or collapsed rows that came or went)
+ */
+export function applyArrays(geometry, data) {
+  const built = geometry.userData.grid;
+  const { grid } = data;
+  if (
+    !built ||
+    grid.uSegments !== built.uSegments ||
+    grid.vSegments !== built.vSegments ||
+    grid.collapsed.join() !== built.collapsed.join()
+  ) {
+    return null;
+  }
+
+  for (const name of ['position', 'normal', 'uv']) {
+    const attribute = geometry.getAttribute(name);
+    attribute.array.set(data[name]);
+    attribute.needsUpdate = true;
+  }
+
+  setBounds(geometry, data);
+  return geometry;
+}
+
+/**
+ * A new geometry from a worker result, using its arrays directly.
+ *
+ * @param {Object} data - From GeometryWorker.build
+ * @returns {THREE.BufferGeometry}
+ */
+export function geometryFromArrays(data) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.userData.grid = data.grid;
+  geometry.setIndex(new THREE.BufferAttribute(data.index, 1));
+  geometry.setAttribute('position', new THREE.BufferAttribute(data.position, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(data.uv, 2));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(data.normal, 3));
+  setBounds(geometry, data);
+  return geometry;
+}
+
+/** Bounding sphere as measured in the worker; the box is recomputed on demand. */
+function setBounds(geometry, { boundingSphere: { center, radius } }) {
+  geometry.boundingSphere ??= new THREE.Sphere();
+  geometry.boundingSphere.center.fromArray(center);
+  geometry.boundingSphere.radius = radius;
+  geometry.boundingBox = null;
+}
@@ -0,0 +1,116 @@
+/**
+ * ProfileTexture
+ *
+ * A surface of revolution's profile packed into a small float texture, for
+ * displacing a fixed mesh in the vertex shader (the revolution chunk).
+ * Changing the profile then costs a few hundred profile evaluations and a
+ * texture upload instead of a retessellation.
+ *
+ * Texel k holds (r, h, dr/dv, dh/dv) at v = k / segments of the normalized
+ * domain; the shader interpolates with cubic Hermite segments.
+ *
+ * SurfaceMesh uses this when created with { gpu: true }, with
+ * revolutionVertexShader wrapping its vertex shader.
+ *
+ * @example
+ *   const profileTexture = new ProfileTexture();
+ *   profileTexture.update(surface.profile);
+ *   uniforms.uProfile = { value: profileTexture.texture };
+ *   uniforms.uProfileSegments = { value: profileTexture.segments };
+ */
+
+import * as THREE from 'three';
+
+const _p = new THREE.Vector3();
+const _d = new THREE.Vector3();
+const _p0 = new THREE.Vector3();
+const _p1 = new THREE.Vector3();
+
+export class ProfileTexture {
+
+  /**
+   * @param {number} [segments=512] - Intervals between profile samples
+   */
+  constructor(segments = 512) {
+    this.segments = segments;
+    this.data = new Float32Array(4 * (segments + 1));
+    this.texture = new THREE.DataTexture(this.data, segments + 1, 1, THREE.RGBAFormat, THREE.FloatType);
+    this.texture.magFilter = THREE.NearestFilter;
+    this.texture.minFilter = THREE.NearestFilter;
+  }
+
+  /**
+   * Sample a profile curve (evaluate(t) → (r, h, 0), getDomain()) into the
+   * texture. Uses profile.derivative(t) if there is one, central
+   * differences otherwise.
+   */
+  update(profile) {
+    const { tMin, tMax } = profile.getDomain();
+    const length = tMax - tMin;
+    const analytic = 'derivative' in profile;
+    const dt = 1e-4 * length;
+
+    for (let k = 0; k <= this.segments; k++) {
+      const t = tMin + length * (k / this.segments);
+      const p = profile.evaluate(t, _p);
+
+      let d;
+      if (analytic) {
+        d = profile.derivative(t, _d);
+      } else {
+        const c = Math.min(Math.max(t, tMin + dt), tMax - dt);
+        d = _d.subVectors(profile.evaluate(c + dt, _p1), profile.evaluate(c - dt, _p0)).divideScalar(2 * dt);
+      }
+
+      // Derivatives with respect to the normalized v ∈ [0, 1]
+      const i = 4 * k;
+      this.data[i] = p.x;
+      this.data[i + 1] = p.y;
+      this.data[i + 2] = d.x * length;
+      this.data[i + 3] = d.y * length;
+    }
+
+    this.texture.needsUpdate = true;
+  }
+
+  dispose() {
+    this.texture.dispose();
+  }
+}
+
+// void main() of a vertex shader, with or without an explicit void
+const MAIN = /void\s+main\s*\(\s*(?:void\s*)?\)\s*\{/;
+
+/**
+ * Wrap a CustomShaderMaterial vertex shader (or none) so it displaces the
+ * mesh with the revolution chunk while uDisplace is true.
+ *
+ * The original shader runs after the displacement and sees the displaced
+ * point and normal where it reads position and normal, so existing shaders
+ * work unchanged; it may still set csm_Position / csm_Normal itself.
+ *
+ * @param {string} [vertexShader] - GLSL with a void main()
+ * @returns {string} GLSL, to go through resolveIncludes
+ */
+export function revolutionVertexShader(vertexShader = 'void main() {\n}\n') {
+  if (!MAIN.test(vertexShader)) {
+    throw new Error('revolutionVertexShader: the vertex shader has no void main()');
+  }
+
+  // Attribute reads become the displaced values (but not field accesses like v.normal)
+  const source = vertexShader.replace(/(?<![.\w])(position|normal)(?!\w)/g,
+    (name) => (name === 'position' ? 'surfacePosition' : 'surfaceNormal'));
+
+  return `#include <revolution>
+uniform bool uDisplace;
+
+${source.replace(MAIN, match => `${match}
+    vec3 surfacePosition = position;
+    vec3 surfaceNormal = normal;
+    if (uDisplace) {
+        surfaceOfRevolution(uv, surfacePosition, surfaceNormal);
+        csm_Position = surfacePosition;
+        csm_Normal = surfaceNormal;
+    }
+`)}`;
+}
@@ -0,0 +1,86 @@
+/**
+ * SpindlePeel
+ *
+ * The K = +1 surface with parameter a, bent isometrically back onto the
+ * unit sphere it is cut from.
+ *
+ * The spindle (a < 1) is a lune of angle 2πa on the unit sphere with its
+ * edges glued; the barrel (a > 1) is the band s ∈ [arccos 1/a, π - arccos 1/a]
+ * wrapped a times around. Both are the same piece of the sphere as a
+ * surface of revolution with any other parameter b, turned through 2πa/b
+ * instead of a full turn:
+ *
+ *   metric  ds² + b² sin²s dφ²,  φ ∈ [0, 2πa/b]   ≅   ds² + sin²s dλ²,  λ = bφ ∈ [0, 2πa]
+ *
+ * So b running from a to 1 opens the closed surface (peel = 0) into the
+ * lune or band on the sphere (peel = 1) without stretching anything.
+ *
+ * The parameters are those of the closed surface: u ∈ [0, 2π] around it
+ * and v ∈ [0, 1] along it, so the mesh uv (and the texture) stay on the
+ * same material points throughout.
+ *
+ * @example
+ *   const peel = new SpindlePeel(0.5);
+ *   mesh.surface = peel;
+ *   // each frame:
+ *   peel.set(0.5, t);
+ *   mesh.rebuild();
+ */
+
+import * as THREE from 'three';
+import { SurfaceOfRevolution } from './SurfaceOfRevolution.js';
+import { ConstantCurvatureProfile } from '../curves/ConstantCurvatureProfile.js';
+import { sphericalSMin } from '../shaders/maps.js';
+
+export class SpindlePeel {
+
+  /**
+   * @param {number} a - Parameter of the closed surface
+   * @param {number} [peel=0] - 0: closed surface, 1: on the unit sphere
+   */
+  constructor(a, peel = 0) {
+    this.set(a, peel);
+  }
+
+  /** Change the surface and how far it is peeled. Call mesh.rebuild() afterwards. */
+  set(a, peel) {
+    this.a = a;
+    this.peel = peel;
+
+    // Profile parameter of the intermediate surface
+    const b = a + (1 - a) * peel;
+    const profile = new ConstantCurvatureProfile({ K: 1, family: 'sin', a: b });
+    this._surface = new SurfaceOfRevolution(profile);
+
+    // Angle turned per unit of u, and the arc-length band of the closed
+    // surface as a range of the intermediate profile's parameter
+    this._turn = a / b;
+    const sMin = sphericalSMin(a);
+    const length = profile.sMax - profile.sMin;
+    this._v0 = (sMin - profile.sMin) / length;
+    this._v1 = (Math.PI - sMin - profile.sMin) / length;
+  }
+
+  /** Point X(u, v), written into target if given. */
+  evaluate(u, v, target = new THREE.Vector3()) {
+    return this._surface.evaluate(u * this._turn, this._profileParameter(v), target);
+  }
+
+  /** Unit normal, oriented like the closed surface's. */
+  computeNormal(u, v, target = new THREE.Vector3()) {
+    return this._surface.computeNormal(u * this._turn, this._profileParameter(v), target);
+  }
+
+  getDomain() {
+    return { uMin: 0, uMax: 2 * Math.PI, vMin: 0, vMax: 1 };
+  }
+
+  /** Plain-data description (see surfaceFromJSON). */
+  toJSON() {
+    return { type: 'SpindlePeel', a: this.a, peel: this.peel };
+  }
+
+  _profileParameter(v) {
+    return this._v0 + v * (this._v1 - this._v0);
+  }
+}
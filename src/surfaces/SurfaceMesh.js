@@ -3,11 +3,20 @@
  *
  * A THREE.Mesh that wraps a parametric surface with automatic geometry
  * tessellation and optional custom shaders via CustomShaderMaterial.
+ * Shaders may #include chunks from the library in src/shaders/chunks/.
+ * options.adaptive is passed to buildGeometry for adaptive grid spacing.
+ * With options.worker, rebuilds after the first run in a Web Worker
+ * (GeometryWorker) whenever the surface can describe itself with toJSON().
+ * With options.gpu, a surface of revolution is displaced in the vertex
+ * shader from a ProfileTexture, so rebuilds only upload its profile.
  */
 
 import * as THREE from 'three';
 import CustomShaderMaterial from 'three-custom-shader-material/vanilla';
-import { buildGeometry } from './buildGeometry.js';
+import { buildGeometry, updateGeometry } from './buildGeometry.js';
+import { GeometryWorker, applyArrays, geometryFromArrays } from './GeometryWorker.js';
+import { ProfileTexture, revolutionVertexShader } from './ProfileTexture.js';
+import { resolveIncludes } from '../shaders/includeChunks.js';
 
 export class SurfaceMesh extends THREE.Mesh {
 
@@ -16,12 +25,37 @@ export class SurfaceMesh extends THREE.Mesh {
     this.surface = surface;
     this.uSegments = options.uSegments ?? 32;
     this.vSegments = options.vSegments ?? 32;
+    this.adaptive = options.adaptive ?? false;
+    this.worker = options.worker ?? false;
+
+    /** Vertex shader displacement (fixed at construction: it changes the material). */
+    this.gpu = options.gpu ?? false;
+
+    // Rebuilds requested so far, and the last one done on this thread: a
+    // worker result older than that is dropped
+    this._requested = 0;
+    this._builtHere = 0;
+
+    // GPU mode: the shader has moved on since the geometry's positions
+    this._positionsStale = false;
 
     /** Shader uniforms — mutate .value properties to animate. */
     this.uniforms = options.uniforms ?? {};
 
+    let vertexShader = options.vertexShader;
+    if (this.gpu) {
+      this._profileTexture = new ProfileTexture();
+      this.uniforms.uProfile = { value: this._profileTexture.texture };
+      this.uniforms.uProfileSegments = { value: this._profileTexture.segments };
+      this.uniforms.uDisplace = { value: false };
+      vertexShader = revolutionVertexShader(vertexShader);
+
+      // The geometry's bounds lag behind the displaced shape
+      this.frustumCulled = false;
+    }
+
     // Create material: CSM if shaders provided, plain MeshPhysicalMaterial otherwise
-    if (options.fragmentShader || options.vertexShader) {
+    if (options.fragmentShader || vertexShader) {
       // A 1x1 white texture assigned as `map` forces Three.js to enable the UV
       // pipeline (USE_UV, vUv varying). The white color has no visual effect.
       const uvEnableTexture = new THREE.DataTexture(
@@ -29,15 +63,21 @@ export class SurfaceMesh extends THREE.Mesh {
       );
       uvEnableTexture.needsUpdate = true;
 
+      /** The shaders as compiled, chunks included (bakeTexture draws with them). */
+      this.shaders = {
+        vertexShader: vertexShader && resolveIncludes(vertexShader),
+        fragmentShader: options.fragmentShader && resolveIncludes(options.fragmentShader),
+      };
+
       this.material = new CustomShaderMaterial({
         baseMaterial: THREE.MeshPhysicalMaterial,
-        vertexShader: options.vertexShader,
-        fragmentShader: options.fragmentShader,
+        ...this.shaders,
         uniforms: this.uniforms,
         side: THREE.DoubleSide,
         map: uvEnableTexture,
       });
     } else {
+      this.shaders = null;
       this.material = new THREE.MeshPhysicalMaterial({
         side: THREE.DoubleSide,
       });
@@ -54,19 +94,163 @@ export class SurfaceMesh extends THREE.Mesh {
     this.rebuild();
   }
 
-  /** Rebuild geometry from the surface. Call after changing the surface shape. */
+  /**
+   * Rebuild geometry from the surface. Call after changing the surface shape.
+   *
+   * While the segment counts and adaptive options are unchanged the
+   * existing buffers are refilled in place (updateGeometry), so this is
+   * cheap enough to call every frame of an animation. Set this.adaptive
+   * (or the segment counts) and call rebuild() to retessellate. The
+   * geometry is also rebuilt when the surface gains or loses a cone tip,
+   * cusp or pole, whose rows are meshed as triangle fans.
+   *
+   * With this.worker set the surface is tessellated in a Web Worker and
+   * the geometry swapped in when it is ready, a frame or two later. Calls
+   * made while the worker is busy are coalesced: only the latest shape is
+   * built next. Surfaces without toJSON() are still built here, and so is a
+   * shape the worker fails on.
+   *
+   * With this.gpu the mesh keeps its (u, v) grid and a surface of
+   * revolution is only resampled into the profile texture: the vertex
+   * shader computes the points and normals. The geometry's positions are
+   * brought up to date lazily, the next time the mesh is raycast (picking
+   * and geodesic tools). Any other surface, new segment counts, or a tip
+   * that comes or goes are built on the CPU as usual.
+   *
+   * @returns {Promise<boolean>} Resolves true once this shape is on screen
+   *          (at once unless it went to the worker), or false if a later
+   *          rebuild superseded it. A build here throws as it fails; one
+   *          that failed in the worker and then here rejects, which a
+   *          caller that drops the promise may ignore.
+   */
   rebuild() {
+    const options = {
+      uSegments: this.uSegments,
+      vSegments: this.vSegments,
+      adaptive: this.adaptive,
+    };
+    const request = ++this._requested;
+
+    if (this.gpu && this._canDisplace(options)) {
+      this._builtHere = request;
+      this._profileTexture.update(this.surface.profile);
+      this._positionsStale = true;
+      return Promise.resolve(true);
+    }
+
+    // The first build is always here, so the mesh has geometry from the start
+    const description = this.worker && this._builtFor ? this.surface.toJSON?.() : undefined;
+    if (description) {
+      const result = this._rebuildInWorker(description, options, request);
+      result.catch(() => {}); // handled, for callers that don't wait
+      return result;
+    }
+
+    this._builtHere = request;
+    this._rebuildNow(options);
+    return Promise.resolve(true);
+  }
+
+  _rebuildNow(options) {
+    const built = this._builtFor;
+    if (built?.uSegments === this.uSegments && built?.vSegments === this.vSegments && built?.adaptive === this.adaptive) {
+      // null when rows collapsed to a point have come or gone (a spindle
+      // opening into a barrel): then the triangles are rebuilt below
+      if (updateGeometry(this.geometry, this.surface, options)) {
+        this._afterBuild();
+        return;
+      }
+    }
+
     if (this.geometry) {
       this.geometry.dispose();
     }
-    this.geometry = buildGeometry(this.surface, {
-      uSegments: this.uSegments,
-      vSegments: this.vSegments,
-    });
+    this.geometry = buildGeometry(this.surface, options);
+    this._builtFor = options;
+    this._afterBuild();
+  }
+
+  /** Match the displacement to a geometry just built on the CPU. */
+  _afterBuild() {
+    if (!this.gpu) return;
+    const displace = isRevolution(this.surface);
+    this.uniforms.uDisplace.value = displace;
+    if (displace) this._profileTexture.update(this.surface.profile);
+    this._positionsStale = false;
+  }
+
+  /** Whether the current geometry can show the surface by displacement alone. */
+  _canDisplace(options) {
+    const built = this._builtFor;
+    if (!built || !isRevolution(this.surface) || !this.uniforms.uDisplace.value) return false;
+    if (built.uSegments !== options.uSegments || built.vSegments !== options.vSegments || built.adaptive !== options.adaptive) {
+      return false;
+    }
+
+    // The tips (meshed as fans) must be where they were
+    const { collapsed, vSegments } = this.geometry.userData.grid;
+    const { vMin, vMax } = this.surface.getDomain();
+    return onAxis(this.surface, vMin) === collapsed.includes(0) &&
+      onAxis(this.surface, vMax) === collapsed.includes(vSegments);
+  }
+
+  /** Bring displaced positions back to the CPU before picking. */
+  raycast(raycaster, intersects) {
+    if (this._positionsStale) {
+      this._positionsStale = false;
+      updateGeometry(this.geometry, this.surface, this._builtFor);
+    }
+    super.raycast(raycaster, intersects);
+  }
+
+  async _rebuildInWorker(description, options, request) {
+    this._geometryWorker ??= new GeometryWorker();
+
+    let data;
+    try {
+      data = await this._geometryWorker.build(description, options);
+    } catch {
+      // Build here instead, unless something newer has been; if that
+      // fails too, the returned promise rejects with its error
+      if (request !== this._requested) return false;
+      this._builtHere = request;
+      this._rebuildNow(options);
+      return true;
+    }
+    if (!data || request < this._builtHere) return false;
+
+    const built = this._builtFor;
+    const sameGrid = built?.uSegments === options.uSegments && built?.vSegments === options.vSegments && built?.adaptive === options.adaptive;
+    if (!sameGrid || !applyArrays(this.geometry, data)) {
+      this.geometry.dispose();
+      this.geometry = geometryFromArrays(data);
+      this._builtFor = options;
+    }
+    this._afterBuild();
+    return true;
   }
 
   dispose() {
+    this._geometryWorker?.dispose();
+    this._profileTexture?.dispose();
     if (this.geometry) this.geometry.dispose();
     if (this.material) this.material.dispose();
   }
 }
+
+// --- GPU displacement ---
+
+/** A SurfaceOfRevolution spun a full turn, which the revolution chunk draws. */
+function isRevolution(surface) {
+  if (!('profile' in surface)) return false;
+  const { uMin, uMax } = surface.getDomain();
+  return uMin === 0 && uMax === 2 * Math.PI;
+}
+
+const _p = new THREE.Vector3();
+
+/** Whether the row at v collapses onto the axis (the test buildGeometry makes). */
+function onAxis(surface, v) {
+  const p = surface.evaluate(0, v, _p);
+  return 2 * Math.hypot(p.x, p.z) <= 1e-9 * Math.max(1, p.length());
+}
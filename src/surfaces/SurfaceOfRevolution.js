@@ -0,0 +1,158 @@
+/**
+ * SurfaceOfRevolution
+ *
+ * Spins a profile curve (r(t), h(t)) around the vertical axis:
+ *
+ *   X(u, v) = ( r(v) cos u,  h(v),  -r(v) sin u ),   u ∈ [0, 2π]
+ *
+ * The profile is anything with the curve interface evaluate(t) → (r, h, 0)
+ * and getDomain() → { tMin, tMax }: a NumericalCurve or a closed-form profile
+ * such as ConstantCurvatureProfile. If the profile also provides
+ * derivative(t) and secondDerivative(t) those are used; otherwise the
+ * derivatives are taken by finite differences.
+ *
+ * Provides analytic normals for buildGeometry, plus the fundamental forms
+ * and curvatures at any (u, v).
+ *
+ * @example
+ *   const profile = new ConstantCurvatureProfile({ K: 1, a: 0.5 });
+ *   const mesh = new SurfaceMesh(new SurfaceOfRevolution(profile));
+ */
+
+import * as THREE from 'three';
+
+// Scratch vectors for profile evaluations, so sampling a whole mesh
+// (buildGeometry / updateGeometry) allocates nothing per vertex.
+const _p = new THREE.Vector3();
+const _p0 = new THREE.Vector3();
+const _p1 = new THREE.Vector3();
+const _p2 = new THREE.Vector3();
+const _d1 = new THREE.Vector3();
+const _d2 = new THREE.Vector3();
+
+export class SurfaceOfRevolution {
+
+  /**
+   * @param {Object} profile - Curve with evaluate(t) and getDomain()
+   */
+  constructor(profile) {
+    this.setProfile(profile);
+  }
+
+  /** Swap in a new profile. Call mesh.rebuild() afterwards. */
+  setProfile(profile) {
+    this.profile = profile;
+    this._analytic = 'derivative' in profile && 'secondDerivative' in profile;
+  }
+
+  /** Point X(u, v), written into target if given. */
+  evaluate(u, v, target = new THREE.Vector3()) {
+    const p = this.profile.evaluate(v, _p);
+    return target.set(
+      p.x * Math.cos(u),
+      p.y,
+      -p.x * Math.sin(u),
+    );
+  }
+
+  /**
+   * Plain-data description (see surfaceFromJSON), or undefined if the
+   * profile can't describe itself.
+   */
+  toJSON() {
+    const profile = this.profile.toJSON?.();
+    return profile && { type: 'SurfaceOfRevolution', profile };
+  }
+
+  getDomain() {
+    const { tMin, tMax } = this.profile.getDomain();
+    return { uMin: 0, uMax: 2 * Math.PI, vMin: tMin, vMax: tMax };
+  }
+
+  /**
+   * Unit normal along X_u × X_v. The common factor r is divided out, so the
+   * normal stays defined on the axis (spindle tips, pseudosphere cusp).
+   * Written into target if given.
+   */
+  computeNormal(u, v, target = new THREE.Vector3()) {
+    const { rt, ht } = this._jet(v);
+    return target.set(
+      ht * Math.cos(u),
+      -rt,
+      -ht * Math.sin(u),
+    ).normalize();
+  }
+
+  /** First fundamental form: E = r², F = 0, G = r_v² + h_v². */
+  firstFundamentalForm(u, v) {
+    const { r, rt, ht } = this._jet(v);
+    return { E: r * r, F: 0, G: rt * rt + ht * ht };
+  }
+
+  /** Second fundamental form with respect to computeNormal. */
+  secondFundamentalForm(u, v) {
+    const { r, rt, ht, rtt, htt } = this._jet(v);
+    const speed = Math.hypot(rt, ht);
+    return {
+      L: -r * ht / speed,
+      M: 0,
+      N: (rtt * ht - htt * rt) / speed,
+    };
+  }
+
+  /** Gaussian curvature K = (LN - M²) / (EG - F²). Undefined on the axis (r = 0). */
+  gaussianCurvature(u, v) {
+    const { E, G } = this.firstFundamentalForm(u, v);
+    const { L, N } = this.secondFundamentalForm(u, v);
+    return (L * N) / (E * G);
+  }
+
+  /** Mean curvature H = (EN + GL) / 2EG, with respect to computeNormal. */
+  meanCurvature(u, v) {
+    const { E, G } = this.firstFundamentalForm(u, v);
+    const { L, N } = this.secondFundamentalForm(u, v);
+    return (E * N + G * L) / (2 * E * G);
+  }
+
+  /**
+   * Christoffel symbols { u: [Γ^u_uu, Γ^u_uv, Γ^u_vv], v: [Γ^v_uu, Γ^v_uv, Γ^v_vv] }.
+   * Only Γ^u_uv = r_v / r, Γ^v_uu = -r r_v / G and Γ^v_vv = G_v / 2G are nonzero.
+   */
+  christoffel(u, v) {
+    const { r, rt, ht, rtt, htt } = this._jet(v);
+    const G = rt * rt + ht * ht;
+    return {
+      u: [0, rt / r, 0],
+      v: [-r * rt / G, 0, (rt * rtt + ht * htt) / G],
+    };
+  }
+
+  /** r, h and their first two v-derivatives at v. */
+  _jet(v) {
+    const profile = this.profile;
+    const p = profile.evaluate(v, _p);
+
+    if (this._analytic) {
+      const d1 = profile.derivative(v, _d1);
+      const d2 = profile.secondDerivative(v, _d2);
+      return { r: p.x, rt: d1.x, ht: d1.y, rtt: d2.x, htt: d2.y };
+    }
+
+    // Finite differences, shifted inward at the ends of the domain so the
+    // stencil never leaves it.
+    const { tMin, tMax } = profile.getDomain();
+    const dt = 1e-4 * (tMax - tMin);
+    const c = Math.min(Math.max(v, tMin + dt), tMax - dt);
+    const p0 = profile.evaluate(c - dt, _p0);
+    const p1 = profile.evaluate(c, _p1);
+    const p2 = profile.evaluate(c + dt, _p2);
+
+    return {
+      r: p.x,
+      rt: (p2.x - p0.x) / (2 * dt),
+      ht: (p2.y - p0.y) / (2 * dt),
+      rtt: (p2.x - 2 * p1.x + p0.x) / (dt * dt),
+      htt: (p2.y - 2 * p1.y + p0.y) / (dt * dt),
+    };
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * Adaptive grid spacing for buildGeometry.
+ *
+ * The mesh stays a rows × columns grid (same topology, same index buffer),
+ * but the parameter values of the rows, and optionally the columns, are
+ * placed where the surface needs them instead of evenly. Along each
+ * direction the surface is sampled on a fine pilot grid, and each pilot
+ * interval gets a weight that mixes
+ *
+ *   arc length ds            — even spacing on the surface itself
+ *   sqrt(ds · dθ)            — curvature: dθ is the turn of the normal
+ *
+ * The second term is what a chord of a curve with curvature κ = dθ/ds
+ * needs: its error is κ h² / 8, so spacing h ∝ 1/sqrt(κ) makes the error
+ * even. Grid lines are then placed at equal steps of the cumulative weight.
+ *
+ * The number of rows and columns comes from a triangle budget, or from a
+ * chord error tolerance (capped by the budget); screenTolerance turns a
+ * size in pixels into that tolerance.
+ *
+ * @example
+ *   const geometry = buildGeometry(surface, {
+ *     uSegments: 96, vSegments: 48,
+ *     adaptive: { tolerance: screenTolerance({ camera, distance: 5, height: innerHeight }) },
+ *   });
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Parameter values of the grid lines.
+ *
+ * @param {Object} surface - evaluate(u, v, target?), optionally computeNormal(u, v, target?)
+ * @param {Object} grid - { uMin, uMax, vMin, vMax, uSegments, vSegments } of the uniform grid
+ * @param {Object|true} [options] - true for the defaults
+ * @param {number}  [options.budget=2·uSegments·vSegments] - Most triangles to use
+ * @param {number}  [options.tolerance] - Chord error to aim for, in world units; uses as
+ *                  few triangles as meet it, up to the budget. Without it the whole budget is used.
+ * @param {boolean} [options.u=false] - Refine u as well as v (surfaces of revolution
+ *                  don't need it: every meridian is the same)
+ * @param {number}  [options.curvatureWeight=0.5] - Share of the grid lines placed by
+ *                  curvature rather than arc length, in [0, 1]
+ * @param {number}  [options.samples=256] - Pilot intervals along each direction
+ * @param {{uSegments: number, vSegments: number}} [counts] - Fixed counts, overriding
+ *                  budget and tolerance (to re-space an existing geometry)
+ * @returns {{ us: Float64Array, vs: Float64Array }}
+ */
+export function adaptiveGrid(surface, grid, options = {}, counts) {
+  const {
+    budget = 2 * grid.uSegments * grid.vSegments,
+    tolerance,
+    u: refineU = false,
+    curvatureWeight = 0.5,
+    samples = 256,
+  } = options === true ? {} : options;
+
+  const vPilot = pilot(surface, grid, 'v', samples);
+  const uPilot = refineU ? pilot(surface, grid, 'u', samples) : null;
+
+  let uSegments = grid.uSegments;
+  let vSegments = grid.vSegments;
+  if (counts) {
+    ({ uSegments, vSegments } = counts);
+  } else if (tolerance !== undefined) {
+    // Enough lines that the curvature-placed share alone meets the tolerance
+    const needed = p => Math.max(2, Math.ceil(chordContent(p, tolerance) / Math.max(curvatureWeight, 0.05)));
+    vSegments = needed(vPilot);
+    if (refineU) uSegments = needed(uPilot);
+    const scale = Math.sqrt(budget / (2 * uSegments * vSegments));
+    if (scale < 1) {
+      if (refineU) uSegments = Math.max(2, Math.floor(uSegments * scale));
+      vSegments = Math.max(2, Math.floor(budget / (2 * uSegments)));
+    }
+  } else if (refineU) {
+    // Keep the uniform grid's proportions
+    const scale = Math.sqrt(budget / (2 * uSegments * vSegments));
+    uSegments = Math.max(2, Math.round(uSegments * scale));
+    vSegments = Math.max(2, Math.floor(budget / (2 * uSegments)));
+  } else {
+    vSegments = Math.max(2, Math.floor(budget / (2 * uSegments)));
+  }
+
+  return {
+    us: refineU
+      ? place(uPilot, uSegments, curvatureWeight)
+      : evenly(grid.uMin, grid.uMax, uSegments),
+    vs: place(vPilot, vSegments, curvatureWeight),
+  };
+}
+
+/**
+ * Chord error tolerance for an error of `pixels` on screen, for a
+ * perspective camera looking at something `distance` away.
+ *
+ * @param {Object} options
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {number} options.distance - Distance from the camera to the surface
+ * @param {number} options.height - Viewport height in pixels
+ * @param {number} [options.pixels=0.5] - Acceptable error on screen
+ * @returns {number} Tolerance in world units
+ */
+export function screenTolerance({ camera, distance, height, pixels = 0.5 }) {
+  const worldPerPixel = (2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) / height;
+  return pixels * worldPerPixel;
+}
+
+/** Evenly spaced values from min to max, segments + 1 of them. */
+export function evenly(min, max, segments) {
+  const values = new Float64Array(segments + 1);
+  for (let i = 0; i <= segments; i++) values[i] = min + (max - min) * (i / segments);
+  return values;
+}
+
+// --- Pilot sampling ---
+
+// Lines across the direction being sampled: the worst of these is used,
+// so a feature anywhere along a row still refines it
+const CROSS_LINES = 8;
+
+const _x0 = new THREE.Vector3();
+const _x1 = new THREE.Vector3();
+const _n0 = new THREE.Vector3();
+const _n1 = new THREE.Vector3();
+
+/**
+ * Arc length and normal turn over each pilot interval along one direction,
+ * the maximum over a few lines across it.
+ */
+function pilot(surface, grid, direction, samples) {
+  const along = direction === 'v' ? [grid.vMin, grid.vMax] : [grid.uMin, grid.uMax];
+  const across = direction === 'v' ? [grid.uMin, grid.uMax] : [grid.vMin, grid.vMax];
+  const params = evenly(along[0], along[1], samples);
+  const ds = new Float64Array(samples);
+  const dTheta = new Float64Array(samples);
+
+  for (let k = 0; k < CROSS_LINES; k++) {
+    const c = across[0] + (across[1] - across[0]) * (k / (CROSS_LINES - 1));
+    const at = t => (direction === 'v' ? [c, t] : [t, c]);
+
+    // copy: surfaces may ignore the target and return a new vector
+    _x0.copy(surface.evaluate(...at(params[0]), _x0));
+    _n0.copy(normalAt(surface, ...at(params[0]), _n0));
+    for (let i = 0; i < samples; i++) {
+      _x1.copy(surface.evaluate(...at(params[i + 1]), _x1));
+      _n1.copy(normalAt(surface, ...at(params[i + 1]), _n1));
+
+      ds[i] = Math.max(ds[i], _x0.distanceTo(_x1));
+      const turn = Math.acos(THREE.MathUtils.clamp(_n0.dot(_n1), -1, 1));
+      if (Number.isFinite(turn)) dTheta[i] = Math.max(dTheta[i], turn);
+
+      _x0.copy(_x1);
+      _n0.copy(_n1);
+    }
+  }
+
+  return { params, ds, dTheta };
+}
+
+const _xu = new THREE.Vector3();
+const _xv = new THREE.Vector3();
+
+/** Unit normal: the surface's own, or from finite-difference partials. */
+function normalAt(surface, u, v, target) {
+  if ('computeNormal' in surface) return surface.computeNormal(u, v, target);
+  const h = 1e-5;
+  const x = target.copy(surface.evaluate(u, v, target));
+  _xu.copy(surface.evaluate(u + h, v, _xu)).sub(x);
+  _xv.copy(surface.evaluate(u, v + h, _xv)).sub(x);
+  return target.crossVectors(_xu, _xv).normalize();
+}
+
+/** Σ sqrt(ds · dθ / 8 tol): segments for chord error tol along a pilot. */
+function chordContent({ ds, dTheta }, tolerance) {
+  let total = 0;
+  for (let i = 0; i < ds.length; i++) total += Math.sqrt((ds[i] * dTheta[i]) / (8 * tolerance));
+  return total;
+}
+
+/**
+ * Grid line values at equal steps of the cumulative weight, interpolated
+ * linearly within pilot intervals. The ends are kept exactly.
+ */
+function place({ params, ds, dTheta }, segments, curvatureWeight) {
+  const n = ds.length;
+  const curvature = new Float64Array(n);
+  let arcTotal = 0;
+  let curvatureTotal = 0;
+  for (let i = 0; i < n; i++) {
+    curvature[i] = Math.sqrt(ds[i] * dTheta[i]);
+    arcTotal += ds[i];
+    curvatureTotal += curvature[i];
+  }
+
+  // Cumulative weight; falls back to even parameter spacing where a term vanishes
+  const c = curvatureTotal > 0 ? curvatureWeight : 0;
+  const cumulative = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) {
+    const arc = arcTotal > 0 ? ds[i] / arcTotal : 1 / n;
+    const weight = (1 - c) * arc + (c > 0 ? c * curvature[i] / curvatureTotal : 0);
+    cumulative[i + 1] = cumulative[i] + weight;
+  }
+
+  const values = new Float64Array(segments + 1);
+  values[0] = params[0];
+  values[segments] = params[n];
+  let i = 0;
+  for (let k = 1; k < segments; k++) {
+    const target = (k / segments) * cumulative[n];
+    while (i < n - 1 && cumulative[i + 1] < target) i++;
+    const span = cumulative[i + 1] - cumulative[i];
+    const t = span > 0 ? (target - cumulative[i]) / span : 0;
+    values[k] = params[i] + t * (params[i + 1] - params[i]);
+  }
+  return values;
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { adaptiveGrid, evenly } from './adaptiveGrid.js';
 
 /**
  * Build THREE.js BufferGeometry from a parametric surface
@@ -7,6 +8,22 @@ import * as THREE from 'three';
  * a triangulated mesh. Automatically uses analytical normals if the
  * surface provides them.
  *
+ * With `adaptive`, the grid keeps its rows × columns topology but the rows
+ * (and optionally the columns) are spaced by arc length and curvature
+ * instead of evenly, within a triangle budget (see adaptiveGrid.js). The
+ * uv attribute still holds the normalized (u, v) of each vertex, so
+ * shaders and picking see the same coordinates as on a uniform grid.
+ *
+ * Rows that collapse to a point (spindle tips, the pseudosphere cusp, the
+ * poles of a sphere) become triangle fans: one triangle per column instead
+ * of a quad with a degenerate half. The apex vertex is repeated per column,
+ * at the column's middle u, so each fan triangle carries its own uv (a
+ * texture wedge meets the apex along its center line instead of smearing
+ * across) and the surface normal in that direction (the cone's normal at
+ * a cone point). Without analytical normals, computed normals are welded
+ * across the apex copies and across the u seam, where the first and last
+ * columns coincide.
+ *
  * @param {Object} surface - The parametric surface (must have evaluate and getDomain methods)
  * @param {Object} [options]
  * @param {number} [options.uMin] - Minimum u parameter (overrides surface domain)
@@ -15,6 +32,9 @@ import * as THREE from 'three';
  * @param {number} [options.vMax] - Maximum v parameter (overrides surface domain)
  * @param {number} [options.uSegments=32] - Number of segments in u direction
  * @param {number} [options.vSegments=32] - Number of segments in v direction
+ * @param {Object|boolean} [options.adaptive] - Adaptive spacing: true, or options for
+ *        adaptiveGrid (budget, tolerance, u, curvatureWeight). The segment counts
+ *        then set the default budget, 2 · uSegments · vSegments triangles.
  * @returns {THREE.BufferGeometry}
  *
  * @example
@@ -23,81 +43,289 @@ import * as THREE from 'three';
  *     vSegments: 64
  *   });
  *   const mesh = new THREE.Mesh(geometry, material);
+ *
+ *   // Same number of triangles, concentrated where the profile bends
+ *   buildGeometry(surface, { uSegments: 96, vSegments: 48, adaptive: true });
  */
 export function buildGeometry(surface, options = {}) {
-  // Extract domain bounds with option overrides
-  const domain = surface.getDomain();
-  const uMin = options.uMin ?? domain.uMin;
-  const uMax = options.uMax ?? domain.uMax;
-  const vMin = options.vMin ?? domain.vMin;
-  const vMax = options.vMax ?? domain.vMax;
-  const uSegments = options.uSegments ?? 32;
-  const vSegments = options.vSegments ?? 32;
+  const grid = gridFor(surface, options);
+  const { uSegments, vSegments, vertexCount } = grid;
 
   // Check if surface has analytical normals
   const hasNormals = 'computeNormal' in surface;
 
   // Allocate arrays for vertex data
-  const positions = [];
-  const normals = [];
-  const uvs = [];
-
-  // Generate vertices on a regular grid
-  for (let i = 0; i <= vSegments; i++) {
-    const v = vMin + (vMax - vMin) * (i / vSegments);
-
-    for (let j = 0; j <= uSegments; j++) {
-      const u = uMin + (uMax - uMin) * (j / uSegments);
-
-      // Evaluate surface at (u, v)
-      const point = surface.evaluate(u, v);
-      positions.push(point.x, point.y, point.z);
-
-      // Compute normal if surface supports it
-      if (hasNormals) {
-        const normal = surface.computeNormal(u, v);
-        normals.push(normal.x, normal.y, normal.z);
-      }
+  const positions = new Float32Array(3 * vertexCount);
+  const normals = hasNormals ? new Float32Array(3 * vertexCount) : null;
+  const uvs = new Float32Array(2 * vertexCount);
 
-      // UV texture coordinates (normalized to [0,1])
-      uvs.push(j / uSegments, i / vSegments);
-    }
-  }
+  // Generate vertices on the grid, and UV texture coordinates (normalized to [0,1])
+  writeVertices(surface, grid, positions, normals);
+  writeUVs(grid, uvs);
 
   // Generate triangle indices from quad grid
   const indices = [];
 
   for (let i = 0; i < vSegments; i++) {
+    const below = grid.collapsed[i];
+    const above = grid.collapsed[i + 1];
+    if (below && above) continue; // the whole band is a point
+
     for (let j = 0; j < uSegments; j++) {
       // Vertices of current quad
-      const v0 = i * (uSegments + 1) + j;           // Bottom-left
-      const v1 = (i + 1) * (uSegments + 1) + j;     // Top-left
-      const v2 = i * (uSegments + 1) + (j + 1);     // Bottom-right
-      const v3 = (i + 1) * (uSegments + 1) + (j + 1); // Top-right
+      const v0 = vertexIndex(grid, i, j);           // Bottom-left
+      const v1 = vertexIndex(grid, i + 1, j);       // Top-left
+      const v2 = vertexIndex(grid, i, j + 1);       // Bottom-right
+      const v3 = vertexIndex(grid, i + 1, j + 1);   // Top-right
 
-      // Two triangles per quad
+      // Two triangles per quad, one per fan column: in a collapsed row the
+      // left corner stands for the column's apex copy
       // Winding consistent with normal = du × dv (outward)
-      indices.push(v0, v2, v1);
-      indices.push(v1, v2, v3);
+      if (!above) indices.push(v1, below ? v0 : v2, v3);
+      if (!below) indices.push(v0, v2, v1);
     }
   }
 
   // Create BufferGeometry
   const geometry = new THREE.BufferGeometry();
+  geometry.userData.grid = { uSegments, vSegments, collapsed: collapsedRows(grid) };
 
   // Set attributes
   geometry.setIndex(indices);
-  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
 
   // Handle normals
-  if (normals.length > 0) {
+  if (normals) {
     // Use analytical normals from surface
-    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
   } else {
     // Fall back to computed vertex normals
     geometry.computeVertexNormals();
+    weldNormals(geometry, grid);
   }
 
   return geometry;
 }
+
+/**
+ * Re-sample the surface into a geometry made by buildGeometry, in place.
+ *
+ * Positions and normals are overwritten in their existing buffers, so
+ * nothing is reallocated on the CPU or the GPU: cheap enough to run every
+ * frame while the surface changes shape. The grid (segments, and so the
+ * index and uv attributes) must be the same as when the geometry was built.
+ * An adaptive grid is re-spaced for the new shape with the same segment
+ * counts, and its uv attribute rewritten to match.
+ *
+ * If the surface now collapses different rows (a spindle opening into a
+ * barrel loses its tips) the triangles no longer fit: the geometry is left
+ * alone and null returned, and a new one must be built.
+ *
+ * @param {THREE.BufferGeometry} geometry - From buildGeometry
+ * @param {Object} surface - The parametric surface
+ * @param {Object} [options] - As for buildGeometry
+ * @returns {THREE.BufferGeometry|null} The same geometry, or null if its rows no longer fit
+ */
+export function updateGeometry(geometry, surface, options = {}) {
+  const built = geometry.userData.grid;
+  const grid = gridFor(surface, options, built);
+  if (grid.uSegments !== built.uSegments || grid.vSegments !== built.vSegments) {
+    throw new Error('updateGeometry: grid size differs from the geometry');
+  }
+  if (collapsedRows(grid).join() !== built.collapsed.join()) {
+    return null;
+  }
+
+  const position = geometry.getAttribute('position');
+  const hasNormals = 'computeNormal' in surface;
+  const normal = geometry.getAttribute('normal');
+  writeVertices(surface, grid, position.array, hasNormals ? normal.array : null);
+
+  position.needsUpdate = true;
+  if (options.adaptive) {
+    const uv = geometry.getAttribute('uv');
+    writeUVs(grid, uv.array);
+    uv.needsUpdate = true;
+  }
+  if (hasNormals) {
+    normal.needsUpdate = true;
+  } else {
+    geometry.computeVertexNormals();
+    weldNormals(geometry, grid);
+  }
+
+  // Keep raycasting and frustum culling in step with the new shape
+  geometry.computeBoundingSphere();
+  geometry.boundingBox = null;
+
+  return geometry;
+}
+
+// --- Shared sampling ---
+
+/**
+ * Domain bounds with option overrides, segment counts, the parameter
+ * values of the grid lines (us, vs), the column midpoints where apex
+ * copies sit (mids), and which rows collapse to a point. An adaptive grid
+ * keeps `counts` if given, so an existing geometry can be re-spaced in place.
+ */
+function gridFor(surface, options, counts) {
+  const domain = surface.getDomain();
+  const grid = {
+    uMin: options.uMin ?? domain.uMin,
+    uMax: options.uMax ?? domain.uMax,
+    vMin: options.vMin ?? domain.vMin,
+    vMax: options.vMax ?? domain.vMax,
+    uSegments: options.uSegments ?? 32,
+    vSegments: options.vSegments ?? 32,
+  };
+
+  if (options.adaptive) {
+    const { us, vs } = adaptiveGrid(surface, grid, options.adaptive, counts);
+    grid.us = us;
+    grid.vs = vs;
+    grid.uSegments = us.length - 1;
+    grid.vSegments = vs.length - 1;
+  } else {
+    grid.us = evenly(grid.uMin, grid.uMax, grid.uSegments);
+    grid.vs = evenly(grid.vMin, grid.vMax, grid.vSegments);
+  }
+
+  grid.mids = new Float64Array(grid.uSegments);
+  for (let j = 0; j < grid.uSegments; j++) grid.mids[j] = (grid.us[j] + grid.us[j + 1]) / 2;
+
+  markCollapsedRows(surface, grid);
+  return grid;
+}
+
+// A row collapses if these columns (as fractions of the row) all land
+// within COLLAPSE_TOLERANCE (relative to the point's size) of each other
+const COLLAPSE_PROBES = [0, 0.25, 0.5, 0.75];
+const COLLAPSE_TOLERANCE = 1e-9;
+
+const _first = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+
+/**
+ * Flag the rows that collapse to a point, and lay out the vertex buffer:
+ * a full row has uSegments + 1 vertices, a collapsed row one apex copy per
+ * column.
+ */
+function markCollapsedRows(surface, grid) {
+  const { us, vs, uSegments } = grid;
+  grid.collapsed = new Array(vs.length);
+  grid.rowStart = new Uint32Array(vs.length + 1);
+
+  for (let i = 0; i < vs.length; i++) {
+    _first.copy(surface.evaluate(us[0], vs[i], _point));
+    const tolerance = COLLAPSE_TOLERANCE * Math.max(1, _first.length());
+    grid.collapsed[i] = COLLAPSE_PROBES.every(f => {
+      const point = surface.evaluate(us[Math.round(f * uSegments)], vs[i], _point);
+      return point.distanceTo(_first) <= tolerance;
+    });
+    grid.rowStart[i + 1] = grid.rowStart[i] + (grid.collapsed[i] ? uSegments : uSegments + 1);
+  }
+
+  grid.vertexCount = grid.rowStart[vs.length];
+}
+
+/** Indices of the collapsed rows. */
+function collapsedRows(grid) {
+  const rows = [];
+  grid.collapsed.forEach((collapsed, i) => collapsed && rows.push(i));
+  return rows;
+}
+
+/** Vertex index of grid point (row i, column j); in a collapsed row, the apex copy of column j. */
+function vertexIndex(grid, i, j) {
+  return grid.rowStart[i] + (grid.collapsed[i] ? j % grid.uSegments : j);
+}
+
+/**
+ * Evaluate the grid into flat position (and normal) arrays. Surfaces whose
+ * evaluate / computeNormal accept a target vector write into scratch
+ * vectors instead of allocating one per vertex.
+ */
+function writeVertices(surface, grid, positions, normals) {
+  const { us, vs, mids } = grid;
+
+  let k = 0;
+  for (let i = 0; i < vs.length; i++) {
+    const v = vs[i];
+    const columns = grid.collapsed[i] ? mids : us;
+
+    for (let j = 0; j < columns.length; j++) {
+      const u = columns[j];
+
+      // Evaluate surface at (u, v)
+      const point = surface.evaluate(u, v, _point);
+      positions[k] = point.x;
+      positions[k + 1] = point.y;
+      positions[k + 2] = point.z;
+
+      // Compute normal if surface supports it
+      if (normals) {
+        const normal = surface.computeNormal(u, v, _normal);
+        normals[k] = normal.x;
+        normals[k + 1] = normal.y;
+        normals[k + 2] = normal.z;
+      }
+
+      k += 3;
+    }
+  }
+}
+
+/** Normalized (u, v) of every grid vertex, into a flat uv array. */
+function writeUVs(grid, uvs) {
+  const { uMin, uMax, vMin, vMax, us, vs, mids } = grid;
+
+  let k = 0;
+  for (let i = 0; i < vs.length; i++) {
+    const columns = grid.collapsed[i] ? mids : us;
+    for (let j = 0; j < columns.length; j++) {
+      uvs[k++] = (columns[j] - uMin) / (uMax - uMin);
+      uvs[k++] = (vs[i] - vMin) / (vMax - vMin);
+    }
+  }
+}
+
+/**
+ * Average computed normals over vertices that are one point of the
+ * surface: the apex copies of a collapsed row, and the first and last
+ * vertex of a full row when the u seam closes up.
+ */
+function weldNormals(geometry, grid) {
+  const position = geometry.getAttribute('position');
+  const normal = geometry.getAttribute('normal');
+  const sum = new THREE.Vector3();
+  const n = new THREE.Vector3();
+
+  const weld = vertices => {
+    sum.set(0, 0, 0);
+    for (const k of vertices) sum.add(n.fromBufferAttribute(normal, k));
+    if (sum.lengthSq() === 0) return;
+    sum.normalize();
+    for (const k of vertices) normal.setXYZ(k, sum.x, sum.y, sum.z);
+  };
+
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  for (let i = 0; i < grid.vs.length; i++) {
+    const start = grid.rowStart[i];
+    const end = grid.rowStart[i + 1];
+    if (grid.collapsed[i]) {
+      weld(Array.from({ length: end - start }, (_, j) => start + j));
+      continue;
+    }
+    a.fromBufferAttribute(position, start);
+    b.fromBufferAttribute(position, end - 1);
+    if (a.distanceTo(b) <= COLLAPSE_TOLERANCE * Math.max(1, a.length())) {
+      weld([start, end - 1]);
+    }
+  }
+
+  normal.needsUpdate = true;
+}
@@ -0,0 +1,41 @@
+/**
+ * Web Worker that tessellates surfaces off the main thread.
+ *
+ * Receives { id, surface, options }, where surface is a surface's toJSON()
+ * and options are buildGeometry's. Replies with the geometry's typed
+ * arrays, transferred rather than copied:
+ *
+ *   { id, position, normal, uv, index, grid, boundingSphere }
+ *
+ * or { id, error } if the surface can't be built. Started by GeometryWorker.
+ */
+
+import { buildGeometry } from './buildGeometry.js';
+import { surfaceFromJSON } from './surfaceFromJSON.js';
+
+self.onmessage = ({ data: { id, surface, options } }) => {
+  let geometry;
+  try {
+    geometry = buildGeometry(surfaceFromJSON(surface), options);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+    return;
+  }
+
+  const position = geometry.getAttribute('position').array;
+  const normal = geometry.getAttribute('normal').array;
+  const uv = geometry.getAttribute('uv').array;
+  const index = geometry.index.array;
+
+  geometry.computeBoundingSphere();
+  const { center, radius } = geometry.boundingSphere;
+
+  self.postMessage(
+    {
+      id, position, normal, uv, index,
+      grid: geometry.userData.grid,
+      boundingSphere: { center: center.toArray(), radius },
+    },
+    [position.buffer, normal.buffer, uv.buffer, index.buffer],
+  );
+};
@@ -0,0 +1,54 @@
+/**
+ * Rebuild surfaces and profile curves from the plain data their toJSON()
+ * returns.
+ *
+ * A surface can't be posted to a Web Worker (it has methods, and its
+ * profile has quadrature tables), but its description can, and is small:
+ * the worker rebuilds the same surface from it (see geometry.worker.js).
+ *
+ * @example
+ *   const json = surface.toJSON();      // { type: 'SurfaceOfRevolution', profile: { type: ..., a: 0.5, ... } }
+ *   const copy = surfaceFromJSON(json);
+ */
+
+import * as THREE from 'three';
+import { SurfaceOfRevolution } from './SurfaceOfRevolution.js';
+import { SpindlePeel } from './SpindlePeel.js';
+import { ConstantCurvatureProfile } from '../curves/ConstantCurvatureProfile.js';
+import { NumericalCurve } from '../curves/NumericalCurve.js';
+
+/**
+ * @param {Object} json - From surface.toJSON()
+ * @returns {Object} A surface with evaluate, getDomain and (usually) computeNormal
+ */
+export function surfaceFromJSON(json) {
+  switch (json.type) {
+    case 'SurfaceOfRevolution':
+      return new SurfaceOfRevolution(curveFromJSON(json.profile));
+    case 'SpindlePeel':
+      return new SpindlePeel(json.a, json.peel);
+    default:
+      throw new Error(`surfaceFromJSON: unknown surface type '${json.type}'`);
+  }
+}
+
+/**
+ * @param {Object} json - From curve.toJSON()
+ * @returns {Object} A profile curve for SurfaceOfRevolution
+ */
+export function curveFromJSON(json) {
+  switch (json.type) {
+    case 'ConstantCurvatureProfile':
+      return new ConstantCurvatureProfile(json);
+    // NumericalCurve inherits CatmullRomCurve3's toJSON
+    case 'CatmullRomCurve3':
+      return new NumericalCurve({
+        points: json.points.map(p => new THREE.Vector3().fromArray(p)),
+        closed: json.closed,
+        curveType: json.curveType,
+        tension: json.tension,
+      });
+    default:
+      throw new Error(`curveFromJSON: unknown curve type '${json.type}'`);
+  }
+}
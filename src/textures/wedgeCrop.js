@@ -0,0 +1,113 @@
+/**
+ * Crop an equirectangular map to the wedge a spindle carries.
+ *
+ * The K = +1 spindle with parameter a ≤ 1 is a lune of angle 2πa, so a
+ * texture made for it is a strip of 360a degrees of longitude and the full
+ * 180 degrees of latitude, drawn once around with equirectUV(uv, 1.0).
+ * wedgeCrop works out which columns of the source map to take, for a
+ * requested a or a longitude range, and snaps them to whole pixels: the a
+ * it returns is exactly columns / width, so the strip closes up on the
+ * spindle with no gap or stretch.
+ *
+ * Pure arithmetic, no DOM or Three.js: shared by the runtime canvas path
+ * (wedgeTexture.js) and the offline script (scripts/wedge-texture.js).
+ *
+ * @example
+ *   const crop = wedgeCrop({ width: 2048, height: 1024, range: 'americas' });
+ *   crop.a;          // 0.388671875 (= 796 / 2048)
+ *   crop.segments;   // [{ x: 57, width: 796, offset: 0 }]
+ */
+
+/** Named longitude ranges, [west, east] in degrees east of Greenwich. */
+export const LONGITUDE_RANGES = {
+  'world':              [-180, 180],
+  'eastern hemisphere': [-20, 160],
+  'western hemisphere': [160, 340],
+  'americas':           [-170, -30],
+  'pacific':            [120, 290],
+  'atlantic':           [-80, 20],
+  'africa and europe':  [-25, 60],
+  'asia':               [25, 180],
+};
+
+/**
+ * @param {Object} options
+ * @param {number} options.width  - Source width in pixels (360° of longitude)
+ * @param {number} options.height - Source height in pixels (180° of latitude)
+ * @param {number} [options.a] - Wedge parameter, 0 < a ≤ 1 (the strip spans 360a°)
+ * @param {number} [options.center=0] - Central longitude in degrees, with a
+ * @param {string|number[]} [options.range] - A LONGITUDE_RANGES name, or [west, east]
+ *        in degrees (east < west wraps across the antimeridian); instead of a
+ * @param {boolean} [options.snap=true] - Round to whole source columns
+ * @param {number} [options.maxSize=4096] - Largest output side; larger strips are scaled down
+ * @param {number[]} [options.size] - Output [width, height], overriding maxSize
+ * @returns {{ a: number, west: number, east: number, columns: number,
+ *             segments: {x: number, width: number, offset: number}[],
+ *             outWidth: number, outHeight: number }}
+ *          a and [west, east] as snapped; segments are runs of source columns
+ *          (x, width) placed at offset columns into the strip, two when it
+ *          crosses the map's edge
+ */
+export function wedgeCrop({ width, height, a, center = 0, range, snap = true, maxSize = 4096, size }) {
+  let west;
+  let span;
+  if (range !== undefined) {
+    [west, span] = rangeSpan(range);
+  } else {
+    if (!(a > 0 && a <= 1)) {
+      throw new Error(`wedgeCrop: a must be in (0, 1], got ${a} (a barrel wraps the whole map)`);
+    }
+    span = 360 * a;
+    west = center - span / 2;
+  }
+
+  // Source columns, measured from the map's west edge at -180°
+  let columns = (span / 360) * width;
+  let x0 = ((west + 180) / 360) * width;
+  if (snap) {
+    columns = Math.max(1, Math.round(columns));
+    x0 = Math.round(x0);
+  }
+  x0 = ((x0 % width) + width) % width;
+
+  // Runs of columns, wrapping at the map's east edge
+  const segments = [];
+  for (let offset = 0; offset < columns;) {
+    const x = (x0 + offset) % width;
+    const run = Math.min(columns - offset, width - x);
+    segments.push({ x, width: run, offset });
+    offset += run;
+  }
+
+  const scale = Math.min(1, maxSize / Math.max(columns, height));
+  const [outWidth, outHeight] = size ?? [
+    Math.max(1, Math.round(columns * scale)),
+    Math.max(1, Math.round(height * scale)),
+  ];
+
+  const westSnapped = (x0 / width) * 360 - 180;
+  return {
+    a: columns / width,
+    west: westSnapped,
+    east: westSnapped + (columns / width) * 360,
+    columns,
+    segments,
+    outWidth,
+    outHeight,
+  };
+}
+
+/** [west, span] in degrees for a range name or a [west, east] pair. */
+function rangeSpan(range) {
+  const bounds = typeof range === 'string' ? LONGITUDE_RANGES[range.toLowerCase()] : range;
+  if (!bounds) {
+    throw new Error(`wedgeCrop: unknown range '${range}' (known: ${Object.keys(LONGITUDE_RANGES).join(', ')})`);
+  }
+  const [west, east] = bounds;
+  let span = east - west;
+  if (span <= 0) span += 360;
+  if (!(span > 0 && span <= 360)) {
+    throw new Error(`wedgeCrop: range [${west}, ${east}] must span between 0° and 360°`);
+  }
+  return [west, span];
+}
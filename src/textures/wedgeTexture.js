@@ -0,0 +1,75 @@
+/**
+ * Wedge-ready textures at runtime, cropped from a full equirectangular map
+ * in a canvas (see wedgeCrop.js for the arithmetic).
+ *
+ * Several maps of the same world (day and night, say) can be cropped
+ * together: the first one fixes the exact a and longitude range, and the
+ * others are resampled to the same range and size, so they line up on the
+ * surface whatever their resolutions.
+ *
+ * @example
+ *   const images = await Promise.all([dayUrl, nightUrl].map(url => new THREE.ImageLoader().loadAsync(url)));
+ *   const { textures: [day, night], a } = wedgeTextures(images, { range: 'americas' });
+ *   surface.setProfile(new ConstantCurvatureProfile({ K: 1, family: 'sin', a }));
+ *   mesh.rebuild();
+ */
+
+import * as THREE from 'three';
+import { wedgeCrop } from './wedgeCrop.js';
+
+/**
+ * Crop one image into a new canvas.
+ *
+ * @param {HTMLImageElement|ImageBitmap|HTMLCanvasElement} image - Equirectangular, 360° × 180°
+ * @param {Object} options - As for wedgeCrop (width and height come from the image)
+ * @returns {{ canvas: HTMLCanvasElement, crop: Object }} crop as returned by wedgeCrop
+ */
+export function cropEquirect(image, options) {
+  const crop = wedgeCrop({ ...options, width: image.width, height: image.height });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = crop.outWidth;
+  canvas.height = crop.outHeight;
+
+  const ctx = canvas.getContext('2d');
+  const scale = crop.outWidth / crop.columns;
+  for (const { x, width, offset } of crop.segments) {
+    ctx.drawImage(
+      image,
+      x, 0, width, image.height,
+      offset * scale, 0, width * scale, crop.outHeight,
+    );
+  }
+
+  return { canvas, crop };
+}
+
+/**
+ * Crop several maps of the same world to one wedge, as textures.
+ *
+ * @param {Array<HTMLImageElement|ImageBitmap|HTMLCanvasElement>} images
+ * @param {Object} options - As for wedgeCrop, applied to the first image
+ * @returns {{ textures: THREE.CanvasTexture[], a: number, crop: Object }}
+ *          a is exact for the first image's pixels
+ */
+export function wedgeTextures(images, options) {
+  const first = cropEquirect(images[0], options);
+  const { crop } = first;
+
+  const canvases = [first.canvas];
+  for (const image of images.slice(1)) {
+    canvases.push(cropEquirect(image, {
+      range: [crop.west, crop.east],
+      snap: false,
+      size: [crop.outWidth, crop.outHeight],
+    }).canvas);
+  }
+
+  const textures = canvases.map(canvas => {
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+  });
+
+  return { textures, a: crop.a, crop };
+}
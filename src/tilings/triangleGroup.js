@@ -0,0 +1,302 @@
+/**
+ * Reflection groups for tiling shaders.
+ *
+ * The (p, q, r) triangle group is generated by reflections in the sides of
+ * a triangle with angles π/p, π/q, π/r. It tiles the sphere when
+ * 1/p + 1/q + 1/r > 1 and the hyperbolic plane when the sum is < 1.
+ *
+ * Each mirror is a plane through the origin, ⟨x, n⟩ = 0, with unit normal n
+ * pointing into the triangle: in R³ for the sphere, in Minkowski space
+ * (⟨x, y⟩ = x₁y₁ + x₂y₂ - x₃y₃, hyperboloid model) for H². The normals are
+ * fixed by their Gram matrix, ⟨nᵢ, nⱼ⟩ = -cos(angle between mirrors i, j).
+ *
+ * For H² the mirrors are also given in the upper half-plane, where the
+ * K = -1 shaders work (uv → Fermi → UHP): each is a geodesic with real
+ * endpoints p, q (one of them Infinity for a vertical line) and a side,
+ * +1 or -1, such that the tile is where (|z - c|² - R²)·side > 0 (or
+ * (x - p)·side > 0 for a line). The first mirror is always the imaginary
+ * axis, the Fermi strip's central geodesic.
+ *
+ * On the K = +1 surfaces of revolution a spherical pattern is seamless
+ * only if the rotation by 2πa that closes the surface up is one of its
+ * symmetries: alignToAxis puts a vertex of order m on the axis, and
+ * isSeamless checks that m·a is an integer. dihedralGroup adds the *nn
+ * patterns (two mirrors through the axis).
+ *
+ * @example
+ *   const group = triangleGroup(2, 3, 7);
+ *   group.curvature;   // -1
+ *   group.mirrors;     // [{ p, q, side }, ...] in the upper half-plane
+ *
+ *   const uniforms = { uA: { value: a }, ...createMirrorUniforms() };
+ *   setMirrorUniforms(uniforms, group);
+ */
+
+import * as THREE from 'three';
+import { hyperboloidToDisk, diskToUHP } from '../shaders/maps.js';
+
+/** Size of the uMirrors uniform array; matches MAX_MIRRORS in the shaders. */
+export const MAX_MIRRORS = 12;
+
+/** Stand-in for an endpoint at infinity in the shaders (they test |p| > 1e9). */
+const SHADER_INFINITY = 1e10;
+
+/**
+ * The (p, q, r) triangle group: angles π/p between mirrors 0 and 1,
+ * π/q between 1 and 2, π/r between 2 and 0.
+ *
+ * @param {number} p - Integer ≥ 2
+ * @param {number} q - Integer ≥ 2
+ * @param {number} r - Integer ≥ 2
+ * @returns {{
+ *   curvature: number, normals: number[][], mirrors: Object[]|null,
+ *   orders: number[], angles: number[], area: number
+ * }} curvature is +1 (sphere) or -1 (H²); mirrors is null on the sphere;
+ *    orders[i] belongs to the vertex between mirrors i and i + 1;
+ *    area is that of one triangle
+ */
+export function triangleGroup(p, q, r) {
+  for (const n of [p, q, r]) {
+    if (!(Number.isInteger(n) && n >= 2)) {
+      throw new Error(`triangleGroup: orders must be integers ≥ 2, got (${p}, ${q}, ${r})`);
+    }
+  }
+  const angles = [Math.PI / p, Math.PI / q, Math.PI / r];
+  const excess = angles[0] + angles[1] + angles[2] - Math.PI;
+  if (Math.abs(excess) < 1e-12) {
+    throw new Error(`triangleGroup: (${p}, ${q}, ${r}) is Euclidean`);
+  }
+  const curvature = Math.sign(excess);
+
+  // n₀ = e₂ and n₁ in the (e₁, e₂) plane, so mirrors 0 and 1 pass through
+  // the center of the model (the point i in the upper half-plane).
+  const [alpha, beta, gamma] = angles;
+  const x = -(Math.cos(beta) + Math.cos(alpha) * Math.cos(gamma)) / Math.sin(alpha);
+  const y = -Math.cos(gamma);
+  const z2 = curvature * (1 - x * x - y * y);
+  let normals = [
+    [0, 1, 0],
+    [Math.sin(alpha), -Math.cos(alpha), 0],
+    [x, y, Math.sqrt(Math.max(0, z2))],
+  ];
+  // Check: ⟨n₁, n₂⟩ = sin α·x - cos α·y = -cos β, ⟨n₀, n₂⟩ = y = -cos γ.
+
+  // A point inside the triangle: ⟨c, nᵢ⟩ = 1 for every mirror
+  let center = solve3(normals.map(n => [n[0], n[1], curvature * n[2]]), [1, 1, 1]);
+  if (curvature < 0 && center[2] < 0) {
+    // The cone of the triangle lies in the past sheet: flip everything
+    normals = normals.map(n => n.map(c => -c));
+    center = center.map(c => -c);
+  }
+
+  return {
+    curvature,
+    normals,
+    mirrors: curvature < 0 ? toUpperHalfPlane(normals, center) : null,
+    orders: [p, q, r],
+    angles,
+    area: Math.abs(excess),
+  };
+}
+
+/**
+ * The regular right-angled n-gon in H² (n ≥ 5) and its reflection group,
+ * centered at the point i of the upper half-plane.
+ *
+ * @param {number} n - Number of sides, integer ≥ 5
+ * @returns {{ curvature: number, normals: number[][], mirrors: Object[],
+ *             orders: number[], angles: number[], area: number }}
+ */
+export function rightAngledPolygon(n) {
+  if (!(Number.isInteger(n) && n >= 5)) {
+    throw new Error(`rightAngledPolygon: need an integer n ≥ 5, got ${n}`);
+  }
+  // Side i lies at distance d from the center, facing direction θᵢ:
+  // n = -(cos θ cosh d, sin θ cosh d, sinh d). Adjacent sides are
+  // perpendicular when ⟨nᵢ, nᵢ₊₁⟩ = cosh²d cos(2π/n) - sinh²d = 0.
+  const coshD = Math.sqrt(1 / (1 - Math.cos(2 * Math.PI / n)));
+  const sinhD = Math.sqrt(coshD * coshD - 1);
+  const normals = [];
+  for (let i = 0; i < n; i++) {
+    const theta = Math.PI / 2 + (2 * Math.PI * (i + 0.5)) / n;
+    normals.push([-Math.cos(theta) * coshD, -Math.sin(theta) * coshD, -sinhD]);
+  }
+
+  return {
+    curvature: -1,
+    normals,
+    mirrors: toUpperHalfPlane(normals, [0, 0, 1]),
+    orders: new Array(n).fill(2),
+    angles: new Array(n).fill(Math.PI / 2),
+    area: (n - 4) * Math.PI / 2,
+  };
+}
+
+// --- Spherical patterns on surfaces of revolution ---
+
+/**
+ * The dihedral reflection group *nn: two mirrors through the y-axis at
+ * angle π/n, cutting the sphere into 2n lunes.
+ *
+ * @param {number} n - Integer ≥ 1
+ * @returns {{ curvature: number, normals: number[][], mirrors: null,
+ *             orders: number[], angles: number[], area: number, axisOrder: number }}
+ */
+export function dihedralGroup(n) {
+  if (!(Number.isInteger(n) && n >= 1)) {
+    throw new Error(`dihedralGroup: need an integer n ≥ 1, got ${n}`);
+  }
+  const angle = Math.PI / n;
+  return {
+    curvature: 1,
+    normals: [
+      [0, 0, 1],
+      [Math.sin(angle), 0, -Math.cos(angle)],
+    ],
+    mirrors: null,
+    orders: [n],
+    angles: [angle],
+    area: 2 * angle,
+    axisOrder: n,
+  };
+}
+
+/**
+ * Rotate a spherical group so one vertex of its triangle lies on the
+ * y-axis, the axis of the K = +1 surfaces of revolution. The pattern is
+ * then symmetric under rotations by 2π/m about the axis, m the vertex's
+ * order (axisOrder in the result).
+ *
+ * @param {Object} group - Spherical, from triangleGroup
+ * @param {number} vertex - 0, 1 or 2: the vertex between mirrors vertex and vertex + 1
+ * @returns {Object} A copy of the group with rotated normals and axisOrder
+ */
+export function alignToAxis(group, vertex) {
+  if (group.curvature < 0) {
+    throw new Error('alignToAxis: only for spherical groups');
+  }
+  const n = group.normals.length;
+  const a = new THREE.Vector3().fromArray(group.normals[vertex]);
+  const b = new THREE.Vector3().fromArray(group.normals[(vertex + 1) % n]);
+  const third = new THREE.Vector3().fromArray(group.normals[(vertex + 2) % n]);
+
+  // The vertex is where the two mirrors meet, on the triangle's side of the third
+  const corner = new THREE.Vector3().crossVectors(a, b).normalize();
+  if (corner.dot(third) < 0) corner.negate();
+
+  const rotation = new THREE.Quaternion().setFromUnitVectors(corner, new THREE.Vector3(0, 1, 0));
+  return {
+    ...group,
+    normals: group.normals.map(normal => new THREE.Vector3().fromArray(normal).applyQuaternion(rotation).toArray()),
+    axisOrder: group.orders[vertex],
+  };
+}
+
+/**
+ * Whether a pattern with an m-fold axis (axisOrder) closes up without a
+ * seam on the surface of opening angle 2πa: the gluing rotation by 2πa
+ * must be a symmetry, i.e. m·a must be an integer.
+ *
+ * @param {number} axisOrder - m
+ * @param {number} a - Opening angle / 2π
+ * @param {number} [tolerance=1e-6]
+ * @returns {boolean}
+ */
+export function isSeamless(axisOrder, a, tolerance = 1e-6) {
+  const turns = axisOrder * a;
+  return Math.abs(turns - Math.round(turns)) < tolerance;
+}
+
+// --- Shader uniforms ---
+
+/**
+ * Uniforms for the tiling shaders: uMirrors (vec3[MAX_MIRRORS]) and
+ * uMirrorCount (int). Fill them with setMirrorUniforms.
+ */
+export function createMirrorUniforms() {
+  return {
+    uMirrors: { value: Array.from({ length: MAX_MIRRORS }, () => new THREE.Vector3()) },
+    uMirrorCount: { value: 0 },
+  };
+}
+
+/**
+ * Write a group into the uniforms, in place. On the sphere each entry is a
+ * unit normal; in H² it is (p, q, side) in the upper half-plane.
+ *
+ * @param {Object} uniforms - Holding uMirrors and uMirrorCount (createMirrorUniforms)
+ * @param {Object} group - From triangleGroup or rightAngledPolygon
+ */
+export function setMirrorUniforms(uniforms, group) {
+  const count = group.normals.length;
+  if (count > MAX_MIRRORS) {
+    throw new Error(`setMirrorUniforms: at most ${MAX_MIRRORS} mirrors, got ${count}`);
+  }
+  const slots = uniforms.uMirrors.value;
+  for (let i = 0; i < count; i++) {
+    if (group.curvature > 0) {
+      slots[i].fromArray(group.normals[i]);
+    } else {
+      const { p, q, side } = group.mirrors[i];
+      slots[i].set(finite(p), finite(q), side);
+    }
+  }
+  uniforms.uMirrorCount.value = count;
+}
+
+// --- Hyperboloid → upper half-plane ---
+
+/**
+ * Each mirror ⟨x, n⟩ = 0 as a geodesic in the upper half-plane, with the
+ * side that contains the hyperboloid point `inside`.
+ *
+ * The ideal endpoints are the null directions (cos φ, sin φ, 1) with
+ * n₁ cos φ + n₂ sin φ = n₃. In the Poincaré disk they are e^{iφ}, and the
+ * Cayley map z = i(1 + w)/(1 - w) sends e^{iφ} to -cot(φ/2).
+ */
+function toUpperHalfPlane(normals, inside) {
+  const z = hyperboloidToUHP(inside);
+
+  return normals.map(([n1, n2, n3]) => {
+    const phase = Math.atan2(n2, n1);
+    const spread = Math.acos(n3 / Math.hypot(n1, n2));
+    const [p, q] = [phase - spread, phase + spread].map(idealPoint);
+
+    let value;
+    if (!Number.isFinite(p) || !Number.isFinite(q)) {
+      value = z.x - (Number.isFinite(p) ? p : q);
+    } else {
+      const c = (p + q) / 2;
+      const R = Math.abs(p - q) / 2;
+      value = (z.x - c) ** 2 + z.y * z.y - R * R;
+    }
+    return { p, q, side: Math.sign(value) };
+  });
+}
+
+function idealPoint(phi) {
+  const s = Math.sin(phi / 2);
+  return Math.abs(s) < 1e-12 ? Infinity : -Math.cos(phi / 2) / s;
+}
+
+function hyperboloidToUHP([x1, x2, x3]) {
+  // Normalize onto the hyperboloid, then to the disk, then Cayley
+  const scale = 1 / Math.sqrt(x3 * x3 - x1 * x1 - x2 * x2);
+  return diskToUHP(hyperboloidToDisk({ x: x1 * scale, y: x2 * scale, z: x3 * scale }));
+}
+
+// --- Helpers ---
+
+function finite(x) {
+  return Number.isFinite(x) ? x : SHADER_INFINITY;
+}
+
+/** Solve the 3×3 system A x = b by Cramer's rule. */
+function solve3(A, b) {
+  const det = m =>
+    m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+  const D = det(A);
+  return [0, 1, 2].map(j => det(A.map((row, i) => row.map((v, k) => (k === j ? b[i] : v)))) / D);
+}
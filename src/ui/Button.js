@@ -0,0 +1,87 @@
+import { overlayRoot } from './overlayRoot.js';
+
+/**
+ * A self-contained button overlay, stacked in the top-right corner (or in
+ * a Panel).
+ *
+ * Creates its own DOM elements and styles, like Slider.
+ *
+ * @example
+ * new Button({ label: 'clear', onClick: () => shooter.clear() });
+ */
+export class Button {
+  /**
+   * @param {Object} options
+   * @param {string}   options.label   - Button text
+   * @param {function} options.onClick - Called on every click
+   * @param {HTMLElement} [options.parent] - Where to put the button (default: the shared stack)
+   */
+  constructor({ label, onClick, parent }) {
+    injectStyles();
+
+    this.element = document.createElement('button');
+    this.element.className = 'button-overlay';
+    this.element.textContent = label;
+    this.element.addEventListener('click', () => onClick());
+    (parent ?? buttonStack()).appendChild(this.element);
+  }
+
+  /** Change the button text. */
+  setLabel(label) {
+    this.element.textContent = label;
+  }
+
+  /** Remove the button from the page. */
+  dispose() {
+    this.element.remove();
+  }
+}
+
+// --- Shared stack ---
+
+let stack = null;
+
+function buttonStack() {
+  if (stack?.parentNode !== overlayRoot()) {
+    stack = document.createElement('div');
+    stack.className = 'button-stack';
+    overlayRoot().appendChild(stack);
+  }
+  return stack;
+}
+
+// --- Styles (injected once) ---
+
+let stylesInjected = false;
+
+function injectStyles() {
+  if (stylesInjected) return;
+  stylesInjected = true;
+
+  const style = document.createElement('style');
+  style.textContent = `
+    .button-stack {
+      position: fixed;
+      top: 16px;
+      right: 16px;
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      z-index: 10;
+    }
+    .button-overlay {
+      background: rgba(0, 0, 0, 0.5);
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      padding: 8px 16px;
+      border-radius: 8px;
+      color: #fff;
+      font-family: monospace;
+      font-size: 14px;
+      cursor: pointer;
+    }
+    .button-overlay:hover {
+      background: rgba(255, 255, 255, 0.15);
+    }
+  `;
+  document.head.appendChild(style);
+}
@@ -0,0 +1,413 @@
+/**
+ * A self-contained control panel: sliders, number fields, checkboxes,
+ * dropdowns, color pickers and buttons stacked in one collapsible box.
+ *
+ * Creates its own DOM elements and styles, like Slider. Each add method
+ * returns the control, with setValue (which doesn't call onChange) and
+ * dispose; groups are collapsible sections with the same methods.
+ * Sliders and buttons are Slider and Button, placed in the panel.
+ *
+ * @example
+ * const panel = new Panel({ title: 'pseudosphere' });
+ * const a = panel.slider({ label: 'a', min: 0.05, max: 0.95, step: 0.01, value: 0.25, numeric: true, onChange: setA });
+ * const view = panel.group('view');
+ * view.checkbox({ label: 'wireframe', value: false, onChange: on => { mesh.material.wireframe = on; } });
+ * view.dropdown({ label: 'mesh', options: ['adaptive', 'uniform'], value: 'adaptive', onChange: setMesh });
+ * view.color({ label: 'color', value: 0x3388aa, onChange: c => mesh.material.color.set(c) });
+ * panel.button({ label: 'clear geodesics', onClick: () => shooter.clear() });
+ * a.setValue(0.5);
+ */
+
+import { Slider } from './Slider.js';
+import { Button } from './Button.js';
+import { overlayRoot } from './overlayRoot.js';
+
+export class Panel {
+  /**
+   * @param {Object} [options]
+   * @param {string}  [options.title='controls'] - Header text; click or tap it to collapse
+   * @param {string}  [options.position='bottom-left'] - 'top-left' | 'top-right' |
+   *        'bottom-left' | 'bottom-right'; panels in the same corner stack
+   * @param {boolean} [options.collapsed=false] - Start collapsed
+   * @param {HTMLElement} [options.parent] - Put the panel here instead of a corner
+   *        (groups are panels inside their panel's body)
+   */
+  constructor({ title = 'controls', position = 'bottom-left', collapsed = false, parent } = {}) {
+    injectStyles();
+
+    this.controls = [];
+
+    this.container = document.createElement('div');
+    this.container.className = parent ? 'panel-group' : 'panel';
+
+    this.header = document.createElement('button');
+    this.header.className = 'panel-header';
+    this.header.type = 'button';
+    this.header.addEventListener('click', () => this.setCollapsed(!this.collapsed));
+    this._title = title;
+
+    this.body = document.createElement('div');
+    this.body.className = 'panel-body';
+
+    this.container.appendChild(this.header);
+    this.container.appendChild(this.body);
+    (parent ?? panelStack(position)).appendChild(this.container);
+
+    this.setCollapsed(collapsed);
+  }
+
+  /** Show or hide the panel's controls, leaving the header. */
+  setCollapsed(collapsed) {
+    this.collapsed = collapsed;
+    this.body.hidden = collapsed;
+    this.header.textContent = `${collapsed ? '▸' : '▾'} ${this._title}`;
+    this.header.setAttribute('aria-expanded', String(!collapsed));
+  }
+
+  /** Add a Slider (options as for Slider). */
+  slider(options) {
+    return this._add(new Slider({ ...options, parent: this.body }));
+  }
+
+  /** Add a Button (options as for Button). */
+  button(options) {
+    return this._add(new Button({ ...options, parent: this.body }));
+  }
+
+  /** Add a Checkbox (options as for Checkbox). */
+  checkbox(options) {
+    return this._add(new Checkbox({ ...options, parent: this.body }));
+  }
+
+  /** Add a Dropdown (options as for Dropdown). */
+  dropdown(options) {
+    return this._add(new Dropdown({ ...options, parent: this.body }));
+  }
+
+  /** Add a ColorInput (options as for ColorInput). */
+  color(options) {
+    return this._add(new ColorInput({ ...options, parent: this.body }));
+  }
+
+  /**
+   * Add a collapsible group of controls.
+   *
+   * @param {string} title
+   * @param {Object} [options]
+   * @param {boolean} [options.collapsed=false]
+   * @returns {Panel}
+   */
+  group(title, { collapsed = false } = {}) {
+    return this._add(new Panel({ title, collapsed, parent: this.body }));
+  }
+
+  /** Remove the panel and everything in it from the page. */
+  dispose() {
+    for (const control of this.controls) control.dispose();
+    this.controls = [];
+    this.container.remove();
+  }
+
+  _add(control) {
+    this.controls.push(control);
+    return control;
+  }
+}
+
+/**
+ * A labelled checkbox.
+ *
+ * @example
+ * new Checkbox({ label: 'wireframe', value: false, onChange: on => { material.wireframe = on; } });
+ */
+export class Checkbox {
+  /**
+   * @param {Object} options
+   * @param {string}   options.label
+   * @param {boolean}  [options.value=false]
+   * @param {function} options.onChange - Called with true or false
+   * @param {HTMLElement} options.parent
+   */
+  constructor({ label, value = false, onChange, parent }) {
+    injectStyles();
+
+    this.container = document.createElement('label');
+    this.container.className = 'panel-row panel-checkbox';
+
+    this.input = document.createElement('input');
+    this.input.type = 'checkbox';
+    this.input.checked = value;
+
+    const text = document.createElement('span');
+    text.textContent = label;
+
+    this.container.appendChild(this.input);
+    this.container.appendChild(text);
+    parent.appendChild(this.container);
+
+    this.input.addEventListener('change', () => onChange(this.input.checked));
+  }
+
+  /** Current value. */
+  get value() {
+    return this.input.checked;
+  }
+
+  /** Check or uncheck, without calling onChange. */
+  setValue(value) {
+    this.input.checked = value;
+  }
+
+  dispose() {
+    this.container.remove();
+  }
+}
+
+/**
+ * A labelled dropdown of choices.
+ *
+ * Options are an array of values (shown as themselves) or of
+ * { label, value } pairs; onChange gets the value, of whatever type.
+ *
+ * @example
+ * new Dropdown({ label: 'region', options: REGIONS, value: REGIONS[0], onChange: setRegion });
+ */
+export class Dropdown {
+  /**
+   * @param {Object} options
+   * @param {string}   options.label
+   * @param {Array}    options.options - Values, or { label, value } pairs
+   * @param {*}        [options.value] - Initially selected value (default: the first)
+   * @param {function} options.onChange - Called with the selected value
+   * @param {HTMLElement} options.parent
+   */
+  constructor({ label, options, value, onChange, parent }) {
+    injectStyles();
+
+    this.container = document.createElement('label');
+    this.container.className = 'panel-row';
+
+    const text = document.createElement('span');
+    text.textContent = label;
+
+    this.select = document.createElement('select');
+    this.container.appendChild(text);
+    this.container.appendChild(this.select);
+    parent.appendChild(this.container);
+
+    this.setOptions(options, value);
+
+    this.select.addEventListener('change', () => onChange(this.value));
+  }
+
+  /** Currently selected value. */
+  get value() {
+    return this._values?.[this.select.selectedIndex];
+  }
+
+  /** Select a value, without calling onChange. Unknown values are ignored. */
+  setValue(value) {
+    const index = this._values.indexOf(value);
+    if (index >= 0) this.select.selectedIndex = index;
+  }
+
+  /** Replace the choices, keeping value (or the first) selected. */
+  setOptions(options, value = this.value) {
+    const entries = options.map(o => (typeof o === 'object' && o !== null && 'value' in o ? o : { label: String(o), value: o }));
+    this._values = entries.map(e => e.value);
+    this.select.replaceChildren(...entries.map(({ label }) => {
+      const option = document.createElement('option');
+      option.textContent = label;
+      return option;
+    }));
+    this.select.selectedIndex = Math.max(0, this._values.indexOf(value));
+  }
+
+  dispose() {
+    this.container.remove();
+  }
+}
+
+/**
+ * A labelled color picker.
+ *
+ * Takes a hex number or a CSS hex string and reports '#rrggbb', which
+ * THREE.Color.set accepts.
+ *
+ * @example
+ * new ColorInput({ label: 'color', value: 0x3388aa, onChange: c => material.color.set(c) });
+ */
+export class ColorInput {
+  /**
+   * @param {Object} options
+   * @param {string}        options.label
+   * @param {number|string} [options.value='#ffffff'] - 0xrrggbb or '#rrggbb'
+   * @param {function}      options.onChange - Called with '#rrggbb' while picking
+   * @param {HTMLElement}   options.parent
+   */
+  constructor({ label, value = '#ffffff', onChange, parent }) {
+    injectStyles();
+
+    this.container = document.createElement('label');
+    this.container.className = 'panel-row';
+
+    const text = document.createElement('span');
+    text.textContent = label;
+
+    this.input = document.createElement('input');
+    this.input.type = 'color';
+    this.setValue(value);
+
+    this.container.appendChild(text);
+    this.container.appendChild(this.input);
+    parent.appendChild(this.container);
+
+    this.input.addEventListener('input', () => onChange(this.input.value));
+  }
+
+  /** Current color, '#rrggbb'. */
+  get value() {
+    return this.input.value;
+  }
+
+  /** Set the color (0xrrggbb or '#rrggbb'), without calling onChange. */
+  setValue(value) {
+    this.input.value = typeof value === 'number' ? `#${value.toString(16).padStart(6, '0')}` : value;
+  }
+
+  dispose() {
+    this.container.remove();
+  }
+}
+
+// --- Shared stacks: one per corner ---
+
+const stacks = {};
+
+function panelStack(position) {
+  if (stacks[position]?.parentNode !== overlayRoot()) {
+    const [vertical, horizontal] = position.split('-');
+    if (!['top', 'bottom'].includes(vertical) || !['left', 'right'].includes(horizontal)) {
+      throw new Error(`Panel: unknown position '${position}'`);
+    }
+    const stack = document.createElement('div');
+    stack.className = `panel-stack panel-stack-${vertical} panel-stack-${horizontal}`;
+    overlayRoot().appendChild(stack);
+    stacks[position] = stack;
+  }
+  return stacks[position];
+}
+
+// --- Styles (injected once) ---
+
+let stylesInjected = false;
+
+function injectStyles() {
+  if (stylesInjected) return;
+  stylesInjected = true;
+
+  const style = document.createElement('style');
+  style.textContent = `
+    .panel-stack {
+      position: fixed;
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      max-height: calc(100vh - 32px);
+      overflow-y: auto;
+      z-index: 10;
+    }
+    .panel-stack-top { top: 16px; }
+    .panel-stack-bottom { bottom: 16px; flex-direction: column-reverse; }
+    .panel-stack-left { left: 16px; align-items: flex-start; }
+    .panel-stack-right { right: 16px; align-items: flex-end; }
+    .panel {
+      background: rgba(0, 0, 0, 0.5);
+      border-radius: 8px;
+      color: #fff;
+      font-family: monospace;
+      font-size: 14px;
+      min-width: 240px;
+      max-width: calc(100vw - 32px);
+      touch-action: manipulation;
+    }
+    .panel-header {
+      display: block;
+      width: 100%;
+      text-align: left;
+      background: none;
+      border: none;
+      color: inherit;
+      font: inherit;
+      padding: 8px 16px;
+      cursor: pointer;
+    }
+    .panel-group .panel-header {
+      padding: 4px 0;
+      opacity: 0.8;
+    }
+    .panel-body {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      padding: 0 16px 12px;
+    }
+    .panel-body[hidden],
+    .panel-body .slider-container[hidden],
+    .panel-row[hidden] {
+      display: none;
+    }
+    .panel-group .panel-body {
+      padding: 0 0 4px 12px;
+    }
+    .panel-body .slider-container {
+      background: none;
+      padding: 0;
+      border-radius: 0;
+    }
+    .panel-body .slider-container input[type="range"] {
+      width: 140px;
+    }
+    .panel-body .button-overlay {
+      width: 100%;
+    }
+    .panel-row {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+    }
+    .panel-checkbox {
+      justify-content: flex-start;
+      cursor: pointer;
+    }
+    .panel-row select {
+      background: rgba(255, 255, 255, 0.1);
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 4px;
+      color: #fff;
+      font: inherit;
+      padding: 2px 4px;
+    }
+    .panel-row select option {
+      color: #000;
+    }
+    .panel-row input[type="color"] {
+      width: 48px;
+      height: 24px;
+      padding: 0;
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      background: none;
+    }
+    @media (pointer: coarse) {
+      .panel { font-size: 16px; }
+      .panel-header { padding: 12px 16px; }
+      .panel-body { gap: 12px; }
+      .panel-body input[type="range"] { height: 32px; }
+      .panel-row input[type="checkbox"] { width: 24px; height: 24px; }
+      .panel-row select,
+      .panel-row input[type="color"] { min-height: 36px; }
+    }
+  `;
+  document.head.appendChild(style);
+}
@@ -0,0 +1,58 @@
+import { overlayRoot } from './overlayRoot.js';
+
+/**
+ * A self-contained text readout overlay, pinned to the top-left corner.
+ *
+ * Creates its own DOM elements and styles, like Slider.
+ *
+ * @example
+ * const readout = new Readout();
+ * readout.set(['c = 0.43', 'closed after 7 oscillations']);
+ */
+export class Readout {
+  /**
+   * @param {string|string[]} [text] - Initial contents, one entry per line
+   */
+  constructor(text = '') {
+    injectStyles();
+
+    this.container = document.createElement('div');
+    this.container.className = 'readout-container';
+    overlayRoot().appendChild(this.container);
+
+    this.set(text);
+  }
+
+  /** Replace the contents. An array is shown one entry per line. */
+  set(text) {
+    this.container.textContent = Array.isArray(text) ? text.join('\n') : text;
+  }
+}
+
+// --- Styles (injected once) ---
+
+let stylesInjected = false;
+
+function injectStyles() {
+  if (stylesInjected) return;
+  stylesInjected = true;
+
+  const style = document.createElement('style');
+  style.textContent = `
+    .readout-container {
+      position: fixed;
+      top: 16px;
+      left: 16px;
+      white-space: pre;
+      background: rgba(0, 0, 0, 0.5);
+      padding: 8px 16px;
+      border-radius: 8px;
+      color: #fff;
+      font-family: monospace;
+      font-size: 14px;
+      line-height: 1.5;
+      z-index: 10;
+    }
+  `;
+  document.head.appendChild(style);
+}
@@ -1,14 +1,20 @@
+import { overlayRoot } from './overlayRoot.js';
+
 /**
  * A self-contained slider overlay.
  *
  * Creates its own DOM elements and styles — no HTML boilerplate needed.
+ * Sliders stack above each other at the bottom of the page, or go in a
+ * Panel (which passes its own parent).
  *
  * @example
- * new Slider({
+ * const slider = new Slider({
  *   label: 'a',
  *   min: 0, max: 1, step: 0.01, value: 0.5,
+ *   numeric: true,             // also a field to type an exact value into
  *   onChange: (v) => console.log(v),
  * });
+ * slider.setValue(0.25);
  */
 export class Slider {
   /**
@@ -20,10 +26,20 @@ export class Slider {
    * @param {number}   options.value    - Initial value
    * @param {function} options.onChange  - Called with the new value on every input event
    * @param {function} [options.format] - Custom label formatter: (value) → string
+   * @param {boolean}  [options.numeric=false] - Add a number field for exact entry
+   *        (clamped to [min, max], not snapped to step); the label then shows
+   *        just the name unless format is given
+   * @param {HTMLElement} [options.parent] - Where to put the slider (default: the shared stack)
    */
-  constructor({ label, min, max, step, value, onChange, format }) {
+  constructor({ label, min, max, step, value, onChange, format, numeric = false, parent }) {
     this._label = label;
-    this._format = format ?? (v => `${label} = ${v.toFixed(2)}`);
+    this._format = format ?? (numeric ? () => label : v => `${label} = ${v.toFixed(2)}`);
+    this._onChange = onChange;
+    this.min = min;
+    this.max = max;
+
+    /** Current value. */
+    this.value = value;
 
     injectStyles();
 
@@ -43,16 +59,66 @@ export class Slider {
 
     this.container.appendChild(this.labelEl);
     this.container.appendChild(this.input);
-    document.body.appendChild(this.container);
 
-    this.input.addEventListener('input', () => {
-      const v = parseFloat(this.input.value);
-      this.labelEl.textContent = this._format(v);
-      onChange(v);
-    });
+    this.input.addEventListener('input', () => this._set(parseFloat(this.input.value)));
+
+    if (numeric) {
+      this.numberInput = document.createElement('input');
+      this.numberInput.type = 'number';
+      this.numberInput.className = 'slider-number';
+      this.numberInput.min = min;
+      this.numberInput.max = max;
+      this.numberInput.step = 'any';
+      this.numberInput.value = value;
+      this.container.appendChild(this.numberInput);
+
+      // Commit on Enter or blur, not on every keystroke of a half-typed number
+      this.numberInput.addEventListener('change', () => {
+        const v = parseFloat(this.numberInput.value);
+        if (Number.isFinite(v)) {
+          this._set(Math.min(Math.max(v, min), max));
+        } else {
+          this.numberInput.value = this.value;
+        }
+      });
+    }
+
+    (parent ?? sliderStack()).appendChild(this.container);
+  }
+
+  /** Move the slider and its label to a value, without calling onChange. */
+  setValue(value) {
+    this.value = value;
+    this.input.value = value;
+    if (this.numberInput) this.numberInput.value = value;
+    this.labelEl.textContent = this._format(value);
+  }
+
+  /** Remove the slider from the page. */
+  dispose() {
+    this.container.remove();
+  }
+
+  _set(value) {
+    this.setValue(value);
+    this._onChange(value);
   }
 }
 
+// --- Shared stack: several sliders line up above each other ---
+
+let stack = null;
+
+function sliderStack() {
+  // A new stack when the overlay root has changed (or the old one was removed with it)
+  if (stack?.parentNode !== overlayRoot()) {
+    stack = document.createElement('div');
+    stack.className = 'slider-stack';
+    overlayRoot().appendChild(stack);
+  }
+  return stack;
+}
+
 // --- Styles (injected once) ---
 
 let stylesInjected = false;
@@ -63,11 +129,18 @@ function injectStyles() {
 
   const style = document.createElement('style');
   style.textContent = `
-    .slider-container {
+    .slider-stack {
       position: fixed;
       bottom: 24px;
       left: 50%;
       transform: translateX(-50%);
+      display: flex;
+      flex-direction: column;
+      align-items: stretch;
+      gap: 8px;
+      z-index: 10;
+    }
+    .slider-container {
       display: flex;
       align-items: center;
       gap: 12px;
@@ -77,11 +150,25 @@ function injectStyles() {
       color: #fff;
       font-family: monospace;
       font-size: 14px;
-      z-index: 10;
+    }
+    .slider-container[hidden] {
+      display: none;
+    }
+    .slider-container label {
+      flex: 1;
     }
     .slider-container input[type="range"] {
       width: 200px;
     }
+    .slider-number {
+      width: 72px;
+      background: rgba(255, 255, 255, 0.1);
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 4px;
+      color: #fff;
+      font: inherit;
+      padding: 2px 4px;
+    }
   `;
   document.head.appendChild(style);
 }
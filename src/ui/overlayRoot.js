@@ -0,0 +1,22 @@
+/**
+ * Where the UI overlays (Slider, Button, Readout, Panel) put themselves.
+ *
+ * document.body by default. The gallery points it at the mounted demo's
+ * container, so removing the container takes the demo's controls with it.
+ *
+ * @example
+ *   setOverlayRoot(container);
+ *   demo.mount(container);
+ */
+
+let root = null;
+
+/** Put overlays created from now on in element (null: back to document.body). */
+export function setOverlayRoot(element) {
+  root = element;
+}
+
+/** The element overlays go in. */
+export function overlayRoot() {
+  return root ?? document.body;
+}
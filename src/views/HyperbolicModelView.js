@@ -0,0 +1,217 @@
+/**
+ * HyperbolicModelView
+ *
+ * A 2D companion view for the K = -1 surfaces: draws H² in the upper
+ * half-plane, the Poincaré disk or the Klein model, with the reflection
+ * group tiling, the geodesic strip |s| ≤ arcsinh(1/a) that the surface is
+ * cut from, and the fundamental domain |t| ≤ πa of the dilation
+ * z → e^{2πa} z (the piece that wraps onto the surface once).
+ *
+ * It has its own canvas and renderer, filling the right half of the window
+ * — the 3D view keeps the left half. The shader shares the demo's tiling
+ * uniforms (uA, uSMax, uMirrors, uMirrorCount), so changing the group or
+ * the waist radius updates both views.
+ *
+ * Points are passed in and out in the upper half-plane: setHighlight(z)
+ * marks a point (e.g. the one under the pointer on the 3D surface), and
+ * onHover(z) reports the point under the pointer in the view (null when it
+ * leaves the model).
+ *
+ * @example
+ *   const view = new HyperbolicModelView({ uniforms, model: 'disk', onHover: z => { ... } });
+ *   view.setHighlight(uvToUHP({ x: hit.u / (2 * Math.PI), y: hit.v }, a, sMax));
+ *   // in animate():
+ *   view.render();
+ */
+
+import * as THREE from 'three';
+import { resolveIncludes } from '../shaders/includeChunks.js';
+import { uhpToDisk, diskToUHP, diskToKlein, kleinToDisk } from '../shaders/maps.js';
+import { overlayRoot } from '../ui/overlayRoot.js';
+
+import vertexShader from './shaders/hyperbolic-model.vert.glsl?raw';
+import fragmentShader from './shaders/hyperbolic-model.frag.glsl?raw';
+
+/** The models, in switching order, with display names. */
+export const MODELS = {
+  uhp: 'upper half-plane',
+  disk: 'Poincaré disk',
+  klein: 'Klein model',
+};
+
+// Uniform value for each model (MODEL_* in the shader), and the region
+// always kept in view: center and half-size of a square in model coordinates.
+const MODEL_INDEX = { uhp: 0, disk: 1, klein: 2 };
+const MODEL_FRAME = {
+  uhp:   { center: new THREE.Vector2(0, 1.5), half: 1.6 },
+  disk:  { center: new THREE.Vector2(0, 0), half: 1.08 },
+  klein: { center: new THREE.Vector2(0, 0), half: 1.08 },
+};
+
+export class HyperbolicModelView {
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.uniforms - Shared uniforms: uA, uSMax, uMirrors, uMirrorCount
+   * @param {'uhp'|'disk'|'klein'} [options.model='disk']
+   * @param {function} [options.onHover] - Called with the upper-half-plane point
+   *                                       under the pointer, or null
+   */
+  constructor({ uniforms, model = 'disk', onHover = () => {} }) {
+    this.onHover = onHover;
+
+    injectStyles();
+
+    this.element = document.createElement('div');
+    this.element.className = 'model-view';
+    overlayRoot().appendChild(this.element);
+
+    this.renderer = new THREE.WebGLRenderer({ antialias: true });
+    this.renderer.setPixelRatio(window.devicePixelRatio);
+    this.element.appendChild(this.renderer.domElement);
+
+    this.uniforms = {
+      uA: uniforms.uA,
+      uSMax: uniforms.uSMax,
+      uMirrors: uniforms.uMirrors,
+      uMirrorCount: uniforms.uMirrorCount,
+      uModel: { value: 0 },
+      uViewCenter: { value: new THREE.Vector2() },
+      uViewHalf: { value: new THREE.Vector2(1, 1) },
+      uHover: { value: new THREE.Vector2() },
+      uHoverOn: { value: 0 },
+    };
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader,
+      fragmentShader: resolveIncludes(fragmentShader),
+    });
+
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    quad.frustumCulled = false;
+    this.scene = new THREE.Scene();
+    this.scene.add(quad);
+    this.camera = new THREE.Camera();
+
+    this._highlight = null;
+    this._width = 0;
+    this._height = 0;
+
+    this.setModel(model);
+
+    // --- Pointer ---
+
+    this._onPointerMove = event => {
+      const z = this.pointerToUHP(event);
+      this.setHighlight(z);
+      this.onHover(z);
+    };
+    this._onPointerLeave = () => {
+      this.setHighlight(null);
+      this.onHover(null);
+    };
+    this.renderer.domElement.addEventListener('pointermove', this._onPointerMove);
+    this.renderer.domElement.addEventListener('pointerleave', this._onPointerLeave);
+  }
+
+  /** Switch between 'uhp', 'disk' and 'klein'. */
+  setModel(model) {
+    if (!(model in MODELS)) {
+      throw new Error(`HyperbolicModelView: unknown model '${model}'`);
+    }
+    this.model = model;
+    this.uniforms.uModel.value = MODEL_INDEX[model];
+    this._width = 0; // re-frame on the next render
+    this.setHighlight(this._highlight);
+  }
+
+  /** Mark a point given in the upper half-plane; null hides the marker. */
+  setHighlight(z) {
+    this._highlight = z;
+    this.uniforms.uHoverOn.value = z ? 1 : 0;
+    if (z) this.uniforms.uHover.value.copy(this.fromUHP(z));
+  }
+
+  /** Model coordinates of an upper-half-plane point. */
+  fromUHP(z) {
+    if (this.model === 'uhp') return new THREE.Vector2(z.x, z.y);
+    const w = uhpToDisk(z);
+    return this.model === 'klein' ? diskToKlein(w) : w;
+  }
+
+  /** Upper-half-plane point for model coordinates, or null outside the model. */
+  toUHP(p) {
+    if (this.model === 'uhp') return p.y > 0 ? new THREE.Vector2(p.x, p.y) : null;
+    if (p.x * p.x + p.y * p.y >= 1) return null;
+    return diskToUHP(this.model === 'klein' ? kleinToDisk(p) : p);
+  }
+
+  /** Upper-half-plane point under a pointer event, or null outside the model. */
+  pointerToUHP(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const center = this.uniforms.uViewCenter.value;
+    const half = this.uniforms.uViewHalf.value;
+    return this.toUHP({
+      x: center.x + (((event.clientX - rect.left) / rect.width) * 2 - 1) * half.x,
+      y: center.y - (((event.clientY - rect.top) / rect.height) * 2 - 1) * half.y,
+    });
+  }
+
+  render() {
+    const { clientWidth: width, clientHeight: height } = this.element;
+    if (width !== this._width || height !== this._height) {
+      this._width = width;
+      this._height = height;
+      this.renderer.setSize(width, height);
+      this._frame(width / height);
+    }
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  dispose() {
+    this.renderer.domElement.removeEventListener('pointermove', this._onPointerMove);
+    this.renderer.domElement.removeEventListener('pointerleave', this._onPointerLeave);
+    this.scene.children[0].geometry.dispose();
+    this.material.dispose();
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+    this.element.remove();
+  }
+
+  /** Fit the model's square frame into a view of the given aspect ratio. */
+  _frame(aspect) {
+    const { center, half } = MODEL_FRAME[this.model];
+    this.uniforms.uViewCenter.value.copy(center);
+    this.uniforms.uViewHalf.value.set(
+      aspect >= 1 ? half * aspect : half,
+      aspect >= 1 ? half : half / aspect,
+    );
+  }
+}
+
+// --- Styles (injected once) ---
+
+let stylesInjected = false;
+
+function injectStyles() {
+  if (stylesInjected) return;
+  stylesInjected = true;
+
+  const style = document.createElement('style');
+  style.textContent = `
+    .model-view {
+      position: fixed;
+      top: 0;
+      right: 0;
+      width: 50%;
+      height: 100%;
+      border-left: 1px solid rgba(255, 255, 255, 0.3);
+      box-sizing: border-box;
+    }
+    .model-view canvas {
+      display: block;
+    }
+  `;
+  document.head.appendChild(style);
+}
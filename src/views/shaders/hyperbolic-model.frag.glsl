@@ -0,0 +1,77 @@
+// A model of H² with the strip of the K = -1 surface drawn in it.
+//
+// Each pixel is a point of the model (upper half-plane, Poincaré disk or
+// Klein model), pulled back to the upper half-plane for the tiling. The
+// strip |s| ≤ sMax around the imaginary axis is the universal cover of
+// the surface; the part with |t| ≤ πa (between the circles |z| = e^{±πa})
+// is one fundamental domain of the dilation z → e^{2πa} z, the piece that
+// is wrapped onto the surface once. Outside the strip the tiling is dimmed,
+// and dimmed less in the strip beyond the fundamental domain.
+
+#include <common>
+#include <hyperbolic>
+#include <uhp-tiling>
+
+#define MODEL_UHP 0
+#define MODEL_DISK 1
+#define MODEL_KLEIN 2
+
+uniform float uA;            // waist radius
+uniform float uSMax;         // = arcsinh(1/a), half-width of the strip
+uniform int uModel;
+uniform vec2 uViewCenter;    // model coordinates at the middle of the view
+uniform vec2 uViewHalf;      // half-extent of the view in model coordinates
+uniform vec2 uHover;         // highlighted point, in model coordinates
+uniform float uHoverOn;
+
+varying vec2 vUv;
+
+const vec3 BACKGROUND = vec3(0.04, 0.04, 0.1);
+const vec3 STRIP_EDGE = vec3(1.0, 0.55, 0.2);
+const vec3 DOMAIN_EDGE = vec3(0.3, 0.8, 1.0);
+const vec3 HOVER = vec3(1.0, 0.85, 0.2);
+
+float lineMask(float d, float width) {
+    return 1.0 - smoothstep(0.0, width * fwidth(d), abs(d));
+}
+
+void main() {
+    vec2 p = uViewCenter + (2.0 * vUv - 1.0) * uViewHalf;
+
+    // Model → upper half-plane. Points outside the model are folded back
+    // into it so everything below stays finite; they are masked at the end.
+    vec2 z;
+    float boundary;   // signed: negative inside the model
+    if (uModel == MODEL_UHP) {
+        z = p;
+        boundary = -p.y;
+    } else {
+        vec2 w = (uModel == MODEL_KLEIN) ? kleinToDisk(p) : p;
+        z = diskToUHP(w);
+        boundary = length(p) - 1.0;
+    }
+    z.y = max(abs(z.y), 1e-6);
+
+    vec3 color = uhpTilingColor(z);
+
+    // Strip and fundamental domain, in Fermi coordinates (s, t)
+    vec2 st = uhpToFermi(z);
+    float stripEdge = abs(st.x) - uSMax;
+    float domainEdge = abs(st.y) - PI * uA;
+    float inStrip = step(stripEdge, 0.0);
+    float inDomain = inStrip * step(domainEdge, 0.0);
+    color *= mix(0.3, mix(0.6, 1.0, inDomain), inStrip);
+    color = mix(color, STRIP_EDGE, lineMask(stripEdge, 2.0));
+    color = mix(color, DOMAIN_EDGE, inStrip * lineMask(domainEdge, 2.0));
+
+    // Outside the model, and its boundary (circle or real axis)
+    color = mix(color, BACKGROUND, step(0.0, boundary));
+    color = mix(color, vec3(0.8), lineMask(boundary, 1.5));
+
+    // Hover marker: a dot of about 5 px
+    float pixel = fwidth(p.x);
+    float marker = 1.0 - smoothstep(4.0 * pixel, 5.5 * pixel, length(p - uHover));
+    color = mix(color, HOVER, uHoverOn * marker);
+
+    gl_FragColor = vec4(color, 1.0);
+}